@@ -1,7 +1,11 @@
 // ============================================================================
 // STORAGE HELPERS
 // ============================================================================
-// LocalStorage key for transactions data
+// IndexedDB database holding all app data
+const DB_NAME = 'quickbudget';
+// Current schema version (each version has a migration in DB_MIGRATIONS)
+const DB_VERSION = 5;
+// Legacy localStorage keys, migrated into IndexedDB once on first launch
 const KEY = 'qb_txns_v1';
 
 /**
@@ -14,59 +18,459 @@ function validateTransactionSchema(txn) {
   if (typeof txn.id !== 'string' || txn.id.length === 0 || txn.id.length > 100) return false;
   if (typeof txn.desc !== 'string' || txn.desc.length === 0 || txn.desc.length > 200) return false;
   if (typeof txn.amount !== 'number' || !isFinite(txn.amount) || txn.amount < 0 || txn.amount > 999999999.99) return false;
-  if (txn.type !== 'income' && txn.type !== 'expense') return false;
+  if (txn.type !== 'income' && txn.type !== 'expense' && txn.type !== 'transfer') return false;
   if (txn.cat !== undefined && (typeof txn.cat !== 'string' || txn.cat.length > 100)) return false;
   if (txn.date !== undefined && !validateDate(txn.date)) return false;
+  if (txn.recurringId !== undefined && (typeof txn.recurringId !== 'string' || txn.recurringId.length === 0 || txn.recurringId.length > 100)) return false;
+  if (txn.importId !== undefined && (typeof txn.importId !== 'string' || txn.importId.length === 0 || txn.importId.length > 200)) return false;
+  const validAccountId = id => typeof id === 'string' && id.length > 0 && id.length <= 100;
+  if (txn.accountId !== undefined && !validAccountId(txn.accountId)) return false;
+  // Transfers move money from accountId to toAccountId; other types have no toAccountId
+  if (txn.type === 'transfer') {
+    if (!validAccountId(txn.accountId) || !validAccountId(txn.toAccountId) || txn.accountId === txn.toAccountId) return false;
+  } else if (txn.toAccountId !== undefined) {
+    return false;
+  }
+  // Split lines divide the amount across categories (not for transfers)
+  if (txn.splits !== undefined && (txn.type === 'transfer' || !validateSplits(txn.splits, txn.amount))) return false;
   return true;
 }
 
 /**
- * Load transactions from localStorage
- * @returns {Array} Array of transaction objects
+ * Schema migrations keyed by the version they upgrade to
+ * Each runs inside the upgrade transaction when the database is opened with a newer DB_VERSION
+ * Stores:
+ * - transactions: one record per transaction (keyPath id), indexed by date, category and type
+ * - worksheetMonths: one record per month's budget ({month: 'YYYY-MM', values: {itemKey: amount}})
+ * - meta: small app-level records ({key, value}), e.g. undo history and migration flags
+ * - recurring: recurring transaction rules (keyPath id)
+ * - accounts: checking, savings, card and cash accounts (keyPath id); transactions refer to them by accountId
+ * - changeLog: when each synced record or setting last changed, and on which device ({key: 'kind:id', kind, id,
+ *   at, device, deleted}); deleted records keep their entry as a tombstone so a sync doesn't bring them back
+ * (Version 1 kept a single budget in a 'worksheet' store of {key, value} records.)
+ */
+const DB_MIGRATIONS = {
+  1: (db) => {
+    const txnStore = db.createObjectStore('transactions', { keyPath: 'id' });
+    txnStore.createIndex('date', 'date');
+    txnStore.createIndex('cat', 'cat');
+    txnStore.createIndex('type', 'type');
+    db.createObjectStore('worksheet', { keyPath: 'key' });
+    db.createObjectStore('meta', { keyPath: 'key' });
+  },
+  2: (db, tx) => {
+    // Worksheets become per-month; the existing single budget becomes the current month's plan
+    const month = currentMonth();
+    const monthStore = db.createObjectStore('worksheetMonths', { keyPath: 'month' });
+    tx.objectStore('worksheet').getAll().onsuccess = (event) => {
+      const values = {};
+      event.target.result.forEach(record => {
+        if (record && typeof record.key === 'string') values[record.key] = record.value;
+      });
+      if (Object.keys(values).length > 0) monthStore.put({ month, values });
+      db.deleteObjectStore('worksheet');
+    };
+    // Worksheet changes in the undo history now record which month they belong to
+    const metaStore = tx.objectStore('meta');
+    metaStore.get('history').onsuccess = (event) => {
+      const record = event.target.result;
+      if (!record || !record.value) return;
+      ['undo', 'redo'].forEach(stack => {
+        (record.value[stack] || []).forEach(entry => {
+          (entry.ws || []).forEach(change => { change.month = month; });
+        });
+      });
+      metaStore.put(record);
+    };
+  },
+  3: (db) => {
+    db.createObjectStore('recurring', { keyPath: 'id' });
+  },
+  4: (db, tx) => {
+    db.createObjectStore('accounts', { keyPath: 'id' });
+    tx.objectStore('transactions').createIndex('accountId', 'accountId');
+  },
+  5: (db) => {
+    db.createObjectStore('changeLog', { keyPath: 'key' }).createIndex('kind', 'kind');
+  }
+};
+
+// Open database connection (null if IndexedDB is unavailable)
+let db = null;
+
+/**
+ * Open the IndexedDB database, running any pending schema migrations
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not supported in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const upgradeDb = request.result;
+      for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+        console.log('[Storage] Migrating database schema to version', version);
+        DB_MIGRATIONS[version](upgradeDb, request.transaction);
+      }
+    };
+    request.onsuccess = () => {
+      const openedDb = request.result;
+      // Another tab opened a newer schema; close so its upgrade can proceed
+      openedDb.onversionchange = () => {
+        console.warn('[Storage] Database upgraded in another tab, closing connection');
+        openedDb.close();
+        db = null;
+      };
+      resolve(openedDb);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn('[Storage] Database upgrade blocked by another open tab');
+  });
+}
+
+/**
+ * Run work inside an IndexedDB transaction
+ * @param {string|string[]} storeNames - Object store(s) to include
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with the IDBTransaction; may return a value or an IDBRequest
+ * @returns {Promise<*>} Resolves with the work's result (or its request's result) once the transaction completes
+ */
+function runTransaction(storeNames, mode, work) {
+  return new Promise((resolve, reject) => {
+    if (!db) {
+      reject(new Error('Database is not open'));
+      return;
+    }
+    const tx = db.transaction(storeNames, mode);
+    const result = work(tx);
+    tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Read all records from an object store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>}
+ */
+function getAllRecords(storeName) {
+  return runTransaction(storeName, 'readonly', tx => tx.objectStore(storeName).getAll());
+}
+
+/**
+ * Read an app-level value from the meta store, decrypting it if it was written with the app lock on
+ * @param {string} key - Meta key
+ * @returns {Promise<*>} Stored value, or undefined if missing
+ */
+async function getMeta(key) {
+  const record = await openStored(await runTransaction('meta', 'readonly', tx => tx.objectStore('meta').get(key)));
+  return record ? record.value : undefined;
+}
+
+/**
+ * Write an app-level value to the meta store
+ * @param {string} key - Meta key
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+function setMeta(key, value) {
+  return runTransaction('meta', 'readwrite', tx => {
+    tx.objectStore('meta').put({ key, value });
+  });
+}
+
+/**
+ * Write a synced setting to the meta store, recording the change for sync in the same transaction
+ * Synced settings hold user data, so they are encrypted at rest like records when the app lock is on
+ * @param {string} key - Meta key (one of SYNC_SETTINGS)
+ * @param {*} value - Structured-cloneable value
+ * @returns {Promise<void>}
+ */
+async function setSyncedMeta(key, value) {
+  const stamps = buildChangeStamps('settings', [key]);
+  const [record] = await sealRecords([{ key, value }], 'key');
+  await runTransaction(['meta', 'changeLog'], 'readwrite', tx => {
+    tx.objectStore('meta').put(record);
+    putChangeStamps(tx, stamps);
+  });
+}
+
+// This device's ID in the change log (loaded during initialization)
+let syncDeviceId = '';
+// Change times of records being applied from a sync, by change log key (null when not syncing)
+let syncIncomingStamps = null;
+
+/**
+ * Build change log entries for records about to be written or deleted
+ * Must run before the write's first await: changes applied from a sync keep the time and device
+ * they were made on, while any other change is stamped now on this device
+ * @param {string} kind - 'transactions', 'worksheetMonths', 'accounts', 'recurring' or 'settings'
+ * @param {Array<string>} ids - Keys of records written
+ * @param {Array<string>} [deletedIds] - Keys of records deleted
+ * @returns {Array<Object>} Change log entries
+ */
+function buildChangeStamps(kind, ids, deletedIds = []) {
+  const now = Date.now();
+  const stamp = (id, deleted) => {
+    const key = `${kind}:${id}`;
+    const incoming = syncIncomingStamps && syncIncomingStamps.get(key);
+    return { key, kind, id, at: incoming ? incoming.at : now, device: incoming ? incoming.device : syncDeviceId, deleted };
+  };
+  return [...ids.map(id => stamp(id, false)), ...deletedIds.map(id => stamp(id, true))];
+}
+
+/**
+ * Store change log entries inside a write's transaction (which must include the changeLog store)
+ * @param {IDBTransaction} tx
+ * @param {Array<Object>} stamps - Entries from buildChangeStamps()
+ */
+function putChangeStamps(tx, stamps) {
+  const store = tx.objectStore('changeLog');
+  stamps.forEach(stamp => store.put(stamp));
+}
+
+/**
+ * Show a user-facing message for a failed write
+ * @param {Error} e - Error raised by the write
+ * @param {string} what - What was being saved (for the log prefix)
+ */
+function reportSaveError(e, what) {
+  if (e && e.name === 'QuotaExceededError') {
+    alert('Storage quota exceeded. Please delete some transactions or clear your browser storage.');
+    console.error(`[Storage] Quota exceeded while saving ${what}`);
+  } else {
+    console.error(`[Storage] Error saving ${what}:`, e);
+    alert('Error saving data. Please try again.');
+  }
+}
+
+// Key for encrypting stored records, synced settings and history at rest (set on unlock when the app lock is on)
+let atRestKey = null;
+// Encryption of queued writes finishes in order, so a slower write can't land after a newer one
+let sealQueue = Promise.resolve();
+
+/**
+ * Encrypt a value for storage
+ * @param {*} value - JSON-serializable value
+ * @param {CryptoKey} key - AES-GCM key
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+async function encryptAtRest(value, key) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(ciphertext) };
+}
+
+/**
+ * Prepare records for writing: with the app lock on, each record is stored as its key plus the
+ * encrypted record ({[keyPath]: key, enc}); otherwise records are stored as they are
+ * @param {Array<Object>} records - Records to write
+ * @param {string} keyPath - The store's key field ('id', 'month' or 'key')
+ * @returns {Promise<Array<Object>>} Records to put, in the same order
+ */
+function sealRecords(records, keyPath) {
+  // Use the key in effect when the write was made, even if the lock changes while it waits
+  const key = atRestKey;
+  const sealed = sealQueue.then(() => Promise.all(records.map(async record => {
+    if (!key) return record;
+    return { [keyPath]: record[keyPath], enc: await encryptAtRest(record, key) };
+  })));
+  sealQueue = sealed.catch(() => {});
+  return sealed;
+}
+
+/**
+ * Read a stored record or meta value, decrypting it if it was written with the app lock on
+ * @param {*} stored - Record as read from IndexedDB
+ * @returns {Promise<*>} The plain record
+ * @throws {Error} If it is encrypted and can't be decrypted with the current key
+ */
+async function openStored(stored) {
+  if (!stored || typeof stored !== 'object' || !stored.enc) return stored;
+  if (!atRestKey) throw new Error('Stored data is encrypted and the app is locked');
+  const { iv, data } = stored.enc;
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, atRestKey, base64ToBytes(data));
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Read every record of a store, decrypting encrypted ones (records that can't be decrypted are skipped)
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>}
+ */
+async function getAllOpenRecords(storeName) {
+  const records = await getAllRecords(storeName);
+  const opened = await Promise.all(records.map(record => openStored(record).catch(e => {
+    console.warn(`[Storage] Could not decrypt a ${storeName} record:`, e);
+    return null;
+  })));
+  return opened.filter(record => record !== null);
+}
+
+/**
+ * Parse and validate legacy localStorage transactions
+ * @param {string|null} data - Raw JSON from the qb_txns_v1 key
+ * @returns {Array} Valid transaction objects
+ */
+function parseLegacyTransactions(data) {
+  if (!data) return [];
+  const parsed = JSON.parse(data);
+  // Validate that data is an array
+  if (!Array.isArray(parsed)) {
+    console.error('[Storage] Invalid data format in localStorage: expected array');
+    return [];
+  }
+  // Validate and filter out invalid transactions (defense against storage manipulation)
+  const valid = parsed.filter(txn => validateTransactionSchema(txn));
+  if (valid.length !== parsed.length) {
+    console.warn('[Storage] Filtered out', parsed.length - valid.length, 'invalid transaction(s)');
+  }
+  return valid;
+}
+
+/**
+ * Parse and validate legacy localStorage worksheet values
+ * @param {string|null} data - Raw JSON from the qb_ws_v1 key
+ * @returns {Object} Worksheet values keyed by item key
+ */
+function parseLegacyWorksheet(data) {
+  if (!data) return {};
+  const parsed = JSON.parse(data);
+  // Validate that all values are valid numbers
+  const validated = {};
+  for (const key in parsed) {
+    if (parsed.hasOwnProperty(key)) {
+      const validatedValue = validateNumber(parsed[key]);
+      validated[key] = validatedValue !== null ? validatedValue : 0;
+    }
+  }
+  return validated;
+}
+
+/**
+ * Move data from the legacy localStorage keys into IndexedDB (runs once)
+ * The localStorage keys are removed only after the IndexedDB write has committed
  */
-const load = () => {
+async function migrateLegacyStorage() {
+  if (await getMeta('legacyMigrated')) return;
+
+  let legacyTxns = [];
+  let legacyWs = {};
+  let legacyHistory = null;
   try {
-    const data = localStorage.getItem(KEY);
-    if (!data) {
-      return [];
+    legacyTxns = parseLegacyTransactions(localStorage.getItem(KEY));
+    legacyWs = parseLegacyWorksheet(localStorage.getItem(WS_KEY));
+    legacyHistory = localStorage.getItem(HISTORY_KEY);
+  } catch (e) {
+    // Corrupted legacy data should not block the app; continue with what could be read
+    console.error('[Storage] Error reading legacy localStorage data:', e);
+  }
+
+  await runTransaction(['transactions', 'worksheetMonths', 'meta'], 'readwrite', tx => {
+    const txnStore = tx.objectStore('transactions');
+    legacyTxns.forEach(t => txnStore.put(t));
+    // The legacy single budget becomes the current month's plan
+    const month = currentMonth();
+    if (Object.keys(legacyWs).length > 0) {
+      tx.objectStore('worksheetMonths').put({ month, values: legacyWs });
     }
-    const parsed = JSON.parse(data);
-    // Validate that data is an array
-    if (!Array.isArray(parsed)) {
-      console.error('[Storage] Invalid data format in localStorage: expected array');
-      return [];
+    if (legacyHistory) {
+      try {
+        const history = JSON.parse(legacyHistory);
+        ['undo', 'redo'].forEach(stack => {
+          (history[stack] || []).forEach(entry => {
+            (entry.ws || []).forEach(change => { change.month = month; });
+          });
+        });
+        tx.objectStore('meta').put({ key: 'history', value: history });
+      } catch (e) {
+        console.warn('[Storage] Skipping unreadable legacy history:', e);
+      }
     }
-    if (parsed.length > 0) {
-      console.log('[Storage] Loaded', parsed.length, 'transaction(s)');
+    tx.objectStore('meta').put({ key: 'legacyMigrated', value: Date.now() });
+  });
+
+  if (legacyTxns.length > 0 || Object.keys(legacyWs).length > 0) {
+    console.log('[Storage] Migrated', legacyTxns.length, 'transaction(s) and',
+      Object.keys(legacyWs).length, 'worksheet value(s) from localStorage');
+  }
+  [KEY, WS_KEY, HISTORY_KEY].forEach(key => localStorage.removeItem(key));
+}
+
+// Last persisted JSON of each transaction by ID, so save() only writes what changed
+const persistedTxns = new Map();
+
+/**
+ * Load transactions from IndexedDB
+ * @returns {Promise<Array>} Array of transaction objects
+ */
+const load = async () => {
+  try {
+    const records = await getAllOpenRecords('transactions');
+    if (records.length > 0) {
+      console.log('[Storage] Loaded', records.length, 'transaction(s)');
     }
-    // Validate and filter out invalid transactions (defense against localStorage manipulation)
-    const valid = parsed.filter(txn => validateTransactionSchema(txn));
-    if (valid.length !== parsed.length) {
-      console.warn('[Storage] Filtered out', parsed.length - valid.length, 'invalid transaction(s)');
+    // Validate and filter out invalid transactions (defense against storage manipulation)
+    const valid = records.filter(txn => validateTransactionSchema(txn));
+    if (valid.length !== records.length) {
+      console.warn('[Storage] Filtered out', records.length - valid.length, 'invalid transaction(s)');
     }
+    persistedTxns.clear();
+    valid.forEach(t => persistedTxns.set(t.id, JSON.stringify(t)));
     return valid;
   } catch (e) {
-    console.error('[Storage] Error loading transactions from localStorage:', e);
-    // Return empty array if corrupted, allow user to continue
+    console.error('[Storage] Error loading transactions from IndexedDB:', e);
+    // Return empty array if unreadable, allow user to continue
     return [];
   }
 };
 
 /**
- * Save transactions to localStorage
+ * Save transactions to IndexedDB
+ * Compares against the last saved state and writes only added, changed and deleted records
  * @param {Array} data - Array of transaction objects to save
+ * @returns {Promise<void>}
  */
-const save = (data) => {
+const save = async (data) => {
+  if (!db) {
+    console.warn('[Storage] Database not open, transactions not saved');
+    return;
+  }
+  const changed = [];
+  const ids = new Set();
+  data.forEach(t => {
+    ids.add(t.id);
+    const json = JSON.stringify(t);
+    if (persistedTxns.get(t.id) !== json) changed.push([t, json]);
+  });
+  const deleted = [...persistedTxns.keys()].filter(id => !ids.has(id));
+  if (changed.length === 0 && deleted.length === 0) return;
+
+  // Update the snapshot now so overlapping saves only write their own changes
+  const previous = new Map();
+  changed.forEach(([t, json]) => { previous.set(t.id, persistedTxns.get(t.id)); persistedTxns.set(t.id, json); });
+  deleted.forEach(id => { previous.set(id, persistedTxns.get(id)); persistedTxns.delete(id); });
+
+  const stamps = buildChangeStamps('transactions', changed.map(([t]) => t.id), deleted);
   try {
-    localStorage.setItem(KEY, JSON.stringify(data));
+    const sealed = await sealRecords(changed.map(([t]) => t), 'id');
+    await runTransaction(['transactions', 'changeLog'], 'readwrite', tx => {
+      const store = tx.objectStore('transactions');
+      sealed.forEach(record => store.put(record));
+      deleted.forEach(id => store.delete(id));
+      putChangeStamps(tx, stamps);
+    });
   } catch (e) {
-    if (e.name === 'QuotaExceededError') {
-      alert('Storage quota exceeded. Please delete some transactions or clear your browser storage.');
-      console.error('[Storage] localStorage quota exceeded');
-    } else {
-      console.error('[Storage] Error saving transactions to localStorage:', e);
-      alert('Error saving data. Please try again.');
-    }
+    // Roll back the snapshot so the next save retries these records
+    previous.forEach((json, id) => {
+      if (json === undefined) persistedTxns.delete(id); else persistedTxns.set(id, json);
+    });
+    reportSaveError(e, 'transactions');
   }
 };
 
@@ -79,18 +483,46 @@ const amtEl = document.getElementById('amt');
 const typeEl = document.getElementById('type');
 const catEl = document.getElementById('cat');
 const dateEl = document.getElementById('date');
+const splitBtn = document.getElementById('splitBtn');
+const splitEditorEl = document.getElementById('splitEditor');
+const accountEl = document.getElementById('account');
+const toAccountEl = document.getElementById('toAccount');
+const toAccountFieldEl = document.getElementById('toAccountField');
 const addBtn = document.getElementById('addBtn');
+const cancelEditBtn = document.getElementById('cancelEditBtn');
 
 // Display elements
 const listEl = document.getElementById('list');
 const searchEl = document.getElementById('search');
 const filterTypeEl = document.getElementById('filterType');
+const filterAccountEl = document.getElementById('filterAccount');
+const filterPeriodEl = document.getElementById('filterPeriod');
+const customRangeEl = document.getElementById('customRange');
+const filterFromEl = document.getElementById('filterFrom');
+const filterToEl = document.getElementById('filterTo');
+const periodPrevBtn = document.getElementById('periodPrevBtn');
+const periodNextBtn = document.getElementById('periodNextBtn');
+const periodLabelEl = document.getElementById('periodLabel');
+const categoryFilterChipEl = document.getElementById('categoryFilterChip');
+const categoryFilterLabelEl = document.getElementById('categoryFilterLabel');
+const clearCategoryFilterBtn = document.getElementById('clearCategoryFilterBtn');
+const reportPeriodEl = document.getElementById('reportPeriod');
+const reportPrevBtn = document.getElementById('reportPrevBtn');
+const reportNextBtn = document.getElementById('reportNextBtn');
+const reportPeriodLabelEl = document.getElementById('reportPeriodLabel');
+const reportsEl = document.getElementById('reports');
 const incomeTotalEl = document.getElementById('incomeTotal');
 const expenseTotalEl = document.getElementById('expenseTotal');
 const netTotalEl = document.getElementById('netTotal');
 const exportBtn = document.getElementById('exportBtn');
 const importFileInput = document.getElementById('importFileInput');
 const worksheetEl = document.getElementById('worksheet');
+const wsMonthEl = document.getElementById('wsMonth');
+const wsCopyPrevBtn = document.getElementById('wsCopyPrevBtn');
+const wsMonthHintEl = document.getElementById('wsMonthHint');
+const wsEditStructureBtn = document.getElementById('wsEditStructureBtn');
+const bvaMonthEl = document.getElementById('bvaMonth');
+const bvaReportEl = document.getElementById('bvaReport');
 
 // Menu elements
 const menuToggle = document.getElementById('menuToggle');
@@ -98,10 +530,78 @@ const sideMenu = document.getElementById('sideMenu');
 const menuOverlay = document.getElementById('menuOverlay');
 const closeMenuBtn = document.getElementById('closeMenuBtn');
 const menuTransactions = document.getElementById('menuTransactions');
+const menuBudget = document.getElementById('menuBudget');
+const menuRecurring = document.getElementById('menuRecurring');
+const menuRules = document.getElementById('menuRules');
+const menuAccounts = document.getElementById('menuAccounts');
+const menuReports = document.getElementById('menuReports');
 const menuImport = document.getElementById('menuImport');
 const menuWorksheetSection = document.getElementById('menuWorksheetSection');
 const menuExport = document.getElementById('menuExport');
+const menuUndo = document.getElementById('menuUndo');
+const menuRedo = document.getElementById('menuRedo');
 const menuClearData = document.getElementById('menuClearData');
+const menuBackup = document.getElementById('menuBackup');
+const menuRestore = document.getElementById('menuRestore');
+const menuAppLock = document.getElementById('menuAppLock');
+const menuLockNow = document.getElementById('menuLockNow');
+const menuSync = document.getElementById('menuSync');
+const menuFormat = document.getElementById('menuFormat');
+
+// Backup restore elements
+const restoreFileInput = document.getElementById('restoreFileInput');
+const restoreReviewEl = document.getElementById('restoreReview');
+const restoreSummaryEl = document.getElementById('restoreSummary');
+const restoreMergeBtn = document.getElementById('restoreMergeBtn');
+const restoreReplaceBtn = document.getElementById('restoreReplaceBtn');
+const restoreCancelBtn = document.getElementById('restoreCancelBtn');
+const menuBackupEncrypted = document.getElementById('menuBackupEncrypted');
+
+// Passphrase prompt elements
+const passphraseDialogEl = document.getElementById('passphraseDialog');
+const passphraseFormEl = document.getElementById('passphraseForm');
+const passphraseTitleEl = document.getElementById('passphraseTitle');
+const passphraseMessageEl = document.getElementById('passphraseMessage');
+const passphraseLabelEl = document.getElementById('passphraseLabel');
+const passphraseConfirmLabelEl = document.getElementById('passphraseConfirmLabel');
+const passphraseInputEl = document.getElementById('passphraseInput');
+const passphraseConfirmFieldEl = document.getElementById('passphraseConfirmField');
+const passphraseConfirmEl = document.getElementById('passphraseConfirm');
+const passphraseErrorEl = document.getElementById('passphraseError');
+const passphraseSubmitBtn = document.getElementById('passphraseSubmitBtn');
+const passphraseCancelBtn = document.getElementById('passphraseCancelBtn');
+
+// App lock elements
+const appLockCardEl = document.getElementById('appLockCard');
+const appLockStatusEl = document.getElementById('appLockStatus');
+const appLockIdleEl = document.getElementById('appLockIdle');
+const appLockEnableBtn = document.getElementById('appLockEnableBtn');
+const appLockChangeBtn = document.getElementById('appLockChangeBtn');
+const appLockDisableBtn = document.getElementById('appLockDisableBtn');
+const appLockCloseBtn = document.getElementById('appLockCloseBtn');
+const lockScreenEl = document.getElementById('lockScreen');
+const lockFormEl = document.getElementById('lockForm');
+const lockSecretEl = document.getElementById('lockSecret');
+const lockErrorEl = document.getElementById('lockError');
+const unlockBtn = document.getElementById('unlockBtn');
+const lockResetBtn = document.getElementById('lockResetBtn');
+
+// Sync elements
+const syncCardEl = document.getElementById('syncCard');
+const syncStatusEl = document.getElementById('syncStatus');
+const syncUrlEl = document.getElementById('syncUrl');
+const syncNowBtn = document.getElementById('syncNowBtn');
+const syncExportBtn = document.getElementById('syncExportBtn');
+const syncImportBtn = document.getElementById('syncImportBtn');
+const syncFileInput = document.getElementById('syncFileInput');
+const syncCloseBtn = document.getElementById('syncCloseBtn');
+
+// Currency and format elements
+const formatCardEl = document.getElementById('formatCard');
+const formatCurrencyEl = document.getElementById('formatCurrency');
+const formatLocaleEl = document.getElementById('formatLocale');
+const formatPreviewEl = document.getElementById('formatPreview');
+const formatCloseBtn = document.getElementById('formatCloseBtn');
 
 // PDF upload elements
 const pdfUploadArea = document.getElementById('pdfUploadArea');
@@ -111,14 +611,100 @@ const extractedTransactions = document.getElementById('extractedTransactions');
 const pdfActions = document.getElementById('pdfActions');
 const addSelectedBtn = document.getElementById('addSelectedBtn');
 const clearPdfBtn = document.getElementById('clearPdfBtn');
+const replaceAllBtn = document.getElementById('replaceAllBtn');
+const csvRemapBtn = document.getElementById('csvRemapBtn');
+const pdfProfileSelect = document.getElementById('pdfProfile');
+const reconciliationEl = document.getElementById('statementReconciliation');
+const importAccountEl = document.getElementById('importAccount');
+
+// CSV column mapping elements
+const csvMappingEl = document.getElementById('csvMapping');
+const csvPreviewEl = document.getElementById('csvPreview');
+const mapDateEl = document.getElementById('mapDate');
+const mapDateFormatEl = document.getElementById('mapDateFormat');
+const mapDescEl = document.getElementById('mapDesc');
+const mapCatEl = document.getElementById('mapCat');
+const mapAmountModeEl = document.getElementById('mapAmountMode');
+const mapDecimalEl = document.getElementById('mapDecimal');
+const mapSignedFieldsEl = document.getElementById('mapSignedFields');
+const mapAmountEl = document.getElementById('mapAmount');
+const mapSignEl = document.getElementById('mapSign');
+const mapSplitFieldsEl = document.getElementById('mapSplitFields');
+const mapDebitEl = document.getElementById('mapDebit');
+const mapCreditEl = document.getElementById('mapCredit');
+const mapTypeEl = document.getElementById('mapType');
+const mapRememberEl = document.getElementById('mapRemember');
+const mapContinueBtn = document.getElementById('mapContinueBtn');
+const mapCancelBtn = document.getElementById('mapCancelBtn');
+
+// Toast notification elements
+const toastEl = document.getElementById('toast');
+const toastMessageEl = document.getElementById('toastMessage');
+const toastUndoBtn = document.getElementById('toastUndoBtn');
+
+// Recurring transaction elements
+const recDescEl = document.getElementById('recDesc');
+const recAmountEl = document.getElementById('recAmount');
+const recTypeEl = document.getElementById('recType');
+const recCatEl = document.getElementById('recCat');
+const recFrequencyEl = document.getElementById('recFrequency');
+const recDayFieldEl = document.getElementById('recDayField');
+const recDayEl = document.getElementById('recDay');
+const recCustomFieldEl = document.getElementById('recCustomField');
+const recIntervalEl = document.getElementById('recInterval');
+const recUnitEl = document.getElementById('recUnit');
+const recStartEl = document.getElementById('recStart');
+const recEndEl = document.getElementById('recEnd');
+const recUpdatePostedFieldEl = document.getElementById('recUpdatePostedField');
+const recUpdatePostedEl = document.getElementById('recUpdatePosted');
+const recUpdateFromEl = document.getElementById('recUpdateFrom');
+const recSaveBtn = document.getElementById('recSaveBtn');
+const recCancelBtn = document.getElementById('recCancelBtn');
+const upcomingListEl = document.getElementById('upcomingList');
+const recUpcomingEmptyEl = document.getElementById('recUpcomingEmpty');
+const recurringListEl = document.getElementById('recurringList');
+const recRulesEmptyEl = document.getElementById('recRulesEmpty');
+
+// Categorization rule elements
+const ruleMatchEl = document.getElementById('ruleMatch');
+const rulePatternEl = document.getElementById('rulePattern');
+const ruleTypeEl = document.getElementById('ruleType');
+const ruleMinEl = document.getElementById('ruleMin');
+const ruleMaxEl = document.getElementById('ruleMax');
+const ruleCategoryEl = document.getElementById('ruleCategory');
+const ruleRenameEl = document.getElementById('ruleRename');
+const ruleSaveBtn = document.getElementById('ruleSaveBtn');
+const ruleCancelBtn = document.getElementById('ruleCancelBtn');
+const categoryRuleListEl = document.getElementById('categoryRuleList');
+const categoryRulesEmptyEl = document.getElementById('categoryRulesEmpty');
+const ruleKeywordFallbackEl = document.getElementById('ruleKeywordFallback');
+const reapplyRulesBtn = document.getElementById('reapplyRulesBtn');
+
+// Account elements
+const accNameEl = document.getElementById('accName');
+const accTypeEl = document.getElementById('accType');
+const accOpeningEl = document.getElementById('accOpening');
+const accCurrencyEl = document.getElementById('accCurrency');
+const accSaveBtn = document.getElementById('accSaveBtn');
+const accCancelBtn = document.getElementById('accCancelBtn');
+const accountListEl = document.getElementById('accountList');
+const accountsEmptyEl = document.getElementById('accountsEmpty');
 
 // ============================================================================
 // APPLICATION STATE
 // ============================================================================
-// Load transactions from storage
-let txns = load();
-// Temporary storage for transactions extracted from PDF
+// Transactions (populated from IndexedDB during initialization)
+let txns = [];
+// Rows from an imported PDF, CSV, OFX/QFX or QIF file awaiting review
 let extractedTxns = [];
+// File type of the rows under review ('pdf', 'csv', 'ofx' or 'qif')
+let importSource = 'pdf';
+// Text and positioned lines of the last PDF read, so it can be parsed again with a different statement profile
+let lastPdf = null;
+// Opening and closing balances printed on the PDF under review, for checking the rows add up (null if none)
+let statementBalances = null;
+// ID of the transaction currently loaded into the entry form for editing (null when adding)
+let editingId = null;
 
 // ============================================================================
 // VALIDATION HELPERS
@@ -153,8 +739,38 @@ function validateDate(dateStr) {
     return null;
   }
   
-  // Return normalized date string
-  return date.toISOString().slice(0, 10);
+  // Return normalized date string (from the parts, since toISOString() would shift it to UTC)
+  return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Validate a month string in YYYY-MM format
+ * @param {string} monthStr - Month string to validate
+ * @returns {string|null} The month string or null if invalid
+ */
+function validateMonth(monthStr) {
+  if (!monthStr || typeof monthStr !== 'string') return null;
+  return /^\d{4}-(0[1-9]|1[0-2])$/.test(monthStr) ? monthStr : null;
+}
+
+/**
+ * Get the current month
+ * @returns {string} Current month in YYYY-MM format
+ */
+function currentMonth() {
+  return currentDate().slice(0, 7);
+}
+
+/**
+ * Get today's date
+ * @returns {string} Current date in YYYY-MM-DD format
+ */
+function currentDate() {
+  // Local calendar date: toISOString() is UTC, which is already tomorrow in the evening west of UTC
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
 }
 
 /**
@@ -171,42 +787,323 @@ function validateNumber(value, max = 999999999.99) {
   return num;
 }
 
+// ============================================================================
+// CURRENCY AND LOCALE
+// ============================================================================
+// Currency amounts are shown in this currency until the user picks another
+const DEFAULT_CURRENCY = 'USD';
+// Currencies offered in the Currency and Format card (a stored code outside this list is kept)
+const CURRENCY_OPTIONS = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY', 'CNY', 'INR', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'MXN', 'BRL', 'ZAR', 'SGD', 'HKD'];
+// Number and date formats offered ('' follows the browser's language)
+const LOCALE_OPTIONS = ['', 'en-US', 'en-GB', 'en-IE', 'en-CA', 'en-AU', 'de-DE', 'de-AT', 'de-CH', 'fr-FR', 'fr-CA', 'es-ES', 'it-IT', 'nl-NL', 'pt-PT', 'pt-BR', 'sv-SE', 'pl-PL', 'ja-JP'];
+
+// Currency and locale for showing amounts and dates ({currency, locale}; loaded during initialization)
+let formatSettings = { currency: DEFAULT_CURRENCY, locale: '' };
+// Formatters for the current settings (rebuilt by updateFormatters())
+let currencyFormatter = null;
+let compactCurrencyFormatter = null;
+let inputNumberFormatter = null;
+let dateFormatter = null;
+// Decimal and grouping characters of the current locale, for reading typed amounts
+let numberSeparators = { decimal: '.', group: ',' };
+
+/**
+ * Check that a currency code can be used for formatting
+ * @param {*} code - Three-letter currency code
+ * @returns {boolean}
+ */
+function isSupportedCurrency(code) {
+  if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code)) return false;
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: code });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate stored format settings
+ * @param {*} stored - Value of the formatSettings meta key
+ * @returns {{currency: string, locale: string}} Settings, with defaults for anything invalid
+ */
+function validateFormatSettings(stored) {
+  const settings = { currency: DEFAULT_CURRENCY, locale: '' };
+  if (!stored || typeof stored !== 'object') return settings;
+  if (isSupportedCurrency(stored.currency)) settings.currency = stored.currency;
+  if (typeof stored.locale === 'string' && stored.locale) {
+    try {
+      settings.locale = Intl.getCanonicalLocales(stored.locale)[0] || '';
+    } catch (e) {
+      // Not a language tag; follow the browser
+    }
+  }
+  return settings;
+}
+
+/**
+ * Load the format settings from IndexedDB
+ * @returns {Promise<{currency: string, locale: string}>}
+ */
+async function loadFormatSettings() {
+  try {
+    return validateFormatSettings(await getMeta('formatSettings'));
+  } catch (e) {
+    console.error('[Format] Error loading format settings:', e);
+    return validateFormatSettings(null);
+  }
+}
+
+/**
+ * Save the format settings to IndexedDB
+ */
+function saveFormatSettings() {
+  setMeta('formatSettings', formatSettings).catch(e => reportSaveError(e, 'format settings'));
+}
+
+/**
+ * Locale to pass to Intl and toLocale*String()
+ * @returns {string|undefined} The chosen locale, or undefined for the browser's language
+ */
+function getLocale() {
+  return formatSettings.locale || undefined;
+}
+
+/**
+ * Rebuild the formatters after the currency or locale changes
+ */
+function updateFormatters() {
+  const locale = getLocale();
+  currencyFormatter = new Intl.NumberFormat(locale, { style: 'currency', currency: formatSettings.currency });
+  compactCurrencyFormatter = new Intl.NumberFormat(locale, { style: 'currency', currency: formatSettings.currency, notation: 'compact' });
+  inputNumberFormatter = new Intl.NumberFormat(locale, { useGrouping: false, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  dateFormatter = new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone: 'UTC' });
+  const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+  numberSeparators = {
+    decimal: (parts.find(p => p.type === 'decimal') || { value: '.' }).value,
+    group: (parts.find(p => p.type === 'group') || { value: ',' }).value
+  };
+}
+
+/**
+ * Format a number as currency string in the chosen currency and locale
+ * @param {number} n - Number to format
+ * @returns {string} Formatted currency string (e.g., "$123.45", "-67,89 €" or "-£67.89")
+ */
+function fmt(n) {
+  return currencyFormatter.format(n);
+}
+
+/**
+ * Format a YYYY-MM-DD date for display in the chosen locale (e.g., "Oct 19, 2026" or "19.10.2026")
+ * @param {string} [dateStr] - Date in YYYY-MM-DD format
+ * @returns {string} Formatted date, or the text as given if it isn't a valid date
+ */
+function formatDate(dateStr) {
+  const valid = validateDate(dateStr);
+  if (!valid) return dateStr || '';
+  const [y, m, d] = valid.split('-').map(Number);
+  return dateFormatter.format(new Date(Date.UTC(y, m - 1, d)));
+}
+
+/**
+ * Format an amount for an input field, with the locale's decimal separator and no grouping (e.g., "1234,50")
+ * @param {number} n
+ * @returns {string}
+ */
+function formatAmountInput(n) {
+  return inputNumberFormatter.format(n);
+}
+
+/**
+ * Read an amount typed by the user, accepting the locale's decimal separator
+ * The other separator is only accepted where it groups thousands ("1,234.56" in English, "1.234,56" in
+ * German), so "45,67" in English is rejected rather than read as 4567. With a decimal comma, a dot alone
+ * is read as the decimal point unless it groups thousands ("12.50" is 12.5, "1.234" is 1234)
+ * @param {*} text - Typed amount
+ * @returns {number} The amount, or NaN if it isn't a number
+ */
+function parseAmountInput(text) {
+  let s = String(text ?? '').trim().replace(/[\s'’]/g, '');
+  if (!s) return NaN;
+  if (numberSeparators.decimal === '.') {
+    if (s.includes(',')) {
+      if (!/^[-+]?\d{1,3}(,\d{3})+(\.\d*)?$/.test(s)) return NaN;
+      s = s.replace(/,/g, '');
+    }
+  } else if (s.includes(',')) {
+    if (!/^[-+]?(\d+|\d{1,3}(\.\d{3})+)?,\d*$/.test(s)) return NaN;
+    s = s.replace(/\./g, '').replace(',', '.');
+  } else if (/^[-+]?\d{1,3}(\.\d{3})+$/.test(s)) {
+    s = s.replace(/\./g, '');
+  }
+  return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(s) ? Number(s) : NaN;
+}
+
+/**
+ * Name a currency or locale in the user's language, falling back to the code
+ * @param {string} type - 'currency' or 'language'
+ * @param {string} code
+ * @returns {string}
+ */
+function getDisplayName(type, code) {
+  try {
+    return new Intl.DisplayNames(getLocale(), { type }).of(code) || code;
+  } catch (e) {
+    return code;
+  }
+}
+
+/**
+ * Fill the Currency and Format card's selects and preview for the current settings
+ */
+function renderFormatCard() {
+  formatCurrencyEl.innerHTML = '';
+  const currencies = CURRENCY_OPTIONS.includes(formatSettings.currency)
+    ? CURRENCY_OPTIONS : [formatSettings.currency, ...CURRENCY_OPTIONS];
+  currencies.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = `${code} – ${getDisplayName('currency', code)}`;
+    formatCurrencyEl.appendChild(option);
+  });
+  formatCurrencyEl.value = formatSettings.currency;
+
+  formatLocaleEl.innerHTML = '';
+  const locales = LOCALE_OPTIONS.includes(formatSettings.locale) ? LOCALE_OPTIONS : [...LOCALE_OPTIONS, formatSettings.locale];
+  locales.forEach(code => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = code ? `${getDisplayName('language', code)} (${code})` : 'Browser language';
+    formatLocaleEl.appendChild(option);
+  });
+  formatLocaleEl.value = formatSettings.locale;
+
+  formatPreviewEl.textContent = `Example: ${fmt(-1234.5)} on ${formatDate(currentDate())}. Type amounts like ${formatAmountInput(45.67)}.`;
+}
+
+/**
+ * Show amount placeholders in the locale's number format
+ */
+function updateAmountPlaceholders() {
+  amtEl.placeholder = `e.g., ${formatAmountInput(45.67)}`;
+  recAmountEl.placeholder = `e.g., ${formatAmountInput(1200)}`;
+  accOpeningEl.placeholder = formatAmountInput(0);
+}
+
+/**
+ * Apply a new currency or locale and show everything with it
+ * @param {{currency: string, locale: string}} settings
+ */
+function applyFormatSettings(settings) {
+  // A new account still on the old default currency follows the change
+  if (!editingAccountId && accCurrencyEl.value === formatSettings.currency) accCurrencyEl.value = settings.currency;
+  formatSettings = settings;
+  updateFormatters();
+  saveFormatSettings();
+  console.log('[Format] Showing amounts in', formatSettings.currency, 'with locale', formatSettings.locale || 'from the browser');
+  updateAmountPlaceholders();
+  updatePeriodControls();
+  render();
+  renderWorksheet();
+  renderRecurring();
+  renderCategoryRules();
+  if (extractedTxns.length > 0) displayExtractedTransactions();
+  renderFormatCard();
+}
+
+menuFormat.addEventListener('click', () => {
+  closeMenu();
+  renderFormatCard();
+  formatCardEl.style.display = '';
+  formatCardEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+});
+formatCurrencyEl.addEventListener('change', () => {
+  if (isSupportedCurrency(formatCurrencyEl.value)) applyFormatSettings({ ...formatSettings, currency: formatCurrencyEl.value });
+});
+formatLocaleEl.addEventListener('change', () => {
+  applyFormatSettings(validateFormatSettings({ ...formatSettings, locale: formatLocaleEl.value }));
+});
+formatCloseBtn.addEventListener('click', () => { formatCardEl.style.display = 'none'; });
+
+updateFormatters();
+
 // ============================================================================
 // WORKSHEET STORAGE
 // ============================================================================
-// LocalStorage key for worksheet data
+// Legacy localStorage key for worksheet data (migrated into IndexedDB)
 const WS_KEY = 'qb_ws_v1';
-// Load worksheet data from storage (with validation to prevent malicious data)
-let wsData = (() => {
+// Worksheet values by month (YYYY-MM), then by item key (populated from IndexedDB during initialization)
+let wsData = {};
+// Month shown on the Budget Worksheet tab
+let wsMonth = currentMonth();
+// Last persisted JSON of each month's values, so saveWorksheet() only writes months that changed
+const persistedWs = new Map();
+
+/**
+ * Validate one month's worksheet values (invalid amounts become 0)
+ * @param {*} values - Values keyed by item key
+ * @returns {Object|null} Validated copy, or null if it isn't an object
+ */
+function validateMonthValues(values) {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return null;
+  const validated = {};
+  Object.keys(values).forEach(key => {
+    const validatedValue = validateNumber(values[key]);
+    validated[key] = validatedValue !== null ? validatedValue : 0;
+  });
+  return validated;
+}
+
+/**
+ * Load worksheet data from IndexedDB (with validation to prevent malicious data)
+ * @returns {Promise<Object>} Worksheet values by month, then by item key
+ */
+async function loadWorksheet() {
   try {
-    const data = localStorage.getItem(WS_KEY);
-    if (!data) return {};
-    const parsed = JSON.parse(data);
-    // Validate that all values are valid numbers
+    const records = await getAllOpenRecords('worksheetMonths');
     const validated = {};
-    for (const key in parsed) {
-      if (parsed.hasOwnProperty(key)) {
-        const validatedValue = validateNumber(parsed[key]);
-        validated[key] = validatedValue !== null ? validatedValue : 0;
-      }
-    }
+    records.forEach(record => {
+      const values = record && validateMonth(record.month) ? validateMonthValues(record.values) : null;
+      if (values) validated[record.month] = values;
+    });
+    persistedWs.clear();
+    Object.keys(validated).forEach(month => persistedWs.set(month, JSON.stringify(validated[month])));
     return validated;
   } catch (e) {
-    console.error('Error loading worksheet data from localStorage:', e);
+    console.error('[Worksheet] Error loading worksheet data from IndexedDB:', e);
     return {};
   }
-})();
+}
+
+/**
+ * Get the worksheet values for a month
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {Object} Values keyed by item key (empty if the month has no budget)
+ */
+function getMonthValues(month) {
+  return wsData[month] || {};
+}
+
+/**
+ * Check whether a month's worksheet has any non-zero value
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {boolean}
+ */
+function hasWorksheetValues(month) {
+  return Object.values(getMonthValues(month)).some(value => value !== 0);
+}
 
 // ============================================================================
 // WORKSHEET STRUCTURE
 // ============================================================================
 /**
- * Defines the structure of the budget worksheet with sections, categories, and items.
- * Each section can have either:
+ * Default structure of the budget worksheet with sections, categories, and items.
+ * Used until the user edits the structure. Each section can have either:
  * - items: Simple list of items (for income and other expenses)
  * - categories: Grouped items under category headers (for essential/discretionary expenses)
  */
-const WORKSHEET = [
+const DEFAULT_WORKSHEET = [
   { title: 'Monthly Household Income', items: [
     'Primary take-home pay',
     'Secondary take-home pay',
@@ -234,19 +1131,164 @@ const WORKSHEET = [
   { title: 'Other Monthly Expenses', items: ['Miscellaneous'] }
 ];
 
+// Limits for a stored worksheet structure
+const WS_MAX_SECTIONS = 20;
+const WS_MAX_ENTRIES = 100; // Categories per section, or items per section/category
+const WS_MAX_NAME_LENGTH = 100;
+
+// Worksheet structure in use (loaded from IndexedDB during initialization)
+let wsStructure = buildDefaultStructure();
+// ID of the worksheet section shown on the Budget Worksheet tab
+let wsActiveSection = null;
+// Whether the Budget Worksheet tab shows the structure editor instead of the budget fields
+let wsEditing = false;
+
 /**
- * Save worksheet data to localStorage
+ * Build the editable worksheet structure from DEFAULT_WORKSHEET
+ * Item IDs match the position-based keys ("section-category-item") used before the structure
+ * became editable, so values saved under those keys stay attached to their items
+ * @returns {Array<Object>} Sections: {id, title, kind, items: [{id, name}], categories: [{id, name, items}]}
  */
-function saveWorksheet(){
-  try {
-    localStorage.setItem(WS_KEY, JSON.stringify(wsData));
-  } catch (e) {
-    if (e.name === 'QuotaExceededError') {
-      alert('Storage quota exceeded. Please clear some worksheet data.');
-      console.error('[Worksheet] localStorage quota exceeded');
-    } else {
-      console.error('[Worksheet] Error saving worksheet data:', e);
+function buildDefaultStructure() {
+  return DEFAULT_WORKSHEET.map((section, si) => ({
+    id: `s${si}`,
+    title: section.title,
+    kind: si === 0 ? 'income' : 'expense',
+    items: (section.items || []).map((name, ii) => ({ id: `${si}-0-${ii}`, name })),
+    categories: (section.categories || []).map((cat, ci) => ({
+      id: `c${si}-${ci}`,
+      name: cat.name,
+      items: cat.items.map((name, ii) => ({ id: `${si}-${ci}-${ii}`, name }))
+    }))
+  }));
+}
+
+/**
+ * Validate a worksheet structure loaded from storage
+ * @param {*} data - Structure to validate
+ * @returns {Array<Object>|null} Copy of the structure with only known fields, or null if invalid
+ */
+function validateWorksheetStructure(data) {
+  if (!Array.isArray(data) || data.length === 0 || data.length > WS_MAX_SECTIONS) return null;
+  const ids = new Set();
+  const validId = id => {
+    if (typeof id !== 'string' || id.length === 0 || id.length > 100 || ids.has(id)) return false;
+    ids.add(id);
+    return true;
+  };
+  const validName = name => typeof name === 'string' && name.trim().length > 0 && name.length <= WS_MAX_NAME_LENGTH;
+  const validItems = items => Array.isArray(items) && items.length <= WS_MAX_ENTRIES &&
+    items.every(item => item && validId(item.id) && validName(item.name));
+  const valid = data.every(section => section && validId(section.id) && validName(section.title) &&
+    (section.kind === 'income' || section.kind === 'expense') && validItems(section.items) &&
+    Array.isArray(section.categories) && section.categories.length <= WS_MAX_ENTRIES &&
+    section.categories.every(cat => cat && validId(cat.id) && validName(cat.name) && validItems(cat.items)));
+  if (!valid) return null;
+
+  const copyItems = items => items.map(item => ({ id: item.id, name: item.name }));
+  return data.map(section => ({
+    id: section.id,
+    title: section.title,
+    kind: section.kind,
+    items: copyItems(section.items),
+    categories: section.categories.map(cat => ({ id: cat.id, name: cat.name, items: copyItems(cat.items) }))
+  }));
+}
+
+/**
+ * Load the worksheet structure from IndexedDB
+ * @returns {Promise<Array<Object>>} The user's structure, or the default structure if none is saved
+ */
+async function loadWorksheetStructure() {
+  try {
+    const stored = await getMeta('worksheetStructure');
+    if (stored === undefined) return buildDefaultStructure();
+    const validated = validateWorksheetStructure(stored);
+    if (!validated) {
+      console.warn('[Worksheet] Stored worksheet structure is invalid, using the default structure');
+      return buildDefaultStructure();
     }
+    return validated;
+  } catch (e) {
+    console.error('[Worksheet] Error loading worksheet structure:', e);
+    return buildDefaultStructure();
+  }
+}
+
+/**
+ * Save the worksheet structure to IndexedDB
+ */
+function saveWorksheetStructure() {
+  setSyncedMeta('worksheetStructure', wsStructure).catch(e => reportSaveError(e, 'worksheet structure'));
+}
+
+/**
+ * Get a section title for tabs and menus, without the parenthetical explanation
+ * @param {Object} section - Worksheet section
+ * @returns {string}
+ */
+function getShortSectionTitle(section) {
+  return section.title.replace(/\s*\([^)]*\)\s*$/, '') || section.title;
+}
+
+/**
+ * Get the worksheet section shown on the Budget Worksheet tab
+ * Falls back to the first section if the remembered one no longer exists
+ * @returns {Object} Worksheet section
+ */
+function getActiveSection() {
+  return wsStructure.find(section => section.id === wsActiveSection) || wsStructure[0];
+}
+
+/**
+ * Show a worksheet section on the Budget Worksheet tab
+ * @param {string} sectionId - Section ID
+ */
+function showWorksheetSection(sectionId) {
+  wsActiveSection = sectionId;
+  document.querySelectorAll('.sub-tab').forEach(t => t.classList.toggle('active', t.dataset.section === sectionId));
+  document.querySelectorAll('.worksheet-section').forEach(s => {
+    s.classList.toggle('active', s.id === `worksheet-section-${sectionId}`);
+  });
+}
+
+/**
+ * Save worksheet data to IndexedDB
+ * Writes only the months whose values changed since the last save
+ * @returns {Promise<void>}
+ */
+async function saveWorksheet(){
+  if (!db) {
+    console.warn('[Worksheet] Database not open, worksheet not saved');
+    return;
+  }
+  const changed = [];
+  Object.keys(wsData).forEach(month => {
+    const json = JSON.stringify(wsData[month]);
+    if (persistedWs.get(month) !== json) changed.push([month, json]);
+  });
+  const deleted = [...persistedWs.keys()].filter(month => !(month in wsData));
+  if (changed.length === 0 && deleted.length === 0) return;
+
+  const previous = new Map();
+  changed.forEach(([month, json]) => { previous.set(month, persistedWs.get(month)); persistedWs.set(month, json); });
+  deleted.forEach(month => { previous.set(month, persistedWs.get(month)); persistedWs.delete(month); });
+
+  const stamps = buildChangeStamps('worksheetMonths', changed.map(([month]) => month), deleted);
+  try {
+    const sealed = await sealRecords(changed.map(([month]) => ({ month, values: wsData[month] })), 'month');
+    await runTransaction(['worksheetMonths', 'changeLog'], 'readwrite', tx => {
+      const store = tx.objectStore('worksheetMonths');
+      sealed.forEach(record => store.put(record));
+      deleted.forEach(month => store.delete(month));
+      putChangeStamps(tx, stamps);
+    });
+  } catch (e) {
+    // Roll back the snapshot so the next save retries these months
+    previous.forEach((json, month) => {
+      if (json === undefined) persistedWs.delete(month); else persistedWs.set(month, json);
+    });
+    reportSaveError(e, 'worksheet data');
   }
 }
 
@@ -254,7 +1296,7 @@ function saveWorksheet(){
  * Create a worksheet input field for a budget item
  * @param {HTMLElement} container - Parent container to append the field to
  * @param {string} labelText - Label text for the input
- * @param {string} key - Unique key for storing the value (format: "section-category-item")
+ * @param {string} key - Item ID the value is stored under
  */
 function createWorksheetField(container, labelText, key){
   const field = document.createElement('div');
@@ -266,22 +1308,27 @@ function createWorksheetField(container, labelText, key){
   label.textContent = labelText;
   label.htmlFor = inputId;
   
-  // Configure input as number field for currency
-  input.type = 'number';
-  input.step = '0.01';
+  // Text field with a decimal keypad, so the locale's decimal separator can be typed
+  input.type = 'text';
   input.inputMode = 'decimal';
   input.id = inputId;
+  input.dataset.key = key;
   
-  // Load saved value if it exists (validate to prevent localStorage manipulation)
-  if(wsData[key] !== undefined) {
-    const validated = validateNumber(wsData[key]);
-    input.value = validated !== null ? validated : '';
+  // Load saved value for the selected month if it exists (validate to prevent storage manipulation)
+  const values = getMonthValues(wsMonth);
+  if(values[key] !== undefined) {
+    const validated = validateNumber(values[key]);
+    input.value = validated !== null ? formatAmountInput(validated) : '';
   }
   
-  // Save value on input and update totals
+  // Save value on input and update totals (consecutive keystrokes in one field form a single undo step)
   input.addEventListener('input', ()=>{
-    const validated = validateNumber(input.value);
-    wsData[key] = validated !== null ? validated : 0;
+    const validated = validateNumber(parseAmountInput(input.value));
+    const month = wsMonth;
+    recordChange(`Edited ${labelText} (${month})`, () => {
+      if (!wsData[month]) wsData[month] = {};
+      wsData[month][key] = validated !== null ? validated : 0;
+    }, { coalesceKey: `ws:${month}:${key}` });
     saveWorksheet();
     updateWorksheetTotals();
   });
@@ -293,93 +1340,99 @@ function createWorksheetField(container, labelText, key){
 
 /**
  * Render the entire budget worksheet UI
- * Creates sub-tabs for each section and builds the form fields
+ * Creates sub-tabs for each section and builds the form fields (or the structure editor)
  */
 function renderWorksheet(){
   const worksheetSubTabs = document.getElementById('worksheetSubTabs');
   worksheetEl.innerHTML = '';
   worksheetSubTabs.innerHTML = '';
+  const activeSection = getActiveSection();
+  wsActiveSection = activeSection.id;
+  wsEditStructureBtn.textContent = wsEditing ? 'Done editing' : 'Edit structure';
 
   // Create sub-tabs for each worksheet section
-  WORKSHEET.forEach((section, si) => {
+  wsStructure.forEach(section => {
     const subTab = document.createElement('button');
-    subTab.className = `sub-tab ${si === 0 ? 'active' : ''}`;
-    subTab.dataset.section = si;
+    subTab.className = `sub-tab ${section === activeSection ? 'active' : ''}`;
+    subTab.dataset.section = section.id;
     // Remove parenthetical text from tab display for cleaner UI
-    subTab.textContent = section.title.replace(/\s*\([^)]*\)\s*$/, '');
-    subTab.addEventListener('click', () => {
-      // Remove active state from all sub-tabs and sections
-      document.querySelectorAll('.sub-tab').forEach(t => t.classList.remove('active'));
-      document.querySelectorAll('.worksheet-section').forEach(s => s.classList.remove('active'));
-      // Add active state to clicked sub-tab and corresponding section
-      subTab.classList.add('active');
-      document.getElementById(`worksheet-section-${si}`).classList.add('active');
-    });
+    subTab.textContent = getShortSectionTitle(section);
+    subTab.addEventListener('click', () => showWorksheetSection(section.id));
     worksheetSubTabs.appendChild(subTab);
   });
 
   // Create worksheet sections with form fields
-  WORKSHEET.forEach((section, si)=>{
+  wsStructure.forEach((section, si)=>{
     const sectionDiv = document.createElement('div');
-    sectionDiv.className = `worksheet-section ${si === 0 ? 'active' : ''}`;
-    sectionDiv.id = `worksheet-section-${si}`;
+    sectionDiv.className = `worksheet-section ${section === activeSection ? 'active' : ''}`;
+    sectionDiv.id = `worksheet-section-${section.id}`;
 
     // Create card container for this section
     const card = document.createElement('div');
     card.className = 'card worksheet-card';
+
+    if (wsEditing) {
+      renderSectionEditor(card, section, si);
+      sectionDiv.appendChild(card);
+      worksheetEl.appendChild(sectionDiv);
+      return;
+    }
+
     const h2 = document.createElement('h2');
     h2.textContent = section.title;
     card.appendChild(h2);
 
-    // Handle sections with simple items (no categories)
-    if(section.items){
+    // Handle simple items (no category)
+    if(section.items.length > 0){
       const simpleBlock = document.createElement('div');
       simpleBlock.className = 'category-block simple-block';
-      section.items.forEach((item, ii)=>{
-        // Key format: "sectionIndex-0-itemIndex" (0 indicates no category)
-        const key = `${si}-0-${ii}`;
-        createWorksheetField(simpleBlock, item, key);
-      });
+      section.items.forEach(item => createWorksheetField(simpleBlock, item.name, item.id));
       card.appendChild(simpleBlock);
     }
 
-    // Handle sections with categories
-    if(section.categories){
-      section.categories.forEach((cat, ci)=>{
-        const block = document.createElement('div');
-        block.className = 'category-block';
-        const h3 = document.createElement('h3');
-        h3.textContent = cat.name;
-        block.appendChild(h3);
-        
-        // Create fields for each item in this category
-        cat.items.forEach((item, ii)=>{
-          // Key format: "sectionIndex-categoryIndex-itemIndex"
-          const key = `${si}-${ci}-${ii}`;
-          createWorksheetField(block, item, key);
-        });
-        
-        // Add category subtotal display
-        const ctotal = document.createElement('div');
-        ctotal.className = 'subtotal';
-        ctotal.id = `cat-${si}-${ci}-total`;
-        ctotal.textContent = 'Subtotal: $0.00';
-        block.appendChild(ctotal);
-        card.appendChild(block);
-      });
+    // Handle categories
+    section.categories.forEach(cat => {
+      const block = document.createElement('div');
+      block.className = 'category-block';
+      const h3 = document.createElement('h3');
+      h3.textContent = cat.name;
+      block.appendChild(h3);
+      
+      // Create fields for each item in this category
+      cat.items.forEach(item => createWorksheetField(block, item.name, item.id));
+      
+      // Add category subtotal display
+      const ctotal = document.createElement('div');
+      ctotal.className = 'subtotal';
+      ctotal.id = `cat-${cat.id}-total`;
+      ctotal.textContent = `Subtotal: ${fmt(0)}`;
+      block.appendChild(ctotal);
+      card.appendChild(block);
+    });
+
+    if (section.items.length === 0 && section.categories.length === 0) {
+      const empty = document.createElement('small');
+      empty.textContent = 'This section has no items yet. Use "Edit structure" to add some.';
+      card.appendChild(empty);
     }
 
     // Add section total display
     const stotal = document.createElement('div');
     stotal.className = 'section-total';
-    stotal.id = `sec-${si}-total`;
-    stotal.textContent = 'Section Total: $0.00';
+    stotal.id = `sec-${section.id}-total`;
+    stotal.textContent = `Section Total: ${fmt(0)}`;
     card.appendChild(stotal);
 
     sectionDiv.appendChild(card);
     worksheetEl.appendChild(sectionDiv);
   });
 
+  if (wsEditing) {
+    renderStructureActions();
+    updateWorksheetMonthHint();
+    return;
+  }
+
   // Create summary card showing totals for all sections (using safe DOM methods)
   const summary = document.createElement('div');
   summary.className = 'card worksheet-summary';
@@ -399,16 +1452,17 @@ function renderWorksheet(){
     labelDiv.appendChild(small);
     const strong = document.createElement('strong');
     strong.id = id;
-    strong.textContent = '$0.00';
+    strong.textContent = fmt(0);
     pill.appendChild(labelDiv);
     pill.appendChild(strong);
     return pill;
   };
   
+  // Income, one pill per expense section, then all expenses together
   totalsDiv.appendChild(createPill('Income', 'ws-income-total'));
-  totalsDiv.appendChild(createPill('Essential', 'ws-essential-total'));
-  totalsDiv.appendChild(createPill('Discretionary', 'ws-discretionary-total'));
-  totalsDiv.appendChild(createPill('Other', 'ws-other-total'));
+  wsStructure.filter(section => section.kind === 'expense').forEach(section => {
+    totalsDiv.appendChild(createPill(getShortSectionTitle(section), `ws-sec-${section.id}-summary`));
+  });
   totalsDiv.appendChild(createPill('Expenses Total', 'ws-expenses-total'));
   
   summary.appendChild(totalsDiv);
@@ -416,6 +1470,69 @@ function renderWorksheet(){
 
   // Calculate and display initial totals
   updateWorksheetTotals();
+  updateWorksheetMonthHint();
+}
+
+/**
+ * Refresh worksheet input values for the selected month without rebuilding the worksheet
+ * Keeps the active sub-tab, e.g. after an undo/redo or when switching months
+ */
+function refreshWorksheetInputs(){
+  const values = getMonthValues(wsMonth);
+  worksheetEl.querySelectorAll('input[data-key]').forEach(input => {
+    const value = values[input.dataset.key];
+    input.value = value !== undefined ? formatAmountInput(value) : '';
+  });
+  updateWorksheetTotals();
+  updateWorksheetMonthHint();
+}
+
+/**
+ * Find the latest month before the given one that has a budget
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {string|null} Earlier month with values, or null if none
+ */
+function findPreviousBudgetMonth(month) {
+  const earlier = Object.keys(wsData).filter(m => m < month && hasWorksheetValues(m)).sort();
+  return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+}
+
+/**
+ * Show a hint under the month picker when the selected month has no budget yet
+ */
+function updateWorksheetMonthHint(){
+  const previous = findPreviousBudgetMonth(wsMonth);
+  if (hasWorksheetValues(wsMonth)) {
+    wsMonthHintEl.textContent = '';
+  } else if (previous) {
+    wsMonthHintEl.textContent = `No budget for ${wsMonth} yet. Use "Copy from previous month" to start from ${previous}.`;
+  } else {
+    wsMonthHintEl.textContent = `No budget for ${wsMonth} yet.`;
+  }
+  wsCopyPrevBtn.disabled = !previous;
+}
+
+/**
+ * Copy the most recent earlier month's budget into the selected month
+ * Asks before overwriting a month that already has values
+ */
+function copyPreviousMonthWorksheet(){
+  const source = findPreviousBudgetMonth(wsMonth);
+  if (!source) {
+    alert('There is no earlier month with a budget to copy.');
+    return;
+  }
+  if (hasWorksheetValues(wsMonth) &&
+      !confirm(`Replace the budget for ${wsMonth} with the one from ${source}?`)) {
+    return;
+  }
+  const target = wsMonth;
+  console.log('[Worksheet] Copying budget from', source, 'to', target);
+  recordChange(`Copied budget from ${source} to ${target}`, () => {
+    wsData[target] = { ...wsData[source] };
+  }, { toast: true });
+  saveWorksheet();
+  refreshWorksheetInputs();
 }
 
 /**
@@ -423,80 +1540,506 @@ function renderWorksheet(){
  * Called whenever a worksheet field value changes
  */
 function updateWorksheetTotals(){
-  // Array to store totals for each section: [income, essential, discretionary, other]
-  const totals = [0,0,0,0];
+  // Totals are not shown while the structure editor is open
+  if (wsEditing) return;
+  const values = getMonthValues(wsMonth);
+  const sumItems = items => items.reduce((sum, item) => sum + (values[item.id] || 0), 0);
+  let inc = 0, expenses = 0;
   
-  WORKSHEET.forEach((section, si)=>{
-    let secSum = 0;
-    
-    // Sum up simple items (no categories)
-    if(section.items){
-      section.items.forEach((item, ii)=>{
-        const key = `${si}-0-${ii}`;
-        const val = wsData[key] || 0;
-        secSum += val;
-      });
-    }
+  wsStructure.forEach(section => {
+    // Sum up simple items (no category)
+    let secSum = sumItems(section.items);
     
     // Sum up categorized items
-    if(section.categories){
-      section.categories.forEach((cat, ci)=>{
-        let catSum = 0;
-        // Calculate category subtotal
-        cat.items.forEach((item, ii)=>{
-          const key = `${si}-${ci}-${ii}`;
-          const val = wsData[key] || 0;
-          catSum += val;
-        });
-        // Update category subtotal display
-        document.getElementById(`cat-${si}-${ci}-total`).textContent = 'Subtotal: ' + fmt(catSum);
-        secSum += catSum;
-      });
-    }
+    section.categories.forEach(cat => {
+      const catSum = sumItems(cat.items);
+      // Update category subtotal display
+      document.getElementById(`cat-${cat.id}-total`).textContent = 'Subtotal: ' + fmt(catSum);
+      secSum += catSum;
+    });
     
     // Update section total display
-    document.getElementById(`sec-${si}-total`).textContent = 'Section Total: ' + fmt(secSum);
-    totals[si] = secSum;
+    document.getElementById(`sec-${section.id}-total`).textContent = 'Section Total: ' + fmt(secSum);
+    if (section.kind === 'income') {
+      inc += secSum;
+    } else {
+      expenses += secSum;
+      document.getElementById(`ws-sec-${section.id}-summary`).textContent = fmt(secSum);
+    }
   });
   
   // Update summary totals
-  const [inc, ess, dis, other] = totals;
   document.getElementById('ws-income-total').textContent = fmt(inc);
-  document.getElementById('ws-essential-total').textContent = fmt(ess);
-  document.getElementById('ws-discretionary-total').textContent = fmt(dis);
-  document.getElementById('ws-other-total').textContent = fmt(other);
-  document.getElementById('ws-expenses-total').textContent = fmt(ess + dis + other);
+  document.getElementById('ws-expenses-total').textContent = fmt(expenses);
 }
 
+// ============================================================================
+// WORKSHEET STRUCTURE EDITOR
+// ============================================================================
 /**
- * Format a number as currency string
- * @param {number} n - Number to format
- * @returns {string} Formatted currency string (e.g., "$123.45" or "-$67.89")
+ * Save the worksheet structure and update every view built from it
+ * @param {boolean} rebuild - Re-render the worksheet (renames skip this to keep focus in the edited field)
+ */
+function applyStructureChange(rebuild) {
+  saveWorksheetStructure();
+  if (rebuild) renderWorksheet();
+  renderMenu();
+  refreshBudgetVsActual();
+}
+
+/**
+ * Focus the name field of a structure entry in the editor
+ * @param {string} id - Section, category or item ID
+ */
+function focusStructureField(id) {
+  const input = document.getElementById(`ws-edit-${id}`);
+  if (input) {
+    input.focus();
+    input.select();
+  }
+}
+
+/**
+ * List the IDs of every item in a section or category (or the item itself)
+ * @param {Object} entry - Worksheet section, category or item
+ * @returns {Array<string>} Item IDs
+ */
+function getEntryItemIds(entry) {
+  if (!entry.items) return [entry.id];
+  const ids = entry.items.map(item => item.id);
+  (entry.categories || []).forEach(cat => cat.items.forEach(item => ids.push(item.id)));
+  return ids;
+}
+
+/**
+ * Ask before removing a section, category or item from the worksheet
+ * Planned values stay in storage under the removed item IDs but are no longer shown
+ * @param {string} name - Name of the entry being removed
+ * @param {Array<string>} ids - Item IDs that would disappear from the worksheet
+ * @returns {boolean} True if the user confirmed
+ */
+function confirmStructureRemoval(name, ids) {
+  const months = Object.keys(wsData).filter(month => ids.some(id => (wsData[month][id] || 0) !== 0)).length;
+  const warning = months > 0 ? ` It has planned amounts in ${months} month(s), which will no longer be shown.` : '';
+  return confirm(`Remove "${name}" from the worksheet?${warning}`);
+}
+
+/**
+ * Create an editor row for renaming, moving and removing a structure entry
+ * @param {Array<Object>} list - List the entry belongs to (sections, categories or items)
+ * @param {number} index - Position of the entry in the list
+ * @param {string} field - Property holding the entry's name ('title' for sections, otherwise 'name')
+ * @param {string} kindLabel - Entry type for labels (e.g., "Item")
+ * @returns {HTMLElement}
+ */
+function createStructureRow(list, index, field, kindLabel) {
+  const entry = list[index];
+  const row = document.createElement('div');
+  row.className = 'ws-editor-row';
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = `ws-edit-${entry.id}`;
+  input.maxLength = WS_MAX_NAME_LENGTH;
+  input.value = entry[field];
+  input.setAttribute('aria-label', `${kindLabel} name`);
+  input.addEventListener('change', () => {
+    const name = input.value.trim();
+    if (!name) {
+      input.value = entry[field];
+      return;
+    }
+    console.log('[Worksheet] Renamed', kindLabel.toLowerCase(), entry[field], 'to', name);
+    entry[field] = name;
+    input.value = name;
+    if (field === 'title') {
+      const subTab = [...document.querySelectorAll('.sub-tab')].find(t => t.dataset.section === entry.id);
+      if (subTab) subTab.textContent = getShortSectionTitle(entry);
+    }
+    applyStructureChange(false);
+  });
+  row.appendChild(input);
+
+  /**
+   * Add a small icon button to the row
+   * @param {string} text - Button text
+   * @param {string} label - Accessible label
+   * @param {boolean} disabled - Whether the action is unavailable
+   * @param {Function} onClick - Click handler
+   */
+  const addButton = (text, label, disabled, onClick) => {
+    const button = document.createElement('button');
+    button.className = 'ghost';
+    button.textContent = text;
+    button.title = label;
+    button.setAttribute('aria-label', `${label}: ${entry[field]}`);
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    row.appendChild(button);
+  };
+  const move = delta => {
+    [list[index], list[index + delta]] = [list[index + delta], list[index]];
+    applyStructureChange(true);
+    focusStructureField(entry.id);
+  };
+  addButton('↑', `Move ${kindLabel.toLowerCase()} up`, index === 0, () => move(-1));
+  addButton('↓', `Move ${kindLabel.toLowerCase()} down`, index === list.length - 1, () => move(1));
+  addButton('✕', `Remove ${kindLabel.toLowerCase()}`, false, () => {
+    if (list === wsStructure && wsStructure.length === 1) {
+      alert('The worksheet needs at least one section.');
+      return;
+    }
+    if (!confirmStructureRemoval(entry[field], getEntryItemIds(entry))) return;
+    console.log('[Worksheet] Removed', kindLabel.toLowerCase(), entry[field]);
+    list.splice(index, 1);
+    applyStructureChange(true);
+  });
+  return row;
+}
+
+/**
+ * Create a button that adds a new entry to a structure list
+ * @param {string} text - Button text
+ * @param {Array<Object>} list - List to add to
+ * @param {Function} create - Returns the new entry (given a fresh ID)
+ * @returns {HTMLButtonElement}
+ */
+function createStructureAddButton(text, list, create) {
+  const button = document.createElement('button');
+  button.className = 'ghost ws-editor-add';
+  button.textContent = text;
+  button.addEventListener('click', () => {
+    const max = list === wsStructure ? WS_MAX_SECTIONS : WS_MAX_ENTRIES;
+    if (list.length >= max) {
+      alert(`You can add at most ${max} here.`);
+      return;
+    }
+    const entry = create(crypto.randomUUID());
+    list.push(entry);
+    console.log('[Worksheet] Added', text.replace(/^\+\s*/, '').toLowerCase());
+    if (list === wsStructure) wsActiveSection = entry.id;
+    applyStructureChange(true);
+    focusStructureField(entry.id);
+  });
+  return button;
+}
+
+/**
+ * Render the structure editor for one worksheet section
+ * @param {HTMLElement} card - Section card to fill
+ * @param {Object} section - Worksheet section
+ * @param {number} si - Position of the section in wsStructure
+ */
+function renderSectionEditor(card, section, si) {
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Edit section';
+  card.appendChild(h2);
+  card.appendChild(createStructureRow(wsStructure, si, 'title', 'Section'));
+
+  // Income sections add to income totals; everything else counts as spending
+  const kindField = document.createElement('div');
+  kindField.className = 'field';
+  const kindLabel = document.createElement('label');
+  kindLabel.htmlFor = `ws-kind-${section.id}`;
+  kindLabel.textContent = 'Counts as';
+  const kindSelect = document.createElement('select');
+  kindSelect.id = `ws-kind-${section.id}`;
+  [['income', 'Income'], ['expense', 'Expenses']].forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    kindSelect.appendChild(option);
+  });
+  kindSelect.value = section.kind;
+  kindSelect.addEventListener('change', () => {
+    section.kind = kindSelect.value;
+    applyStructureChange(true);
+  });
+  kindField.appendChild(kindLabel);
+  kindField.appendChild(kindSelect);
+  card.appendChild(kindField);
+
+  // Items without a category
+  const simpleBlock = document.createElement('div');
+  simpleBlock.className = 'category-block simple-block';
+  const itemsHeading = document.createElement('h3');
+  itemsHeading.textContent = 'Items';
+  simpleBlock.appendChild(itemsHeading);
+  section.items.forEach((item, ii) => simpleBlock.appendChild(createStructureRow(section.items, ii, 'name', 'Item')));
+  simpleBlock.appendChild(createStructureAddButton('+ Add item', section.items, id => ({ id, name: 'New item' })));
+  card.appendChild(simpleBlock);
+
+  // Categories and their items
+  section.categories.forEach((cat, ci) => {
+    const block = document.createElement('div');
+    block.className = 'category-block';
+    block.appendChild(createStructureRow(section.categories, ci, 'name', 'Category'));
+    const items = document.createElement('div');
+    items.className = 'ws-editor-items';
+    cat.items.forEach((item, ii) => items.appendChild(createStructureRow(cat.items, ii, 'name', 'Item')));
+    items.appendChild(createStructureAddButton('+ Add item', cat.items, id => ({ id, name: 'New item' })));
+    block.appendChild(items);
+    card.appendChild(block);
+  });
+  card.appendChild(createStructureAddButton('+ Add category', section.categories,
+    id => ({ id, name: 'New category', items: [] })));
+}
+
+/**
+ * Render the editor actions that apply to the whole worksheet (add section, reset)
+ */
+function renderStructureActions() {
+  const card = document.createElement('div');
+  card.className = 'card worksheet-card';
+  const h2 = document.createElement('h2');
+  h2.textContent = 'Worksheet structure';
+  card.appendChild(h2);
+  const hint = document.createElement('small');
+  hint.textContent = 'Changes apply to every month. Renaming or moving an item keeps its planned amounts.';
+  card.appendChild(hint);
+
+  const actions = document.createElement('div');
+  actions.className = 'row';
+  actions.appendChild(createStructureAddButton('+ Add section', wsStructure,
+    id => ({ id, title: 'New section', kind: 'expense', items: [], categories: [] })));
+  const resetBtn = document.createElement('button');
+  resetBtn.className = 'ghost';
+  resetBtn.textContent = 'Reset to default';
+  resetBtn.addEventListener('click', () => {
+    if (!confirm('Replace your sections, categories and items with the default worksheet? Amounts planned for default items are kept.')) return;
+    console.log('[Worksheet] Reset structure to default');
+    wsStructure = buildDefaultStructure();
+    wsActiveSection = null;
+    applyStructureChange(true);
+  });
+  actions.appendChild(resetBtn);
+  card.appendChild(actions);
+  worksheetEl.appendChild(card);
+}
+
+// ============================================================================
+// PERIOD FILTER
+// ============================================================================
+// Period shown on the Transactions tab and summed in the totals card
+// preset: 'all' | 'thisMonth' | 'lastMonth' | 'ytd' | 'custom'; unit decides how the arrows step
+let period = { preset: 'all', from: null, to: null, unit: null };
+
+/**
+ * Get the date range for a period preset, relative to today
+ * @param {string} preset - 'all', 'thisMonth', 'lastMonth' or 'ytd'
+ * @returns {{preset: string, from: string|null, to: string|null, unit: string|null}}
+ */
+function getPresetPeriod(preset) {
+  const today = currentDate();
+  const [y, m] = today.split('-').map(Number);
+  switch (preset) {
+    case 'thisMonth': return { preset, from: `${today.slice(0, 7)}-01`, to: clampedMonthDate(y, m - 1, 31), unit: 'month' };
+    case 'lastMonth': return { preset, from: clampedMonthDate(y, m - 2, 1), to: clampedMonthDate(y, m - 2, 31), unit: 'month' };
+    case 'ytd': return { preset, from: `${y}-01-01`, to: today, unit: 'year' };
+    default: return { preset: 'all', from: null, to: null, unit: null };
+  }
+}
+
+/**
+ * Validate a period loaded from storage
+ * @param {*} value - Stored period
+ * @returns {Object|null} Period, or null if invalid
+ */
+function validatePeriod(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (value.preset !== 'custom') {
+    // Presets are relative to today, so recompute them rather than trusting stored dates
+    return ['all', 'thisMonth', 'lastMonth', 'ytd'].includes(value.preset) ? getPresetPeriod(value.preset) : null;
+  }
+  const from = validateDate(value.from);
+  const to = validateDate(value.to);
+  if (!from || !to || from > to || !['month', 'year', 'day'].includes(value.unit)) return null;
+  return { preset: 'custom', from, to, unit: value.unit };
+}
+
+/**
+ * Load the last selected period from IndexedDB
+ * @returns {Promise<Object>} Saved period, or all time if none is saved
+ */
+async function loadPeriod() {
+  try {
+    return validatePeriod(await getMeta('transactionPeriod')) || getPresetPeriod('all');
+  } catch (e) {
+    console.error('[UI] Error loading transaction period:', e);
+    return getPresetPeriod('all');
+  }
+}
+
+/**
+ * Check whether a transaction falls within the selected period
+ * Transactions without a date only show under "All time"
+ * @param {Object} t - Transaction
+ * @returns {boolean}
+ */
+function isInPeriod(t) {
+  if (!period.from) return true;
+  return !!t.date && t.date >= period.from && t.date <= period.to;
+}
+
+/**
+ * Describe the selected period for the totals card (e.g., "October 2026")
+ * @returns {string}
+ */
+function describePeriod() {
+  if (!period.from) return 'all time';
+  const [y, m] = period.from.split('-').map(Number);
+  const monthEnd = clampedMonthDate(y, m - 1, 31);
+  if (period.from.endsWith('-01') && period.to === monthEnd) {
+    return new Date(Date.UTC(y, m - 1, 1)).toLocaleDateString(getLocale(), { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  if (period.from === `${y}-01-01` && period.to === `${y}-12-31`) return String(y);
+  if (period.from === `${y}-01-01` && period.to === currentDate()) return `${y} year to date`;
+  return `${formatDate(period.from)} – ${formatDate(period.to)}`;
+}
+
+/**
+ * Move the selected period back or forward by its own length
+ * Months step by calendar month, years by calendar year (the current year stops at today),
+ * and custom ranges by their number of days
+ * @param {number} delta - -1 for the previous period, 1 for the next
+ */
+function shiftPeriod(delta) {
+  if (!period.from) return;
+  const [y, m] = period.from.split('-').map(Number);
+  let from, to;
+  if (period.unit === 'month') {
+    from = clampedMonthDate(y, m - 1 + delta, 1);
+    to = clampedMonthDate(y, m - 1 + delta, 31);
+  } else if (period.unit === 'year') {
+    from = `${y + delta}-01-01`;
+    to = y + delta === Number(currentDate().slice(0, 4)) ? currentDate() : `${y + delta}-12-31`;
+  } else {
+    const days = Math.round((Date.parse(period.to) - Date.parse(period.from)) / 86400000) + 1;
+    from = addDays(period.from, delta * days);
+    to = addDays(period.to, delta * days);
+  }
+  setPeriod(createPeriod(from, to, period.unit));
+}
+
+/**
+ * Build a period for a date range, using the matching preset when there is one
+ * (e.g., stepping back from this month shows "Last month" rather than a custom range)
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {string} unit - How the arrows step ('month', 'year' or 'day')
+ * @returns {Object} Period
+ */
+function createPeriod(from, to, unit) {
+  const preset = ['thisMonth', 'lastMonth', 'ytd'].find(name => {
+    const candidate = getPresetPeriod(name);
+    return candidate.from === from && candidate.to === to;
+  });
+  return preset ? getPresetPeriod(preset) : { preset: 'custom', from, to, unit };
+}
+
+/**
+ * Apply a choice from a period select
+ * @param {string} value - Selected option ('all', 'thisMonth', 'lastMonth', 'ytd' or 'custom')
+ */
+function selectPeriodPreset(value) {
+  if (value === 'custom') {
+    // Start the custom range from whatever is shown now (or this month)
+    const base = period.from ? period : getPresetPeriod('thisMonth');
+    setPeriod({ preset: 'custom', from: base.from, to: base.to, unit: getRangeUnit(base.from, base.to) });
+  } else {
+    setPeriod(getPresetPeriod(value));
+  }
+}
+
+/**
+ * Select a period, update the filter controls, save the choice and re-render
+ * @param {Object} next - Period to show
  */
-function fmt(n){ return (n<0?'-':'') + '$' + Math.abs(n).toFixed(2); }
+function setPeriod(next) {
+  period = next;
+  console.log('[UI] Period set to', period.preset, period.from || '', period.to || '');
+  setMeta('transactionPeriod', period).catch(e => console.warn('[UI] Could not save transaction period:', e));
+  updatePeriodControls();
+  render();
+}
+
+/**
+ * Sync the period selects, custom range fields and arrows (Transactions and Reports tabs) with the selected period
+ */
+function updatePeriodControls() {
+  filterPeriodEl.value = period.preset;
+  reportPeriodEl.value = period.preset;
+  customRangeEl.style.display = period.preset === 'custom' ? '' : 'none';
+  filterFromEl.value = period.from || '';
+  filterToEl.value = period.to || '';
+  [periodPrevBtn, periodNextBtn, reportPrevBtn, reportNextBtn].forEach(button => { button.disabled = !period.from; });
+}
+
+/**
+ * Apply the custom range fields once both dates are valid
+ */
+function applyCustomRange() {
+  const from = validateDate(filterFromEl.value);
+  const to = validateDate(filterToEl.value);
+  if (!from || !to) return;
+  if (from > to) {
+    alert('The start date must be on or before the end date');
+    filterFromEl.value = period.from || '';
+    filterToEl.value = period.to || '';
+    return;
+  }
+  setPeriod({ preset: 'custom', from, to, unit: getRangeUnit(from, to) });
+}
+
+/**
+ * Pick how the arrows step through a custom range
+ * A range covering exactly one calendar month or year steps by month or year, anything else by its length in days
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @returns {'month'|'year'|'day'}
+ */
+function getRangeUnit(from, to) {
+  const [y, m] = from.split('-').map(Number);
+  if (from.endsWith('-01') && to === clampedMonthDate(y, m - 1, 31)) return 'month';
+  if (from === `${y}-01-01` && to === `${y}-12-31`) return 'year';
+  return 'day';
+}
 
 // ============================================================================
 // TRANSACTION RENDERING
 // ============================================================================
 /**
- * Render the transaction list with filtering and search
- * Updates the transaction list display and summary totals
+ * Render the transaction list with period, account, type and search filters
+ * Updates the transaction list display and the summary totals for the listed transactions
+ * (transfers between accounts count as neither income nor expense)
  */
 function render(){
   const q = searchEl.value.toLowerCase().trim();
   const ft = filterTypeEl.value;
-  let income = 0, expense = 0;
+  const fa = filterAccountEl.value;
+  // With one account selected, each row shows that account's balance after it
+  const running = fa !== 'all' && fa !== 'none' ? getRunningBalances(fa) : null;
+  const runningAccount = running ? getAccount(fa) : null;
+  // Income and expense totals per currency, since accounts can be in different currencies
+  const totals = new Map();
 
   listEl.innerHTML = '';
   
   // Filter, search, sort, and render transactions
   txns
-    // Filter out invalid transactions (defense against localStorage manipulation)
+    // Filter out invalid transactions (defense against storage manipulation)
     .filter(t => t && typeof t === 'object' && t.id && t.desc && typeof t.amount === 'number')
-    // Filter by type (all, income, or expense)
+    // Filter by the selected period
+    .filter(isInPeriod)
+    // Filter by the category slice picked on a chart
+    .filter(t => !categoryFilter || getCategoryLines(t).some(l => categoryFilter.keys.includes(getCategoryKey(l.cat))))
+    // Filter by account (a transfer shows under both of its accounts)
+    .filter(t => fa === 'all' || (fa === 'none' ? !t.accountId : t.accountId === fa || t.toAccountId === fa))
+    // Filter by type (all, income, expense or transfer)
     .filter(t => (ft==='all'||t.type===ft))
     // Filter by search query (description or category)
-    .filter(t => !q || (t.desc.toLowerCase().includes(q) || (t.cat||'').toLowerCase().includes(q)))
+    .filter(t => !q || t.desc.toLowerCase().includes(q) ||
+      getCategoryLines(t).some(l => l.cat.toLowerCase().includes(q) || (l.note || '').toLowerCase().includes(q)))
     // Sort by date (newest first)
     .sort((a,b)=> new Date(b.date||0) - new Date(a.date||0))
     .forEach(t=>{
@@ -509,25 +2052,52 @@ function render(){
       descStrong.textContent = t.desc;
       const br1 = document.createElement('br');
       const small1 = document.createElement('small');
-      small1.textContent = `${t.cat||'—'} • ${t.date||'—'}`;
+      const accountLabel = t.type === 'transfer'
+        ? ` • ${getAccountName(t.accountId)} → ${getAccountName(t.toAccountId)}`
+        : (accounts.length > 0 ? ` • ${getAccountName(t.accountId)}` : '');
+      const catLabel = t.splits ? getSplitLabel(t.splits) : (t.cat||'—');
+      small1.textContent = `${catLabel} • ${t.date ? formatDate(t.date) : '—'}${accountLabel}${t.recurringId ? ' • Recurring' : ''}`;
       left.appendChild(descStrong);
       left.appendChild(br1);
       left.appendChild(small1);
       
-      // Right side: amount (colored by type) and delete link
+      // Right side: amount (colored by type) and edit/delete links
       const amountStrong = document.createElement('strong');
-      amountStrong.className = t.type==='expense'?'neg':'pos';
       // Validate amount before displaying (defense in depth)
       const displayAmount = typeof t.amount === 'number' && isFinite(t.amount) ? t.amount : 0;
-      amountStrong.textContent = fmt(t.type==='expense'?-displayAmount:displayAmount);
+      // Shown in its account's currency, which may differ from the display currency
+      const currency = getTransactionCurrency(t);
+      if (t.type === 'transfer') {
+        // Signed only when looking at one of its accounts
+        amountStrong.className = 'transfer';
+        amountStrong.textContent = formatAccountAmount(running ? getAccountEffect(t, fa) : displayAmount, currency);
+      } else {
+        amountStrong.className = t.type==='expense'?'neg':'pos';
+        amountStrong.textContent = formatAccountAmount(t.type==='expense'?-displayAmount:displayAmount, currency);
+      }
       const br2 = document.createElement('br');
       const small2 = document.createElement('small');
+      const editLink = document.createElement('a');
+      editLink.href = '#';
+      editLink.dataset.id = t.id;
+      editLink.dataset.action = 'edit';
+      editLink.textContent = 'Edit';
       const deleteLink = document.createElement('a');
       deleteLink.href = '#';
       deleteLink.dataset.id = t.id;
+      deleteLink.dataset.action = 'delete';
       deleteLink.textContent = 'Delete';
+      small2.appendChild(editLink);
+      small2.appendChild(document.createTextNode(' • '));
       small2.appendChild(deleteLink);
       right.appendChild(amountStrong);
+      if (running) {
+        const balanceSmall = document.createElement('small');
+        balanceSmall.className = 'running-balance';
+        balanceSmall.textContent = `Balance ${formatAccountAmount(running.get(t.id), runningAccount.currency)}`;
+        right.appendChild(document.createElement('br'));
+        right.appendChild(balanceSmall);
+      }
       right.appendChild(br2);
       right.appendChild(small2);
       
@@ -535,579 +2105,6643 @@ function render(){
       listEl.appendChild(li);
 
       // Accumulate totals (validate amount is a number to prevent manipulation)
-      const amount = typeof t.amount === 'number' && isFinite(t.amount) ? t.amount : 0;
-      if(t.type==='income') income += amount; else expense += amount;
+      if (t.type === 'transfer') return;
+      const sums = totals.get(currency) || { income: 0, expense: 0, count: 0 };
+      sums[t.type] += displayAmount;
+      sums.count++;
+      totals.set(currency, sums);
     });
 
-  // Update summary totals
-  incomeTotalEl.textContent = fmt(income);
-  expenseTotalEl.textContent = fmt(-expense);
-  netTotalEl.textContent = fmt(income - expense);
+  // Update summary totals: in the listed transactions' currency when they share one (e.g., one account
+  // selected), otherwise in the display currency, leaving out the transactions in other currencies
+  const totalsCurrency = totals.size === 1 ? [...totals.keys()][0] : formatSettings.currency;
+  const { income, expense } = totals.get(totalsCurrency) || { income: 0, expense: 0 };
+  let otherCount = 0;
+  totals.forEach((sums, currency) => { if (currency !== totalsCurrency) otherCount += sums.count; });
+  incomeTotalEl.textContent = formatAccountAmount(income, totalsCurrency);
+  expenseTotalEl.textContent = formatAccountAmount(-expense, totalsCurrency);
+  netTotalEl.textContent = formatAccountAmount(income - expense, totalsCurrency);
+  periodLabelEl.textContent = `Totals for ${describePeriod()}` +
+    (totalsCurrency !== formatSettings.currency ? ` in ${totalsCurrency}` : '') +
+    (otherCount ? ` (not counting ${otherCount} transaction${otherCount === 1 ? '' : 's'} in other currencies)` : '');
+  updateCategoryFilterChip();
+  
+  refreshBudgetVsActual();
+  refreshReports();
+  refreshAccounts();
 }
 
 // ============================================================================
 // TRANSACTION MANAGEMENT
 // ============================================================================
 /**
- * Add a new transaction from the form
- * Validates input, creates transaction object, saves to storage, and re-renders
+ * Read and validate the transaction entry form
+ * Shows an alert describing the first invalid field
+ * @returns {Object|null} Validated fields ({desc, amount, type, cat, date}) or null if invalid
  */
-function add(){
+function readTransactionForm(){
   // Get and validate description
   const desc = descEl.value.trim();
   if (!desc) {
     alert('Please enter a description');
-    return;
+    return null;
   }
   if (desc.length > 200) {
     alert('Description is too long (max 200 characters)');
-    return;
+    return null;
   }
   
   // Get and validate amount
-  const amount = parseFloat(amtEl.value);
+  const amount = parseAmountInput(amtEl.value);
   if (isNaN(amount) || amount === 0) {
     alert('Please enter a valid amount');
-    return;
+    return null;
   }
   if (Math.abs(amount) > 999999999.99) {
-    alert('Amount is too large (max $999,999,999.99)');
-    return;
+    alert(`Amount is too large (max ${fmt(999999999.99)})`);
+    return null;
   }
   
   // Get and validate category
   const cat = catEl.value.trim();
   if (cat.length > 100) {
     alert('Category is too long (max 100 characters)');
-    return;
+    return null;
   }
   
   // Get and validate date
   let date = dateEl.value;
   if (!date) {
-    date = new Date().toISOString().slice(0, 10);
+    date = currentDate();
   } else {
     // Use strict date validation to prevent manipulation attacks
     const validated = validateDate(date);
     if (!validated) {
       alert('Invalid date. Please use YYYY-MM-DD format with a valid date.');
-      return;
+      return null;
     }
     date = validated;
   }
   
   // Validate type
   const type = typeEl.value;
-  if (type !== 'income' && type !== 'expense') {
+  if (type !== 'income' && type !== 'expense' && type !== 'transfer') {
     alert('Invalid transaction type');
-    return;
+    return null;
   }
   
-  // Create new transaction object
-  const newTxn = {
-    id: crypto.randomUUID(),
-    desc: desc,
-    amount: Math.abs(amount),
-    type: type,
-    cat: cat,
-    date: date
-  };
-  txns.push(newTxn);
+  // Validate account(s): a transfer needs two different accounts in the same currency
+  const fields = { desc, amount: Math.abs(amount), type, cat, date };
+  const account = getAccount(accountEl.value);
+  if (account) fields.accountId = account.id;
+  if (type === 'transfer') {
+    const toAccount = getAccount(toAccountEl.value);
+    if (!account || !toAccount || account.id === toAccount.id) {
+      alert('A transfer needs two different accounts. Add them on the Accounts tab.');
+      return null;
+    }
+    if (account.currency !== toAccount.currency) {
+      alert('Transfers between accounts in different currencies aren\'t supported.');
+      return null;
+    }
+    fields.toAccountId = toAccount.id;
+  }
   
-  // Save to storage and clear form
+  // Validate split lines: the parent keeps no category of its own
+  if (formSplitLines) {
+    if (type === 'transfer') {
+      alert('Transfers can\'t be split across categories.');
+      return null;
+    }
+    const { splits, error } = readSplitLines(formSplitLines, fields.amount);
+    if (error) {
+      alert(error);
+      return null;
+    }
+    fields.splits = splits;
+    fields.cat = '';
+  }
+  return fields;
+}
+
+/**
+ * Add a new transaction from the form
+ * Validates input, creates transaction object, saves to storage, and re-renders
+ */
+function add(){
+  const fields = readTransactionForm();
+  if (!fields) return;
+  
+  // Create new transaction object
+  const newTxn = {
+    id: crypto.randomUUID(),
+    desc: fields.desc,
+    amount: fields.amount,
+    type: fields.type,
+    cat: fields.cat,
+    date: fields.date
+  };
+  if (fields.accountId) newTxn.accountId = fields.accountId;
+  if (fields.toAccountId) newTxn.toAccountId = fields.toAccountId;
+  if (fields.splits) newTxn.splits = fields.splits;
+  recordChange('Added transaction', () => txns.push(newTxn));
+  
+  // Save to storage and clear form
   save(txns);
   descEl.value=''; amtEl.value=''; catEl.value='';
+  formSplitLines = null;
+  renderFormSplits();
   
   // Re-render to show new transaction
   render();
 }
 
-// ============================================================================
-// EVENT HANDLERS
-// ============================================================================
-// Delete transaction handler (uses event delegation for dynamically created elements)
-listEl.addEventListener('click', e=>{
-  const id = e.target.dataset?.id;
-  // Validate that id is a non-empty string to prevent manipulation
-  if(id && typeof id === 'string' && id.length > 0){ 
-    txns = txns.filter(t=>t && t.id && t.id !== id); 
-    save(txns); 
-    render(); 
+/**
+ * Load an existing transaction into the entry form for editing
+ * @param {string} id - ID of the transaction to edit
+ */
+function startEdit(id){
+  const txn = txns.find(t => t && t.id === id);
+  if (!txn) {
+    console.warn('[App] Cannot edit missing transaction:', id);
+    return;
   }
-});
+  
+  editingId = id;
+  descEl.value = txn.desc;
+  amtEl.value = formatAmountInput(txn.amount);
+  typeEl.value = txn.type;
+  catEl.value = txn.cat || '';
+  dateEl.value = txn.date || '';
+  accountEl.value = getAccount(txn.accountId) ? txn.accountId : '';
+  if (getAccount(txn.toAccountId)) toAccountEl.value = txn.toAccountId;
+  updateTransferFields();
+  formSplitLines = txn.splits ? txn.splits.map(s => ({ cat: s.cat, amount: formatAmountInput(s.amount), note: s.note || '' })) : null;
+  renderFormSplits();
+  addBtn.textContent = 'Save Changes';
+  cancelEditBtn.style.display = '';
+  
+  closeMenu();
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+  setTimeout(() => descEl.focus(), 300);
+}
 
-// Form submission
-addBtn.addEventListener('click', add);
+/**
+ * Leave edit mode and reset the entry form
+ */
+function cancelEdit(){
+  editingId = null;
+  descEl.value = ''; amtEl.value = ''; catEl.value = ''; dateEl.value = '';
+  typeEl.value = 'expense';
+  updateTransferFields();
+  formSplitLines = null;
+  renderFormSplits();
+  addBtn.textContent = 'Add';
+  cancelEditBtn.style.display = 'none';
+}
 
-// Search and filter handlers
-searchEl.addEventListener('input', render);
-filterTypeEl.addEventListener('change', render);
+/**
+ * Save the form back into the transaction being edited
+ * Keeps the original ID so the record is updated in place rather than re-created
+ */
+function saveEdit(){
+  const fields = readTransactionForm();
+  if (!fields) return;
+  
+  const idx = txns.findIndex(t => t && t.id === editingId);
+  if (idx === -1) {
+    alert('This transaction no longer exists.');
+    cancelEdit();
+    return;
+  }
+  
+  // Replace the record rather than mutating it, preserving the ID and any other fields
+  const { accountId, toAccountId, splits, ...rest } = txns[idx];
+  const updated = { ...rest, ...fields };
+  if (!validateTransactionSchema(updated)) {
+    alert('Invalid transaction data. Please check the form and try again.');
+    return;
+  }
+  recordChange('Edited transaction', () => { txns[idx] = updated; });
+  console.log('[App] Updated transaction:', updated.id);
+  
+  save(txns);
+  cancelEdit();
+  render();
+}
 
 // ============================================================================
-// TAB SWITCHING
+// SPLIT TRANSACTIONS
 // ============================================================================
-// Tab switching functionality for Transactions/Worksheet tabs
-const tabs = document.querySelectorAll('.tab');
-const tabContents = document.querySelectorAll('.tab-content');
-
-tabs.forEach(tab => {
-  tab.addEventListener('click', () => {
-    const targetTab = tab.dataset.tab;
-    console.log('[UI] Tab switched to:', targetTab);
-    
-    // Remove active class from all tabs and contents
-    tabs.forEach(t => t.classList.remove('active'));
-    tabContents.forEach(content => content.classList.remove('active'));
-    
-    // Add active class to clicked tab and corresponding content
-    tab.classList.add('active');
-    document.getElementById(`${targetTab}Tab`).classList.add('active');
-  });
-});
+// Most lines one transaction can be split into
+const MAX_SPLIT_LINES = 20;
+// Split lines being edited in the entry form ({cat, amount, note} as typed), or null when not splitting
+let formSplitLines = null;
 
-// ============================================================================
-// INITIALIZATION
-// ============================================================================
-// Check if running over HTTPS (defense-in-depth, GitHub Pages enforces HTTPS)
-if (location.protocol !== 'https:' && location.hostname !== 'localhost' && location.hostname !== '127.0.0.1') {
-  console.warn('[Security] Application should be served over HTTPS');
-  // GitHub Pages enforces HTTPS, so this is just a warning
+/**
+ * Validate a transaction's split lines: 2 to MAX_SPLIT_LINES lines of {cat, amount, note?}
+ * whose amounts add up to the transaction amount to the cent
+ * @param {*} splits - Split lines to validate
+ * @param {number} amount - Transaction amount
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateSplits(splits, amount) {
+  if (!Array.isArray(splits) || splits.length < 2 || splits.length > MAX_SPLIT_LINES) return false;
+  let cents = 0;
+  for (const line of splits) {
+    if (!line || typeof line !== 'object') return false;
+    if (typeof line.cat !== 'string' || line.cat.length > 100) return false;
+    if (typeof line.amount !== 'number' || !isFinite(line.amount) || line.amount <= 0 || line.amount > 999999999.99) return false;
+    if (line.note !== undefined && (typeof line.note !== 'string' || line.note.length > 200)) return false;
+    cents += Math.round(line.amount * 100);
+  }
+  return cents === Math.round(amount * 100);
 }
 
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => { 
-  console.log('[App] Initializing application');
-  render();           // Render transaction list
-  renderWorksheet();   // Render budget worksheet
-  renderMenu();       // Render side menu
-  console.log('[App] Initialization complete');
-});
+/**
+ * Get the category lines of a transaction: its split lines, or its whole amount in its one category
+ * Anything that totals or filters by category should use this rather than `t.cat`
+ * @param {Object} t - Transaction
+ * @returns {Array<{cat: string, amount: number, note?: string}>}
+ */
+function getCategoryLines(t) {
+  if (Array.isArray(t.splits)) return t.splits;
+  return [{ cat: t.cat || '', amount: typeof t.amount === 'number' && isFinite(t.amount) ? t.amount : 0 }];
+}
 
-// ============================================================================
-// CSV EXPORT/IMPORT
-// ============================================================================
 /**
- * Export all transactions to CSV file
- * Creates a downloadable CSV file with transaction data
+ * Describe split lines by their categories (e.g. "Split: Groceries, Household")
+ * @param {Array<{cat: string}>} lines - Saved or draft split lines
+ * @returns {string}
  */
-exportBtn.addEventListener('click', ()=>{
-  // Create CSV header row
-  const rows = [['Date','Type','Description','Category','Amount']];
-  
-  // Add each transaction as a row
-  txns.forEach(t=> rows.push([t.date, t.type, t.desc, t.cat, t.amount]));
-  
-  // Convert to CSV format with CSV injection protection
-  // Prefix dangerous characters (=, +, -, @, \t) with a tab to prevent formula injection
-  const sanitizeCsvField = (value) => {
-    if (value === null || value === undefined) return '';
-    const str = value.toString();
-    // Check if field starts with dangerous characters
-    if (/^[=+\-@\t]/.test(str)) {
-      // Prefix with tab to prevent formula execution in Excel/Google Sheets
-      return '\t' + str;
-    }
-    return str;
-  };
-  
-  // Escape quotes and wrap fields in quotes, then sanitize
-  const csv = rows.map(r=> 
-    r.map(x=> {
-      const sanitized = sanitizeCsvField(x);
-      return `"${sanitized.replace(/"/g,'""')}"`;
-    }).join(',')
-  ).join('\n');
-  
-  // Create blob and download link
-  const blob = new Blob([csv], {type:'text/csv'});
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  a.download = 'quickbudget.csv';
-  a.click();
-  URL.revokeObjectURL(a.href);
-});
+function getSplitLabel(lines) {
+  const cats = [...new Set(lines.map(l => String(l.cat || '').trim() || 'Uncategorized'))];
+  return `Split: ${cats.join(', ')}`;
+}
 
 /**
- * Parse CSV content into array of transaction objects
- * Handles quoted fields, escaped quotes, and removes leading tabs from sanitized fields
- * @param {string} csvText - Raw CSV text content
- * @returns {Array} Array of parsed transaction objects
+ * Sum the amounts typed into draft split lines, in cents (lines without a valid amount count as 0)
+ * @param {Array<{amount: *}>} lines - Draft split lines
+ * @returns {number}
  */
-function parseCSV(csvText) {
-  const lines = csvText.split(/\r?\n/).filter(line => line.trim());
-  if (lines.length === 0) return [];
-  
-  // Parse header row
-  const headers = parseCSVLine(lines[0]);
-  const expectedHeaders = ['Date', 'Type', 'Description', 'Category', 'Amount'];
-  
-  // Validate header format
-  if (headers.length !== expectedHeaders.length || 
-      !headers.every((h, i) => h.trim().toLowerCase() === expectedHeaders[i].toLowerCase())) {
-    throw new Error('Invalid CSV format. Expected headers: Date, Type, Description, Category, Amount');
-  }
-  
-  // Parse data rows
-  const transactions = [];
-  for (let i = 1; i < lines.length; i++) {
-    const values = parseCSVLine(lines[i]);
-    if (values.length !== expectedHeaders.length) {
-      console.warn(`Skipping row ${i + 1}: incorrect number of columns`);
-      continue;
-    }
-    
-    const [date, type, desc, cat, amount] = values;
-    
-    // Validate required fields
-    if (!date || !type || !desc || !amount) {
-      console.warn(`Skipping row ${i + 1}: missing required fields`);
-      continue;
-    }
-    
-    // Clean up values (remove leading tabs from sanitized fields, trim whitespace)
-    const cleanDate = date.replace(/^\t/, '').trim();
-    const cleanType = type.replace(/^\t/, '').trim().toLowerCase();
-    const cleanDesc = desc.replace(/^\t/, '').trim();
-    const cleanCat = cat ? cat.replace(/^\t/, '').trim() : '';
-    const cleanAmount = amount.replace(/^\t/, '').trim();
-    
-    // Validate type
-    if (cleanType !== 'income' && cleanType !== 'expense') {
-      console.warn(`Skipping row ${i + 1}: invalid type "${cleanType}" (must be "income" or "expense")`);
-      continue;
-    }
-    
-    // Validate date format (YYYY-MM-DD)
-    const validatedDate = validateDate(cleanDate);
-    if (!validatedDate) {
-      console.warn(`Skipping row ${i + 1}: invalid date format "${cleanDate}"`);
-      continue;
-    }
-    
-    // Validate amount (must be a valid number)
-    const amountNum = parseFloat(cleanAmount);
-    if (isNaN(amountNum) || amountNum < 0) {
-      console.warn(`Skipping row ${i + 1}: invalid amount "${cleanAmount}"`);
-      continue;
-    }
-    
-    transactions.push({
-      date: validatedDate,
-      type: cleanType,
-      desc: cleanDesc,
-      cat: cleanCat,
-      amount: amountNum
-    });
-  }
-  
-  return transactions;
+function sumSplitCents(lines) {
+  return lines.reduce((sum, l) => {
+    const amount = validateNumber(parseAmountInput(l.amount));
+    return sum + (amount && amount > 0 ? Math.round(amount * 100) : 0);
+  }, 0);
 }
 
 /**
- * Parse a single CSV line, handling quoted fields and escaped quotes
- * @param {string} line - CSV line to parse
- * @returns {Array} Array of field values
+ * Turn draft split lines into the lines saved on a transaction
+ * Completely blank lines are ignored
+ * @param {Array<{cat: string, amount: *, note: string}>} lines - Lines from a split editor
+ * @param {number} total - Transaction amount the lines must add up to
+ * @returns {{splits: Array|null, error: string}} Saved lines, or the reason they can't be saved
  */
-function parseCSVLine(line) {
-  const fields = [];
-  let currentField = '';
-  let inQuotes = false;
-  
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i];
-    const nextChar = line[i + 1];
-    
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        // Escaped quote
-        currentField += '"';
-        i++; // Skip next quote
-      } else {
-        // Toggle quote state
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      // Field separator
-      fields.push(currentField);
-      currentField = '';
-    } else {
-      currentField += char;
-    }
+function readSplitLines(lines, total) {
+  const splits = [];
+  for (const [i, line] of lines.entries()) {
+    const cat = String(line.cat || '').trim();
+    const note = String(line.note || '').trim();
+    const rawAmount = String(line.amount ?? '').trim();
+    if (!cat && !note && !rawAmount) continue;
+    const amount = validateNumber(parseAmountInput(rawAmount));
+    if (amount === null || amount <= 0) return { splits: null, error: `Split line ${i + 1} needs a positive amount` };
+    if (cat.length > 100) return { splits: null, error: `Split line ${i + 1}: category is too long (max 100 characters)` };
+    if (note.length > 200) return { splits: null, error: `Split line ${i + 1}: note is too long (max 200 characters)` };
+    const split = { cat, amount: Math.round(amount * 100) / 100 };
+    if (note) split.note = note;
+    splits.push(split);
   }
-  
-  // Add last field
-  fields.push(currentField);
-  
-  return fields;
+  if (splits.length < 2) return { splits: null, error: 'A split needs at least two lines with an amount' };
+  if (splits.length > MAX_SPLIT_LINES) return { splits: null, error: `A split can have at most ${MAX_SPLIT_LINES} lines` };
+  const difference = Math.round(total * 100) - sumSplitCents(splits);
+  if (difference !== 0) {
+    return { splits: null, error: `Split lines add up to ${fmt(sumSplitCents(splits) / 100)}, not the transaction's ${fmt(total)}` };
+  }
+  return { splits, error: '' };
 }
 
-// ============================================================================
-// MENU RENDERING
-// ============================================================================
 /**
- * Render the side menu with worksheet navigation
- * Creates expandable menu items for each worksheet section and category
+ * Build an editor for draft split lines (used by the entry form and the import review list)
+ * @param {Array<{cat: string, amount: *, note: string}>} lines - Draft lines (changed in place)
+ * @param {function(): number} getTotal - Amount the lines must add up to
+ * @param {function(HTMLElement): void} [onChange] - Called with the control after a line is added, removed or edited
+ * @returns {HTMLElement}
  */
-function renderMenu() {
-  menuWorksheetSection.innerHTML = '';
-  
-  // Create menu items for each worksheet section
-  WORKSHEET.forEach((section, si) => {
-    const sectionDiv = document.createElement('div');
-    sectionDiv.className = 'menu-section';
-    
-    // Create section header (expandable)
-    const sectionHeader = document.createElement('div');
-    sectionHeader.className = 'menu-section-header';
-    // Remove parenthetical text from menu display for cleaner UI
-    sectionHeader.textContent = section.title.replace(/\s*\([^)]*\)\s*$/, '');
-    sectionHeader.addEventListener('click', (e) => {
-      e.stopPropagation();
-      sectionHeader.classList.toggle('expanded');
-      const subsection = sectionDiv.querySelector('.menu-subsection');
-      if (subsection) {
-        subsection.classList.toggle('expanded');
-      }
-    });
-    
-    // Container for section items
-    const subsection = document.createElement('div');
-    subsection.className = 'menu-subsection';
-    
-    // Handle sections with simple items (no categories)
-    if (section.items) {
-      section.items.forEach((item, ii) => {
-        const itemDiv = document.createElement('div');
-        itemDiv.className = 'menu-item-nested';
-        itemDiv.textContent = item;
-        itemDiv.addEventListener('click', (e) => {
-          e.stopPropagation();
-          closeMenu();
-          
-          // Switch to worksheet tab
-          tabs.forEach(t => t.classList.remove('active'));
-          tabContents.forEach(content => content.classList.remove('active'));
-          document.querySelector('[data-tab="worksheet"]').classList.add('active');
-          document.getElementById('worksheetTab').classList.add('active');
-          
-          // Switch to correct sub-tab
-          document.querySelectorAll('.sub-tab').forEach(t => t.classList.remove('active'));
-          document.querySelectorAll('.worksheet-section').forEach(s => s.classList.remove('active'));
-          const subTab = document.querySelector(`[data-section="${si}"]`);
-          const section = document.getElementById(`worksheet-section-${si}`);
-          if (subTab && section) {
-            subTab.classList.add('active');
-            section.classList.add('active');
-          }
-          
-          // Scroll to and focus the input field
-          const input = document.getElementById(`ws-${si}-0-${ii}`);
-          if (input) {
-            setTimeout(() => {
-              input.scrollIntoView({ behavior: 'smooth', block: 'center' });
-              input.focus();
-            }, 100);
-          }
+function createSplitEditor(lines, getTotal, onChange = () => {}) {
+  const editor = document.createElement('div');
+  editor.className = 'split-editor';
+  const list = document.createElement('div');
+  const footer = document.createElement('div');
+  footer.className = 'split-footer';
+  const remaining = document.createElement('small');
+
+  const getRemainingCents = () => Math.round(getTotal() * 100) - sumSplitCents(lines);
+  const updateRemaining = () => {
+    const cents = getRemainingCents();
+    remaining.textContent = cents === 0 ? 'Lines add up to the total'
+      : cents > 0 ? `${fmt(cents / 100)} left to assign` : `${fmt(-cents / 100)} more than the total`;
+    remaining.className = cents === 0 ? 'split-remaining' : 'split-remaining split-unbalanced';
+  };
+
+  const drawLines = () => {
+    list.innerHTML = '';
+    lines.forEach((line, i) => {
+      const row = document.createElement('div');
+      row.className = 'split-line';
+      [['cat', 'Category', 100], ['amount', 'Amount', 0], ['note', 'Note (optional)', 200]].forEach(([field, label, maxLength]) => {
+        const input = document.createElement('input');
+        if (field === 'amount') {
+          input.inputMode = 'decimal';
+        } else {
+          input.maxLength = maxLength;
+        }
+        input.placeholder = label;
+        input.setAttribute('aria-label', `Split line ${i + 1} ${label.toLowerCase()}`);
+        input.value = line[field] ?? '';
+        input.addEventListener('input', () => {
+          line[field] = input.value;
+          updateRemaining();
         });
-        subsection.appendChild(itemDiv);
+        input.addEventListener('change', () => onChange(input));
+        row.appendChild(input);
       });
-    }
-    
-    // Handle sections with categories
-    if (section.categories) {
-      section.categories.forEach((cat, ci) => {
-        const categoryDiv = document.createElement('div');
-        categoryDiv.className = 'menu-category';
-        
-        // Category header (expandable)
-        const categoryHeader = document.createElement('div');
-        categoryHeader.className = 'menu-category-header';
-        categoryHeader.textContent = cat.name;
-        categoryHeader.addEventListener('click', (e) => {
-          e.stopPropagation();
-          categoryHeader.classList.toggle('expanded');
-          const categorySubsection = categoryDiv.querySelector('.menu-subsection');
-          if (categorySubsection) {
-            categorySubsection.classList.toggle('expanded');
-          }
-        });
-        
-        // Container for category items
-        const categorySubsection = document.createElement('div');
-        categorySubsection.className = 'menu-subsection';
-        
-        // Create menu items for each category item
-        cat.items.forEach((item, ii) => {
-          const itemDiv = document.createElement('div');
-          itemDiv.className = 'menu-item-nested';
-          itemDiv.textContent = item;
-          itemDiv.addEventListener('click', (e) => {
-            e.stopPropagation();
-            closeMenu();
-            
-            // Switch to worksheet tab
-            tabs.forEach(t => t.classList.remove('active'));
-            tabContents.forEach(content => content.classList.remove('active'));
-            document.querySelector('[data-tab="worksheet"]').classList.add('active');
-            document.getElementById('worksheetTab').classList.add('active');
-            
-            // Switch to correct sub-tab
-            document.querySelectorAll('.sub-tab').forEach(t => t.classList.remove('active'));
-            document.querySelectorAll('.worksheet-section').forEach(s => s.classList.remove('active'));
-            const subTab = document.querySelector(`[data-section="${si}"]`);
-            const section = document.getElementById(`worksheet-section-${si}`);
-            if (subTab && section) {
-              subTab.classList.add('active');
-              section.classList.add('active');
-            }
-            
-            // Scroll to and focus the input field
-            const input = document.getElementById(`ws-${si}-${ci}-${ii}`);
-            if (input) {
-              setTimeout(() => {
-                input.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                input.focus();
-              }, 100);
-            }
-          });
-          categorySubsection.appendChild(itemDiv);
-        });
-        
-        categoryDiv.appendChild(categoryHeader);
-        categoryDiv.appendChild(categorySubsection);
-        subsection.appendChild(categoryDiv);
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'ghost';
+      removeBtn.textContent = '✕';
+      removeBtn.setAttribute('aria-label', `Remove split line ${i + 1}`);
+      removeBtn.disabled = lines.length <= 2;
+      removeBtn.addEventListener('click', () => {
+        lines.splice(i, 1);
+        drawLines();
+        onChange(removeBtn);
       });
+      row.appendChild(removeBtn);
+      list.appendChild(row);
+    });
+    updateRemaining();
+  };
+
+  const addLineBtn = document.createElement('button');
+  addLineBtn.className = 'ghost';
+  addLineBtn.textContent = 'Add Line';
+  addLineBtn.setAttribute('aria-label', 'Add split line');
+  addLineBtn.addEventListener('click', () => {
+    if (lines.length >= MAX_SPLIT_LINES) {
+      alert(`A split can have at most ${MAX_SPLIT_LINES} lines.`);
+      return;
     }
-    
-    sectionDiv.appendChild(sectionHeader);
-    sectionDiv.appendChild(subsection);
-    menuWorksheetSection.appendChild(sectionDiv);
+    // The new line starts with whatever is left to assign
+    const cents = getRemainingCents();
+    lines.push({ cat: '', amount: cents > 0 ? formatAmountInput(cents / 100) : '', note: '' });
+    drawLines();
+    onChange(addLineBtn);
   });
+
+  footer.appendChild(addLineBtn);
+  footer.appendChild(remaining);
+  editor.appendChild(list);
+  editor.appendChild(footer);
+  drawLines();
+  return editor;
 }
 
-// ============================================================================
-// MENU TOGGLE FUNCTIONALITY
-// ============================================================================
 /**
- * Open the side menu
+ * Show the entry form's split editor while splitting (the single category field is disabled meanwhile)
  */
-function openMenu() {
-  console.log('[UI] Opening side menu');
-  sideMenu.classList.add('open');
-  menuOverlay.classList.add('open');
-  menuToggle.classList.add('active');
-  document.body.style.overflow = 'hidden'; // Prevent body scrolling
+function renderFormSplits() {
+  splitEditorEl.innerHTML = '';
+  splitEditorEl.style.display = formSplitLines ? '' : 'none';
+  splitBtn.textContent = formSplitLines ? 'Remove Split' : 'Split Across Categories';
+  catEl.disabled = !!formSplitLines;
+  if (formSplitLines) {
+    splitEditorEl.appendChild(createSplitEditor(formSplitLines, () => Math.abs(parseAmountInput(amtEl.value)) || 0));
+  }
 }
 
 /**
- * Close the side menu
+ * Start or stop splitting the transaction in the entry form
+ * Starting moves the category and amount into the first line; stopping keeps the first line's category
  */
-function closeMenu() {
-  console.log('[UI] Closing side menu');
-  sideMenu.classList.remove('open');
-  menuOverlay.classList.remove('open');
-  menuToggle.classList.remove('active');
-  document.body.style.overflow = '';
-}
-
+function toggleFormSplit() {
+  if (formSplitLines) {
+    catEl.value = String(formSplitLines[0]?.cat || '').trim();
+    formSplitLines = null;
+  } else {
+    if (typeEl.value === 'transfer') {
+      alert('Transfers can\'t be split across categories.');
+      return;
+    }
+    formSplitLines = [{ cat: catEl.value.trim(), amount: amtEl.value, note: '' }, { cat: '', amount: '', note: '' }];
+  }
+  renderFormSplits();
+}
+
+splitBtn.addEventListener('click', toggleFormSplit);
+// Keep "left to assign" in step with the transaction amount
+amtEl.addEventListener('input', () => { if (formSplitLines) renderFormSplits(); });
+
+// ============================================================================
+// UNDO / REDO HISTORY
+// ============================================================================
+// Legacy localStorage key for undo/redo history (now kept in the IndexedDB meta store)
+const HISTORY_KEY = 'qb_history_v1';
+// Maximum number of undo steps kept
+const HISTORY_LIMIT = 50;
+// Maximum size of persisted history; older steps are only kept in memory beyond this
+const HISTORY_MAX_BYTES = 5 * 1024 * 1024;
+// Delay before persisting history, so bursts of typing write once
+const HISTORY_SAVE_DELAY_MS = 500;
+// Consecutive edits with the same coalesce key within this window merge into one step
+const HISTORY_COALESCE_MS = 10000;
+
+/**
+ * Validate a single history entry loaded from storage
+ * Each entry holds before/after copies of changed transactions and worksheet values
+ * @param {*} entry - History entry to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateHistoryEntry(entry) {
+  if (!entry || typeof entry !== 'object') return false;
+  if (typeof entry.label !== 'string' || entry.label.length > 200) return false;
+  if (!Array.isArray(entry.txns) || !Array.isArray(entry.ws)) return false;
+  const validTxn = t => t === null || validateTransactionSchema(t);
+  const validWs = v => v === null || validateNumber(v) !== null;
+  return entry.txns.every(c => c && typeof c.id === 'string' && validTxn(c.before) && validTxn(c.after)) &&
+    entry.ws.every(c => c && validateMonth(c.month) && typeof c.key === 'string' && validWs(c.before) && validWs(c.after));
+}
+
+/**
+ * Load undo/redo stacks from IndexedDB
+ * @returns {Promise<{undo: Array, redo: Array}>} History stacks (empty if missing or invalid)
+ */
+async function loadHistory() {
+  try {
+    // The history record is encrypted like transactions when the app lock is on (it holds copies of them)
+    const record = await openStored(await runTransaction('meta', 'readonly', tx => tx.objectStore('meta').get('history')));
+    const parsed = record ? record.value : undefined;
+    if (!parsed || typeof parsed !== 'object') return { undo: [], redo: [] };
+    const undo = Array.isArray(parsed.undo) ? parsed.undo.filter(validateHistoryEntry) : [];
+    const redo = Array.isArray(parsed.redo) ? parsed.redo.filter(validateHistoryEntry) : [];
+    console.log('[History] Loaded', undo.length, 'undo and', redo.length, 'redo step(s)');
+    return { undo, redo };
+  } catch (e) {
+    console.error('[History] Error loading history from IndexedDB:', e);
+    return { undo: [], redo: [] };
+  }
+}
+
+// Timer for the pending history write
+let historySaveTimer = null;
+
+/**
+ * Schedule the undo/redo stacks to be saved to IndexedDB
+ */
+function saveHistory() {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = setTimeout(persistHistory, HISTORY_SAVE_DELAY_MS);
+}
+
+/**
+ * Build the meta record holding the undo/redo stacks
+ * Drops the oldest steps from the persisted copy if history grows past HISTORY_MAX_BYTES
+ * @returns {{key: string, value: {undo: Array, redo: Array}}}
+ */
+function buildHistoryRecord() {
+  const undo = undoStack.slice();
+  const redo = redoStack.slice();
+  let json = JSON.stringify({ undo, redo });
+  while (json.length > HISTORY_MAX_BYTES && (undo.length > 0 || redo.length > 0)) {
+    // Redo steps furthest from the current state go first, then the oldest undo steps
+    if (redo.length > 0) redo.shift(); else undo.shift();
+    json = JSON.stringify({ undo, redo });
+  }
+  return { key: 'history', value: JSON.parse(json) };
+}
+
+/**
+ * Save undo/redo stacks to IndexedDB
+ */
+async function persistHistory() {
+  if (!db) return;
+  try {
+    const [record] = await sealRecords([buildHistoryRecord()], 'key');
+    await runTransaction('meta', 'readwrite', tx => {
+      tx.objectStore('meta').put(record);
+    });
+  } catch (e) {
+    // History is a convenience; never block the user's actual change because of it
+    console.warn('[History] Could not persist history:', e);
+  }
+}
+
+// Undo/redo stacks (restored from IndexedDB during initialization)
+let undoStack = [];
+let redoStack = [];
+
+/**
+ * Run a change to txns and/or wsData and record it as one undoable step
+ * Transactions are diffed by ID and worksheet values by key, so only changed records are stored
+ * @param {string} label - Short description of the change (e.g., "Deleted transaction")
+ * @param {Function} mutate - Function that changes txns and/or wsData
+ * @param {Object} [options]
+ * @param {boolean} [options.toast] - Show a toast offering Undo (for destructive operations)
+ * @param {string} [options.coalesceKey] - Merge with the previous step if it has the same key
+ */
+function recordChange(label, mutate, options = {}) {
+  const beforeTxns = new Map(txns.map(t => [t.id, t]));
+  const beforeWs = JSON.parse(JSON.stringify(wsData));
+  mutate();
+
+  // Diff transactions by ID (before/after of null means added/deleted)
+  const txnChanges = [];
+  const afterIds = new Set();
+  txns.forEach(t => {
+    afterIds.add(t.id);
+    const before = beforeTxns.get(t.id) || null;
+    if (!before || JSON.stringify(before) !== JSON.stringify(t)) {
+      txnChanges.push({ id: t.id, before, after: { ...t } });
+    }
+  });
+  beforeTxns.forEach((t, id) => {
+    if (!afterIds.has(id)) txnChanges.push({ id, before: t, after: null });
+  });
+
+  // Diff worksheet values by month and key
+  const wsChanges = [];
+  new Set([...Object.keys(beforeWs), ...Object.keys(wsData)]).forEach(month => {
+    const beforeValues = beforeWs[month] || {};
+    const afterValues = wsData[month] || {};
+    new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)]).forEach(key => {
+      const before = beforeValues[key] !== undefined ? beforeValues[key] : null;
+      const after = afterValues[key] !== undefined ? afterValues[key] : null;
+      if (before !== after) wsChanges.push({ month, key, before, after });
+    });
+  });
+
+  if (txnChanges.length === 0 && wsChanges.length === 0) return;
+
+  const now = Date.now();
+  const last = undoStack[undoStack.length - 1];
+  if (options.coalesceKey && last && last.coalesceKey === options.coalesceKey &&
+      redoStack.length === 0 && now - last.time < HISTORY_COALESCE_MS) {
+    // Merge into the previous step, keeping its original "before" values
+    wsChanges.forEach(change => {
+      const existing = last.ws.find(c => c.month === change.month && c.key === change.key);
+      if (existing) existing.after = change.after; else last.ws.push(change);
+    });
+    txnChanges.forEach(change => {
+      const existing = last.txns.find(c => c.id === change.id);
+      if (existing) existing.after = change.after; else last.txns.push(change);
+    });
+    last.time = now;
+  } else {
+    undoStack.push({ label, time: now, coalesceKey: options.coalesceKey || null, txns: txnChanges, ws: wsChanges });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  }
+  redoStack = [];
+  saveHistory();
+  updateHistoryControls();
+  if (options.toast) showToast(label, true);
+}
+
+/**
+ * Apply one side of a history step to txns and wsData, then persist and re-render
+ * @param {Object} entry - History entry
+ * @param {'before'|'after'} side - Which values to restore
+ */
+function applyHistoryEntry(entry, side) {
+  const byId = new Map(txns.map(t => [t.id, t]));
+  entry.txns.forEach(change => {
+    const value = change[side];
+    if (value) byId.set(change.id, { ...value }); else byId.delete(change.id);
+  });
+  txns = Array.from(byId.values());
+
+  entry.ws.forEach(change => {
+    const value = change[side];
+    if (value !== null) {
+      if (!wsData[change.month]) wsData[change.month] = {};
+      wsData[change.month][change.key] = value;
+    } else if (wsData[change.month]) {
+      delete wsData[change.month][change.key];
+      if (Object.keys(wsData[change.month]).length === 0) delete wsData[change.month];
+    }
+  });
+
+  // Anything loaded into the entry form may no longer match the stored record
+  if (editingId) cancelEdit();
+  save(txns);
+  if (entry.ws.length > 0) saveWorksheet();
+  render();
+  refreshWorksheetInputs();
+}
+
+/**
+ * Undo the most recent change
+ */
+function undo() {
+  const entry = undoStack.pop();
+  if (!entry) return;
+  console.log('[History] Undo:', entry.label);
+  applyHistoryEntry(entry, 'before');
+  redoStack.push(entry);
+  saveHistory();
+  updateHistoryControls();
+  showToast(`Undone: ${entry.label}`, false);
+}
+
+/**
+ * Redo the most recently undone change
+ */
+function redo() {
+  const entry = redoStack.pop();
+  if (!entry) return;
+  console.log('[History] Redo:', entry.label);
+  applyHistoryEntry(entry, 'after');
+  undoStack.push(entry);
+  saveHistory();
+  updateHistoryControls();
+  showToast(`Redone: ${entry.label}`, false);
+}
+
+/**
+ * Update the Undo/Redo menu items to reflect the current stacks
+ */
+function updateHistoryControls() {
+  const lastUndo = undoStack[undoStack.length - 1];
+  const lastRedo = redoStack[redoStack.length - 1];
+  menuUndo.textContent = lastUndo ? `Undo: ${lastUndo.label}` : 'Undo';
+  menuRedo.textContent = lastRedo ? `Redo: ${lastRedo.label}` : 'Redo';
+  menuUndo.classList.toggle('menu-item-disabled', !lastUndo);
+  menuRedo.classList.toggle('menu-item-disabled', !lastRedo);
+}
+
+// Timer for hiding the toast
+let toastTimer = null;
+
+/**
+ * Show a short message at the bottom of the screen
+ * @param {string} message - Message to show
+ * @param {boolean} offerUndo - Whether to show the Undo button
+ */
+function showToast(message, offerUndo) {
+  toastMessageEl.textContent = message;
+  toastUndoBtn.style.display = offerUndo ? '' : 'none';
+  toastEl.classList.add('show');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideToast, 6000);
+}
+
+/**
+ * Hide the toast
+ */
+function hideToast() {
+  clearTimeout(toastTimer);
+  toastEl.classList.remove('show');
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+// Edit/delete transaction handler (uses event delegation for dynamically created elements)
+listEl.addEventListener('click', e=>{
+  const id = e.target.dataset?.id;
+  const action = e.target.dataset?.action;
+  // Validate that id is a non-empty string to prevent manipulation
+  if(id && typeof id === 'string' && id.length > 0){ 
+    e.preventDefault();
+    if (action === 'edit') {
+      startEdit(id);
+      return;
+    }
+    recordChange('Deleted transaction', () => {
+      txns = txns.filter(t=>t && t.id && t.id !== id); 
+    }, { toast: true });
+    // Deleting the transaction being edited leaves nothing to save
+    if (editingId === id) cancelEdit();
+    save(txns); 
+    render(); 
+  }
+});
+
+// Form submission (adds a new transaction, or saves the one being edited)
+addBtn.addEventListener('click', () => editingId ? saveEdit() : add());
+cancelEditBtn.addEventListener('click', cancelEdit);
+
+// Undo/redo handlers
+toastUndoBtn.addEventListener('click', () => {
+  hideToast();
+  undo();
+});
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); Ctrl+Y also redoes
+document.addEventListener('keydown', e => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  if (key !== 'z' && key !== 'y') return;
+  // Leave text fields to the browser's own undo while typing
+  const target = e.target;
+  if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+  e.preventDefault();
+  if (key === 'y' || e.shiftKey) redo(); else undo();
+});
+
+// Worksheet month picker and copy action
+wsMonthEl.addEventListener('change', () => {
+  const month = validateMonth(wsMonthEl.value);
+  if (!month) {
+    // Cleared or invalid picker value: keep showing the current selection
+    wsMonthEl.value = wsMonth;
+    return;
+  }
+  wsMonth = month;
+  console.log('[Worksheet] Month changed to', wsMonth);
+  refreshWorksheetInputs();
+});
+wsCopyPrevBtn.addEventListener('click', copyPreviousMonthWorksheet);
+
+// Toggle the worksheet structure editor
+wsEditStructureBtn.addEventListener('click', () => {
+  wsEditing = !wsEditing;
+  console.log('[Worksheet] Structure editor', wsEditing ? 'opened' : 'closed');
+  renderWorksheet();
+});
+
+// Search and filter handlers
+searchEl.addEventListener('input', render);
+filterTypeEl.addEventListener('change', render);
+filterAccountEl.addEventListener('change', render);
+
+// Period filter handlers
+filterPeriodEl.addEventListener('change', () => selectPeriodPreset(filterPeriodEl.value));
+filterFromEl.addEventListener('change', applyCustomRange);
+filterToEl.addEventListener('change', applyCustomRange);
+periodPrevBtn.addEventListener('click', () => shiftPeriod(-1));
+periodNextBtn.addEventListener('click', () => shiftPeriod(1));
+
+// ============================================================================
+// TAB SWITCHING
+// ============================================================================
+// Tab switching functionality for the main tabs (Transactions, Recurring, Rules, Worksheet, Budget vs. Actual, Reports)
+const tabs = document.querySelectorAll('.tab');
+const tabContents = document.querySelectorAll('.tab-content');
+
+/**
+ * Show a main tab and refresh any view that is only rendered while visible
+ * @param {string} targetTab - Tab name from the tab button's data-tab attribute
+ */
+function activateTab(targetTab) {
+  console.log('[UI] Tab switched to:', targetTab);
+  
+  // Remove active class from all tabs and contents
+  tabs.forEach(t => t.classList.remove('active'));
+  tabContents.forEach(content => content.classList.remove('active'));
+  
+  // Add active class to the target tab and corresponding content
+  document.querySelector(`.tab[data-tab="${targetTab}"]`).classList.add('active');
+  document.getElementById(`${targetTab}Tab`).classList.add('active');
+  
+  if (targetTab === 'budget') renderBudgetVsActual();
+  if (targetTab === 'reports') renderReports();
+  if (targetTab === 'accounts') renderAccounts();
+}
+
+/**
+ * Check whether a main tab is currently shown
+ * @param {string} name - Tab name from the tab button's data-tab attribute
+ * @returns {boolean}
+ */
+function isTabActive(name) {
+  return document.getElementById(`${name}Tab`).classList.contains('active');
+}
+
+tabs.forEach(tab => {
+  tab.addEventListener('click', () => activateTab(tab.dataset.tab));
+});
+
+// ============================================================================
+// BUDGET VS. ACTUAL
+// ============================================================================
+// User-chosen mapping of transaction category (lowercase) to worksheet item key ('' = not counted)
+let categoryMap = {};
+
+/**
+ * Default worksheet items for the categories produced by getKeywordCategory()
+ * Categories not listed here are matched to a worksheet item with the same name
+ */
+const DEFAULT_CATEGORY_MAP = {
+  'income': '0-0-0',        // Primary take-home pay
+  'rent': '1-0-0',          // Mortgage or rent
+  'restaurant': '1-2-1',    // Dining out
+  'credit cards': '1-4-0',  // Credit card payments
+  'debt': '1-4-5',          // Other debt
+  'healthcare': '1-5-4',    // Other healthcare
+  'entertainment': '2-6-3', // Other entertainment
+  'shopping': '3-0-0',      // Miscellaneous
+  'fees': '3-0-0',          // Miscellaneous
+  'transfers': ''           // Moving money between accounts is not spending
+};
+
+/**
+ * Load the category mapping from IndexedDB
+ * @returns {Promise<Object>} Mapping of lowercase category to worksheet item key
+ */
+async function loadCategoryMap() {
+  try {
+    return validateCategoryMap(await getMeta('categoryMap'));
+  } catch (e) {
+    console.error('[Budget] Error loading category mapping:', e);
+    return {};
+  }
+}
+
+/**
+ * Validate a stored category mapping, dropping entries that aren't category → item key strings
+ * @param {*} stored - Mapping to validate
+ * @returns {Object} Validated mapping
+ */
+function validateCategoryMap(stored) {
+  const validated = {};
+  if (stored && typeof stored === 'object') {
+    Object.keys(stored).slice(0, 1000).forEach(cat => {
+      const key = stored[cat];
+      if (cat.length <= 100 && typeof key === 'string' && key.length <= 100) validated[cat] = key;
+    });
+  }
+  return validated;
+}
+
+/**
+ * Save the category mapping to IndexedDB
+ */
+function saveCategoryMap() {
+  setSyncedMeta('categoryMap', categoryMap).catch(e => reportSaveError(e, 'category mapping'));
+}
+
+/**
+ * List every worksheet line item with the section and category it belongs to
+ * @returns {Array<{key: string, name: string, label: string, sectionId: string, categoryId: string|null, income: boolean}>}
+ */
+function getWorksheetItems() {
+  const items = [];
+  wsStructure.forEach(section => {
+    const income = section.kind === 'income';
+    section.items.forEach(item => {
+      items.push({ key: item.id, name: item.name, label: item.name, sectionId: section.id, categoryId: null, income });
+    });
+    section.categories.forEach(cat => {
+      cat.items.forEach(item => {
+        items.push({ key: item.id, name: item.name, label: `${cat.name} › ${item.name}`, sectionId: section.id, categoryId: cat.id, income });
+      });
+    });
+  });
+  return items;
+}
+
+/**
+ * Find the worksheet item a transaction category counts toward
+ * Order: the user's mapping, then DEFAULT_CATEGORY_MAP, then a worksheet item with the same name
+ * @param {string} category - Transaction category
+ * @param {Map<string, Object>} itemsByKey - Worksheet items keyed by item key
+ * @returns {string|null} Item key, '' if the category is not counted, or null if unmapped
+ */
+function resolveWorksheetItem(category, itemsByKey) {
+  const name = (category || '').trim().toLowerCase();
+  if (!name) return null;
+  const known = key => key === '' || itemsByKey.has(key);
+  if (Object.prototype.hasOwnProperty.call(categoryMap, name) && known(categoryMap[name])) {
+    return categoryMap[name];
+  }
+  if (Object.prototype.hasOwnProperty.call(DEFAULT_CATEGORY_MAP, name) && known(DEFAULT_CATEGORY_MAP[name])) {
+    return DEFAULT_CATEGORY_MAP[name];
+  }
+  for (const item of itemsByKey.values()) {
+    if (item.name.toLowerCase() === name) return item.key;
+  }
+  return null;
+}
+
+/**
+ * Sum a month's transactions per worksheet item
+ * Expenses add to expense items and refunds (income) subtract; the reverse for income items
+ * @param {string} month - Month in YYYY-MM format
+ * @param {Map<string, Object>} itemsByKey - Worksheet items keyed by item key
+ * @returns {{actual: Object, unmapped: Map<string, {income: number, expense: number}>, otherCount: number}}
+ *   otherCount is the number of the month's transactions left out for being in another currency
+ */
+function computeActuals(month, itemsByKey) {
+  const actual = {};
+  const unmapped = new Map();
+  let otherCount = 0;
+  txns.forEach(t => {
+    // Transfers only move money between accounts
+    if (!t.date || !t.date.startsWith(month) || t.type === 'transfer') return;
+    // Amounts in other currencies can't be added to the plan's
+    if (!isInDisplayCurrency(t)) {
+      otherCount++;
+      return;
+    }
+    // Split transactions count each line toward its own category
+    getCategoryLines(t).forEach(({ cat, amount }) => {
+      const key = resolveWorksheetItem(cat, itemsByKey);
+      if (key === '') return;
+      if (key === null) {
+        const name = (cat || '').trim() || 'Uncategorized';
+        const totals = unmapped.get(name) || { income: 0, expense: 0 };
+        totals[t.type] += amount;
+        unmapped.set(name, totals);
+        return;
+      }
+      const counts = itemsByKey.get(key).income ? t.type === 'income' : t.type === 'expense';
+      actual[key] = (actual[key] || 0) + (counts ? amount : -amount);
+    });
+  });
+  return { actual, unmapped, otherCount };
+}
+
+/**
+ * Build a select for mapping a transaction category to a worksheet item
+ * @param {string} category - Transaction category
+ * @param {Array} items - Worksheet items from getWorksheetItems()
+ * @returns {HTMLSelectElement}
+ */
+function createCategoryMapSelect(category, items) {
+  const name = category.trim().toLowerCase();
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', `Worksheet item for ${category}`);
+  
+  const addOption = (parent, value, text) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    parent.appendChild(option);
+  };
+  addOption(select, '__auto', 'Not mapped');
+  addOption(select, '', 'Don\'t count');
+  wsStructure.forEach(section => {
+    const group = document.createElement('optgroup');
+    group.label = getShortSectionTitle(section);
+    items.filter(item => item.sectionId === section.id).forEach(item => addOption(group, item.key, item.label));
+    select.appendChild(group);
+  });
+  
+  const current = resolveWorksheetItem(category, new Map(items.map(i => [i.key, i])));
+  select.value = current === null ? '__auto' : current;
+  select.addEventListener('change', () => {
+    if (select.value === '__auto') delete categoryMap[name]; else categoryMap[name] = select.value;
+    console.log('[Budget] Mapped category', category, 'to', select.value);
+    saveCategoryMap();
+    renderBudgetVsActual();
+  });
+  return select;
+}
+
+/**
+ * Render the Budget vs. Actual report for the selected month
+ * Shows planned, actual, remaining and percent used per item, category and section
+ */
+function renderBudgetVsActual() {
+  if (!bvaMonthEl.value) bvaMonthEl.value = currentMonth();
+  const month = bvaMonthEl.value;
+  const items = getWorksheetItems();
+  const itemsByKey = new Map(items.map(item => [item.key, item]));
+  const { actual, unmapped, otherCount } = computeActuals(month, itemsByKey);
+  
+  bvaReportEl.innerHTML = '';
+  
+  /**
+   * Append one comparison row to a table body
+   * @param {HTMLElement} tbody - Table body
+   * @param {string} label - Row label
+   * @param {number} planned - Planned amount
+   * @param {number} spent - Actual amount
+   * @param {boolean} income - Income rows are never "over budget"
+   * @param {string} [className] - Extra row class (e.g., subtotal)
+   */
+  const addRow = (tbody, label, planned, spent, income, className) => {
+    const tr = document.createElement('tr');
+    if (className) tr.classList.add(className);
+    if (!income && spent > planned + 0.005) tr.classList.add('over-budget');
+    const used = planned > 0 ? `${Math.round((spent / planned) * 100)}%` : '—';
+    [label, fmt(planned), fmt(spent), fmt(planned - spent), used].forEach((text, i) => {
+      const cell = document.createElement(i === 0 ? 'th' : 'td');
+      if (i === 0) cell.scope = 'row';
+      cell.textContent = text;
+      tr.appendChild(cell);
+    });
+    tbody.appendChild(tr);
+  };
+  
+  let plannedExpenses = 0, actualExpenses = 0;
+  
+  wsStructure.forEach(section => {
+    const income = section.kind === 'income';
+    const card = document.createElement('div');
+    card.className = 'card bva-card';
+    const h2 = document.createElement('h2');
+    h2.textContent = getShortSectionTitle(section);
+    card.appendChild(h2);
+    
+    const table = document.createElement('table');
+    table.className = 'bva-table';
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    ['Item', 'Planned', 'Actual', income ? 'To receive' : 'Remaining', income ? 'Received' : 'Used'].forEach(text => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = text;
+      headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    
+    // Only list lines with a plan or activity this month to keep the report readable
+    const sectionItems = items.filter(item => item.sectionId === section.id);
+    const plan = getMonthValues(month);
+    const active = item => (plan[item.key] || 0) !== 0 || (actual[item.key] || 0) !== 0;
+    let secPlanned = 0, secActual = 0;
+    
+    const groups = [
+      { name: null, items: sectionItems.filter(i => i.categoryId === null) },
+      ...section.categories.map(cat => ({ name: cat.name, items: sectionItems.filter(i => i.categoryId === cat.id) }))
+    ];
+    
+    groups.forEach(group => {
+      const shown = group.items.filter(active);
+      if (shown.length === 0) return;
+      let catPlanned = 0, catActual = 0;
+      if (group.name) {
+        const tr = document.createElement('tr');
+        tr.className = 'bva-category';
+        const th = document.createElement('th');
+        th.colSpan = 5;
+        th.scope = 'colgroup';
+        th.textContent = group.name;
+        tr.appendChild(th);
+        tbody.appendChild(tr);
+      }
+      shown.forEach(item => {
+        const planned = plan[item.key] || 0;
+        const spent = actual[item.key] || 0;
+        catPlanned += planned;
+        catActual += spent;
+        addRow(tbody, item.name, planned, spent, income);
+      });
+      if (group.name) addRow(tbody, `${group.name} subtotal`, catPlanned, catActual, income, 'bva-subtotal');
+      secPlanned += catPlanned;
+      secActual += catActual;
+    });
+    
+    if (tbody.children.length === 0) {
+      const empty = document.createElement('small');
+      empty.textContent = 'Nothing planned or recorded for this month.';
+      card.appendChild(empty);
+    } else {
+      addRow(tbody, 'Section total', secPlanned, secActual, income, 'bva-total');
+      table.appendChild(tbody);
+      card.appendChild(table);
+    }
+    
+    if (!income) {
+      plannedExpenses += secPlanned;
+      actualExpenses += secActual;
+    }
+    bvaReportEl.appendChild(card);
+  });
+  
+  // Overall expense summary at the top of the report
+  const summary = document.createElement('div');
+  summary.className = 'totals';
+  [['Planned expenses', plannedExpenses], ['Actual expenses', actualExpenses], ['Remaining', plannedExpenses - actualExpenses]]
+    .forEach(([label, value]) => {
+      const pill = document.createElement('div');
+      pill.className = 'pill';
+      const labelDiv = document.createElement('div');
+      const small = document.createElement('small');
+      small.textContent = label;
+      labelDiv.appendChild(small);
+      const strong = document.createElement('strong');
+      strong.textContent = fmt(value);
+      if (label === 'Remaining' && value < 0) strong.className = 'neg';
+      pill.appendChild(labelDiv);
+      pill.appendChild(strong);
+      summary.appendChild(pill);
+    });
+  bvaReportEl.insertBefore(summary, bvaReportEl.firstChild);
+  if (otherCount > 0) {
+    const note = document.createElement('small');
+    note.textContent = `Not counting ${otherCount} transaction${otherCount === 1 ? '' : 's'} in accounts with another currency.`;
+    bvaReportEl.insertBefore(note, summary.nextSibling);
+  }
+  
+  // Categories this month that don't count toward any worksheet item
+  if (unmapped.size > 0) {
+    const card = document.createElement('div');
+    card.className = 'card bva-card';
+    const h2 = document.createElement('h2');
+    h2.textContent = 'Not in budget';
+    card.appendChild(h2);
+    const hint = document.createElement('small');
+    hint.textContent = 'These categories are not mapped to a worksheet item. Choose an item to include them above.';
+    card.appendChild(hint);
+    unmapped.forEach((totals, name) => {
+      const row = document.createElement('div');
+      row.className = 'bva-mapping-row';
+      const label = document.createElement('div');
+      const strong = document.createElement('strong');
+      strong.textContent = name;
+      const small = document.createElement('small');
+      small.textContent = [
+        totals.expense ? `${fmt(-totals.expense)} spent` : '',
+        totals.income ? `${fmt(totals.income)} received` : ''
+      ].filter(Boolean).join(' • ');
+      label.appendChild(strong);
+      label.appendChild(document.createElement('br'));
+      label.appendChild(small);
+      row.appendChild(label);
+      if (name !== 'Uncategorized') row.appendChild(createCategoryMapSelect(name, items));
+      card.appendChild(row);
+    });
+    bvaReportEl.appendChild(card);
+  }
+  
+  // Full mapping editor for every category used by any transaction
+  const categories = [...new Set(txns.flatMap(t => getCategoryLines(t).map(l => (l.cat || '').trim())).filter(Boolean))]
+    .sort((a, b) => a.localeCompare(b));
+  if (categories.length > 0) {
+    const details = document.createElement('details');
+    details.className = 'card bva-card';
+    const summaryEl = document.createElement('summary');
+    summaryEl.textContent = 'Category mapping';
+    details.appendChild(summaryEl);
+    const seen = new Set();
+    categories.forEach(category => {
+      // Mapping is case-insensitive, so list each category once
+      if (seen.has(category.toLowerCase())) return;
+      seen.add(category.toLowerCase());
+      const row = document.createElement('div');
+      row.className = 'bva-mapping-row';
+      const label = document.createElement('strong');
+      label.textContent = category;
+      row.appendChild(label);
+      row.appendChild(createCategoryMapSelect(category, items));
+      details.appendChild(row);
+    });
+    bvaReportEl.appendChild(details);
+  }
+}
+
+/**
+ * Re-render the Budget vs. Actual report if it is on screen
+ * Called after transactions or worksheet values change
+ */
+function refreshBudgetVsActual() {
+  if (isTabActive('budget')) renderBudgetVsActual();
+}
+
+bvaMonthEl.addEventListener('change', renderBudgetVsActual);
+
+// ============================================================================
+// REPORTS
+// ============================================================================
+// Namespace for chart elements (charts are plain SVG, so they work offline and under the CSP)
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Colors for category slices; the last one is used for "Other"
+const CHART_COLORS = ['#0f766e', '#0369a1', '#b45309', '#7c3aed', '#be185d', '#15803d', '#b91c1c', '#4338ca', '#64748b'];
+// Categories shown separately in the breakdown before the rest are grouped as "Other"
+const CHART_MAX_CATEGORIES = 8;
+// Number of months in the trend charts (ending with the current month)
+const TREND_MONTHS = 12;
+// Category slice the transaction list is narrowed to from a chart ({label, keys} or null for all)
+let categoryFilter = null;
+
+/**
+ * Normalize a transaction category for grouping ('' for uncategorized)
+ * @param {string} cat - Transaction category
+ * @returns {string}
+ */
+function getCategoryKey(cat) {
+  return (cat || '').trim().toLowerCase();
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} name - Element name (e.g., 'path')
+ * @param {Object} [attrs] - Attribute values
+ * @returns {SVGElement}
+ */
+function createSvgElement(name, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, name);
+  Object.keys(attrs).forEach(key => el.setAttribute(key, attrs[key]));
+  return el;
+}
+
+/**
+ * Make a chart element clickable and keyboard accessible, with a tooltip
+ * @param {Element} el - Chart element
+ * @param {string} label - Tooltip and accessible name
+ * @param {Function} onActivate - Called on click, Enter or Space
+ */
+function makeChartInteractive(el, label, onActivate) {
+  const title = createSvgElement('title');
+  title.textContent = label;
+  el.appendChild(title);
+  el.setAttribute('tabindex', '0');
+  el.setAttribute('role', 'button');
+  el.setAttribute('aria-label', label);
+  el.classList.add('chart-target');
+  el.addEventListener('click', onActivate);
+  el.addEventListener('keydown', e => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onActivate();
+    }
+  });
+}
+
+/**
+ * Format an axis value compactly in the chosen currency (e.g., "$1.2K", or "15.000 €" in German)
+ * @param {number} n - Value
+ * @returns {string}
+ */
+function formatAxisValue(n) {
+  return compactCurrencyFormatter.format(n);
+}
+
+/**
+ * Round a chart maximum up to a value that divides into readable gridlines
+ * @param {number} n - Largest value shown
+ * @returns {number}
+ */
+function niceCeil(n) {
+  if (n <= 0) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(n)));
+  const step = [1, 2, 2.5, 5, 10].find(s => s * magnitude >= n);
+  return step * magnitude;
+}
+
+/**
+ * Get the short name of a month (e.g., "Oct")
+ * @param {string} month - Month in YYYY-MM format
+ * @returns {string}
+ */
+function getShortMonthName(month) {
+  const [y, m] = month.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, 1)).toLocaleDateString(getLocale(), { month: 'short', timeZone: 'UTC' });
+}
+
+/**
+ * Sum expenses in the selected period by category (in the display currency only)
+ * Categories beyond CHART_MAX_CATEGORIES are grouped into one "Other" slice
+ * @returns {Array<{label: string, keys: Array<string>, amount: number, grouped?: boolean}>} Slices, largest first
+ */
+function getCategoryBreakdown() {
+  const totals = new Map();
+  txns.forEach(t => {
+    if (t.type !== 'expense' || !isInPeriod(t) || !isInDisplayCurrency(t)) return;
+    getCategoryLines(t).forEach(({ cat, amount }) => {
+      const key = getCategoryKey(cat);
+      const slice = totals.get(key) || { label: (cat || '').trim() || 'Uncategorized', keys: [key], amount: 0 };
+      slice.amount += amount;
+      totals.set(key, slice);
+    });
+  });
+  const slices = [...totals.values()].filter(s => s.amount > 0).sort((a, b) => b.amount - a.amount);
+  if (slices.length <= CHART_MAX_CATEGORIES) return slices;
+  const rest = slices.slice(CHART_MAX_CATEGORIES - 1);
+  return slices.slice(0, CHART_MAX_CATEGORIES - 1).concat({
+    label: 'Other',
+    grouped: true,
+    keys: rest.flatMap(s => s.keys),
+    amount: rest.reduce((sum, s) => sum + s.amount, 0)
+  });
+}
+
+/**
+ * Sum income and expenses per month for the trend charts (in the display currency only)
+ * @returns {{months: Array<{month: string, income: number, expense: number}>, openingNet: number}}
+ *   The last TREND_MONTHS months, and the net of everything before them
+ */
+function getMonthlyTotals() {
+  const [y, m] = currentMonth().split('-').map(Number);
+  const months = [];
+  for (let i = TREND_MONTHS - 1; i >= 0; i--) {
+    months.push({ month: clampedMonthDate(y, m - 1 - i, 1).slice(0, 7), income: 0, expense: 0 });
+  }
+  const byMonth = new Map(months.map(entry => [entry.month, entry]));
+  let openingNet = 0;
+  txns.forEach(t => {
+    if (!t.date || t.type === 'transfer' || !isInDisplayCurrency(t)) return;
+    const amount = typeof t.amount === 'number' && isFinite(t.amount) ? t.amount : 0;
+    const entry = byMonth.get(t.date.slice(0, 7));
+    if (entry) {
+      entry[t.type] += amount;
+    } else if (t.date < months[0].month) {
+      openingNet += t.type === 'income' ? amount : -amount;
+    }
+  });
+  return { months, openingNet };
+}
+
+/**
+ * Show the transactions behind a chart element on the Transactions tab
+ * @param {Object} filters
+ * @param {{label: string, keys: Array<string>}} [filters.category] - Category slice to show
+ * @param {string} [filters.month] - Month to show (YYYY-MM); otherwise the period is unchanged
+ * @param {string} [filters.type] - 'income', 'expense' or 'all'
+ */
+function showTransactionsFor({ category = null, month = null, type = 'all' }) {
+  categoryFilter = category;
+  filterTypeEl.value = type;
+  console.log('[Reports] Showing transactions for', category ? category.label : 'all categories', month || '', type);
+  if (month) {
+    const [y, m] = month.split('-').map(Number);
+    setPeriod(createPeriod(`${month}-01`, clampedMonthDate(y, m - 1, 31), 'month'));
+  } else {
+    render();
+  }
+  activateTab('transactions');
+  const tabsContainer = document.querySelector('.tabs-container');
+  if (tabsContainer) tabsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Show or hide the chip that clears a chart's category filter
+ */
+function updateCategoryFilterChip() {
+  categoryFilterChipEl.style.display = categoryFilter ? '' : 'none';
+  categoryFilterLabelEl.textContent = categoryFilter ? `Category: ${categoryFilter.label}` : '';
+}
+
+/**
+ * Build an SVG path for a donut slice
+ * @param {number} c - Center coordinate (the chart is square)
+ * @param {number} outer - Outer radius
+ * @param {number} inner - Inner radius
+ * @param {number} start - Start angle in radians (0 = top)
+ * @param {number} end - End angle in radians
+ * @returns {string} Path data
+ */
+function describeDonutSlice(c, outer, inner, start, end) {
+  const point = (r, a) => `${(c + r * Math.sin(a)).toFixed(2)} ${(c - r * Math.cos(a)).toFixed(2)}`;
+  const large = end - start > Math.PI ? 1 : 0;
+  return `M ${point(outer, start)} A ${outer} ${outer} 0 ${large} 1 ${point(outer, end)} ` +
+    `L ${point(inner, end)} A ${inner} ${inner} 0 ${large} 0 ${point(inner, start)} Z`;
+}
+
+/**
+ * Render the spending-by-category donut and its legend
+ * @param {HTMLElement} card - Card to render into
+ */
+function renderCategoryChart(card) {
+  const slices = getCategoryBreakdown();
+  const total = slices.reduce((sum, s) => sum + s.amount, 0);
+  if (slices.length === 0) {
+    const empty = document.createElement('small');
+    empty.textContent = 'No expenses in this period.';
+    card.appendChild(empty);
+    return;
+  }
+
+  const layout = document.createElement('div');
+  layout.className = 'chart-donut-layout';
+  const size = 220, c = size / 2;
+  const svg = createSvgElement('svg', { viewBox: `0 0 ${size} ${size}`, class: 'chart chart-donut', role: 'img', 'aria-label': 'Spending by category' });
+  const legend = document.createElement('ul');
+  legend.className = 'chart-legend';
+
+  let angle = 0;
+  slices.forEach((slice, i) => {
+    const color = slice.grouped ? CHART_COLORS[CHART_COLORS.length - 1] : CHART_COLORS[i % (CHART_COLORS.length - 1)];
+    const share = slice.amount / total;
+    const label = `${slice.label}: ${fmt(slice.amount)} (${Math.round(share * 100)}%)`;
+    const open = () => showTransactionsFor({ category: { label: slice.label, keys: slice.keys }, type: 'expense' });
+    // A full circle can't be drawn as one arc, so a single category is split in two halves
+    const end = slices.length === 1 ? angle + Math.PI : angle + share * 2 * Math.PI;
+    const group = createSvgElement('g');
+    group.appendChild(createSvgElement('path', { d: describeDonutSlice(c, 100, 62, angle, end), fill: color }));
+    if (slices.length === 1) group.appendChild(createSvgElement('path', { d: describeDonutSlice(c, 100, 62, end, end + Math.PI), fill: color }));
+    makeChartInteractive(group, label, open);
+    svg.appendChild(group);
+    angle = end;
+
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'chart-legend-item';
+    const swatch = document.createElement('span');
+    swatch.className = 'chart-swatch';
+    swatch.style.background = color;
+    const name = document.createElement('span');
+    name.textContent = slice.label;
+    const value = document.createElement('small');
+    value.textContent = `${fmt(slice.amount)} • ${Math.round(share * 100)}%`;
+    button.appendChild(swatch);
+    button.appendChild(name);
+    button.appendChild(value);
+    button.addEventListener('click', open);
+    li.appendChild(button);
+    legend.appendChild(li);
+  });
+
+  const totalText = createSvgElement('text', { x: c, y: c - 4, 'text-anchor': 'middle', class: 'chart-center-value' });
+  totalText.textContent = fmt(total);
+  const caption = createSvgElement('text', { x: c, y: c + 16, 'text-anchor': 'middle', class: 'chart-axis' });
+  caption.textContent = 'spent';
+  svg.appendChild(totalText);
+  svg.appendChild(caption);
+
+  layout.appendChild(svg);
+  layout.appendChild(legend);
+  card.appendChild(layout);
+}
+
+/**
+ * Draw horizontal gridlines with value labels
+ * @param {SVGElement} svg - Chart
+ * @param {Object} box - Plot area {left, right, top, bottom}
+ * @param {number} min - Value at the bottom
+ * @param {number} max - Value at the top
+ * @returns {Function} Maps a value to its y coordinate
+ */
+function drawValueAxis(svg, box, min, max) {
+  const y = value => box.bottom - ((value - min) / (max - min)) * (box.bottom - box.top);
+  for (let i = 0; i <= 4; i++) {
+    const value = min + ((max - min) * i) / 4;
+    svg.appendChild(createSvgElement('line', { x1: box.left, x2: box.right, y1: y(value), y2: y(value), class: 'chart-grid' }));
+    const label = createSvgElement('text', { x: box.left - 6, y: y(value) + 4, 'text-anchor': 'end', class: 'chart-axis' });
+    label.textContent = formatAxisValue(value);
+    svg.appendChild(label);
+  }
+  return y;
+}
+
+/**
+ * Render the monthly income vs. expense bar chart
+ * @param {HTMLElement} card - Card to render into
+ * @param {Array} months - Monthly totals from getMonthlyTotals()
+ */
+function renderTrendChart(card, months) {
+  const width = 600, height = 240;
+  const box = { left: 56, right: width - 8, top: 12, bottom: height - 28 };
+  const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart', role: 'img', 'aria-label': 'Monthly income and expenses' });
+  const max = niceCeil(Math.max(...months.map(m => Math.max(m.income, m.expense))));
+  const y = drawValueAxis(svg, box, 0, max);
+  const slot = (box.right - box.left) / months.length;
+  const barWidth = slot * 0.35;
+
+  months.forEach((entry, i) => {
+    const x = box.left + i * slot + slot * 0.15;
+    [['income', x], ['expense', x + barWidth]].forEach(([type, barX]) => {
+      const value = entry[type];
+      const bar = createSvgElement('rect', {
+        x: barX.toFixed(2), y: y(value).toFixed(2), width: barWidth.toFixed(2),
+        height: Math.max(0, box.bottom - y(value)).toFixed(2), class: `chart-bar chart-${type}`
+      });
+      makeChartInteractive(bar, `${getShortMonthName(entry.month)} ${entry.month.slice(0, 4)} ${type}: ${fmt(value)}`,
+        () => showTransactionsFor({ month: entry.month, type }));
+      svg.appendChild(bar);
+    });
+    const label = createSvgElement('text', { x: (box.left + i * slot + slot / 2).toFixed(2), y: height - 8, 'text-anchor': 'middle', class: 'chart-axis' });
+    label.textContent = getShortMonthName(entry.month);
+    svg.appendChild(label);
+  });
+  card.appendChild(svg);
+
+  const key = document.createElement('div');
+  key.className = 'chart-key';
+  [['chart-income', 'Income'], ['chart-expense', 'Expenses']].forEach(([className, text]) => {
+    const item = document.createElement('span');
+    const swatch = document.createElement('span');
+    swatch.className = `chart-swatch ${className}`;
+    item.appendChild(swatch);
+    item.appendChild(document.createTextNode(text));
+    key.appendChild(item);
+  });
+  card.appendChild(key);
+}
+
+/**
+ * Render the running net balance line chart (balance at the end of each month)
+ * @param {HTMLElement} card - Card to render into
+ * @param {Array} months - Monthly totals from getMonthlyTotals()
+ * @param {number} openingNet - Net of all transactions before the first month
+ */
+function renderNetChart(card, months, openingNet) {
+  const width = 600, height = 220;
+  const box = { left: 56, right: width - 8, top: 12, bottom: height - 28 };
+  let balance = openingNet;
+  const points = months.map(entry => {
+    balance += entry.income - entry.expense;
+    return { month: entry.month, balance };
+  });
+  const svg = createSvgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart', role: 'img', 'aria-label': 'Running net balance' });
+  const low = Math.min(0, ...points.map(p => p.balance));
+  const high = Math.max(0, ...points.map(p => p.balance));
+  // Keep zero on a gridline by scaling both sides by the same step
+  const step = niceCeil((high - low) / 4 || 1);
+  const min = Math.floor(low / step) * step;
+  const max = Math.max(min + step * 4, Math.ceil(high / step) * step);
+  const y = drawValueAxis(svg, box, min, max);
+  const slot = (box.right - box.left) / points.length;
+  const x = i => box.left + i * slot + slot / 2;
+
+  svg.appendChild(createSvgElement('line', { x1: box.left, x2: box.right, y1: y(0), y2: y(0), class: 'chart-zero' }));
+  svg.appendChild(createSvgElement('polyline', {
+    points: points.map((p, i) => `${x(i).toFixed(2)},${y(p.balance).toFixed(2)}`).join(' '),
+    class: 'chart-line'
+  }));
+  points.forEach((p, i) => {
+    const dot = createSvgElement('circle', { cx: x(i).toFixed(2), cy: y(p.balance).toFixed(2), r: 5, class: `chart-point ${p.balance < 0 ? 'chart-expense' : 'chart-income'}` });
+    makeChartInteractive(dot, `End of ${getShortMonthName(p.month)} ${p.month.slice(0, 4)}: ${fmt(p.balance)}`,
+      () => showTransactionsFor({ month: p.month }));
+    svg.appendChild(dot);
+    const label = createSvgElement('text', { x: x(i).toFixed(2), y: height - 8, 'text-anchor': 'middle', class: 'chart-axis' });
+    label.textContent = getShortMonthName(p.month);
+    svg.appendChild(label);
+  });
+  card.appendChild(svg);
+}
+
+/**
+ * Render the Reports tab: category breakdown for the selected period and 12-month trends
+ */
+function renderReports() {
+  reportsEl.innerHTML = '';
+  reportPeriodLabelEl.textContent = describePeriod();
+
+  /**
+   * Add a report card with a heading and hint
+   * @param {string} title - Card heading
+   * @param {string} hint - Short explanation below the heading
+   * @returns {HTMLElement} Card
+   */
+  const addCard = (title, hint) => {
+    const card = document.createElement('div');
+    card.className = 'card report-card';
+    const h2 = document.createElement('h2');
+    h2.textContent = title;
+    const small = document.createElement('small');
+    small.textContent = hint;
+    card.appendChild(h2);
+    card.appendChild(small);
+    reportsEl.appendChild(card);
+    return card;
+  };
+
+  renderCategoryChart(addCard('Spending by category', 'Expenses in the selected period. Click a slice to see its transactions.'));
+  const { months, openingNet } = getMonthlyTotals();
+  renderTrendChart(addCard('Income vs. expenses', `Last ${TREND_MONTHS} months. Click a bar to see that month's transactions.`), months);
+  renderNetChart(addCard('Running net balance', 'Total income minus expenses at the end of each month.'), months, openingNet);
+  if (txns.some(t => t.type !== 'transfer' && !isInDisplayCurrency(t))) {
+    const note = document.createElement('small');
+    note.textContent = `Transactions in accounts with a currency other than ${formatSettings.currency} aren't included.`;
+    reportsEl.appendChild(note);
+  }
+}
+
+/**
+ * Re-render the reports if they are on screen
+ * Called after transactions change
+ */
+function refreshReports() {
+  if (isTabActive('reports')) renderReports();
+}
+
+reportPeriodEl.addEventListener('change', () => selectPeriodPreset(reportPeriodEl.value));
+reportPrevBtn.addEventListener('click', () => shiftPeriod(-1));
+reportNextBtn.addEventListener('click', () => shiftPeriod(1));
+clearCategoryFilterBtn.addEventListener('click', () => {
+  categoryFilter = null;
+  render();
+});
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+// Accounts transactions can belong to (loaded from IndexedDB during initialization)
+let accounts = [];
+// ID of the account loaded into the account form for editing (null when adding)
+let editingAccountId = null;
+// Kinds of account, as shown in the account form
+const ACCOUNT_TYPES = {
+  checking: 'Checking',
+  savings: 'Savings',
+  credit: 'Credit card',
+  cash: 'Cash',
+  other: 'Other'
+};
+// Most accounts that can be created
+const MAX_ACCOUNTS = 50;
+
+/**
+ * Validate an account loaded from storage
+ * Accounts have an id, name, type (key of ACCOUNT_TYPES), openingBalance (negative for money owed) and a
+ * three-letter currency code
+ * @param {*} account - Account to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateAccount(account) {
+  if (!account || typeof account !== 'object') return false;
+  if (typeof account.id !== 'string' || account.id.length === 0 || account.id.length > 100) return false;
+  if (typeof account.name !== 'string' || !account.name.trim() || account.name.length > 100) return false;
+  if (!Object.prototype.hasOwnProperty.call(ACCOUNT_TYPES, account.type)) return false;
+  if (typeof account.openingBalance !== 'number' || !isFinite(account.openingBalance) ||
+      Math.abs(account.openingBalance) > 999999999.99) return false;
+  return typeof account.currency === 'string' && /^[A-Z]{3}$/.test(account.currency);
+}
+
+/**
+ * Load accounts from IndexedDB
+ * @returns {Promise<Array>} Valid accounts (invalid records are skipped)
+ */
+async function loadAccounts() {
+  try {
+    const records = await getAllOpenRecords('accounts');
+    const validated = records.filter(validateAccount);
+    if (validated.length !== records.length) {
+      console.warn('[Accounts] Skipped', records.length - validated.length, 'invalid account(s)');
+    }
+    return validated;
+  } catch (e) {
+    console.error('[Accounts] Error loading accounts:', e);
+    return [];
+  }
+}
+
+/**
+ * Write accounts to IndexedDB
+ * @param {Array} changed - Accounts to store
+ * @param {Array<string>} [deletedIds] - IDs of accounts to delete
+ * @returns {Promise<void>}
+ */
+async function saveAccounts(changed, deletedIds = []) {
+  if (!db) {
+    console.warn('[Accounts] Database not open, accounts not saved');
+    return;
+  }
+  const stamps = buildChangeStamps('accounts', changed.map(account => account.id), deletedIds);
+  try {
+    const records = await sealRecords(changed, 'id');
+    await runTransaction(['accounts', 'changeLog'], 'readwrite', tx => {
+      const store = tx.objectStore('accounts');
+      records.forEach(record => store.put(record));
+      deletedIds.forEach(id => store.delete(id));
+      putChangeStamps(tx, stamps);
+    });
+  } catch (e) {
+    reportSaveError(e, 'accounts');
+  }
+}
+
+/**
+ * Look up an account
+ * @param {string} [id] - Account ID
+ * @returns {Object|undefined}
+ */
+function getAccount(id) {
+  return id ? accounts.find(a => a.id === id) : undefined;
+}
+
+/**
+ * Name of an account for display
+ * @param {string} [id] - Account ID
+ * @returns {string} Name, or 'No account' for transactions without one
+ */
+function getAccountName(id) {
+  const account = getAccount(id);
+  return account ? account.name : 'No account';
+}
+
+/**
+ * Format an amount in an account's currency (e.g., "-€12.50")
+ * @param {number} n - Amount
+ * @param {string} currency - Three-letter currency code
+ * @returns {string}
+ */
+function formatAccountAmount(n, currency) {
+  if (currency === formatSettings.currency) return fmt(n);
+  try {
+    return new Intl.NumberFormat(getLocale(), { style: 'currency', currency }).format(n);
+  } catch (e) {
+    return `${fmt(n)} ${currency}`;
+  }
+}
+
+/**
+ * Currency a transaction's amount is in
+ * A transfer's two accounts always share a currency, so its first account decides
+ * @param {Object} t - Transaction
+ * @returns {string} Its account's currency, or the display currency for transactions without an account
+ */
+function getTransactionCurrency(t) {
+  const account = getAccount(t.accountId);
+  return account ? account.currency : formatSettings.currency;
+}
+
+/**
+ * Check if a transaction is in the display currency
+ * Totals, Budget vs. Actual and the reports only add up these, since amounts in other currencies can't be summed with them
+ * @param {Object} t - Transaction
+ * @returns {boolean}
+ */
+function isInDisplayCurrency(t) {
+  return getTransactionCurrency(t) === formatSettings.currency;
+}
+
+/**
+ * Change a transaction makes to an account's balance
+ * Transfers take money out of accountId and put it into toAccountId
+ * @param {Object} t - Transaction
+ * @param {string} accountId - Account ID
+ * @returns {number} Signed amount (0 if the transaction doesn't touch the account)
+ */
+function getAccountEffect(t, accountId) {
+  const amount = typeof t.amount === 'number' && isFinite(t.amount) ? t.amount : 0;
+  if (t.type === 'transfer') {
+    if (t.toAccountId === accountId) return amount;
+    return t.accountId === accountId ? -amount : 0;
+  }
+  if (t.accountId !== accountId) return 0;
+  return t.type === 'income' ? amount : -amount;
+}
+
+/**
+ * Current balance of every account (opening balance plus all its transactions, whatever their date)
+ * @returns {Map<string, number>} Balance by account ID
+ */
+function getAccountBalances() {
+  const balances = new Map(accounts.map(a => [a.id, a.openingBalance]));
+  txns.forEach(t => {
+    [t.accountId, t.toAccountId].forEach(id => {
+      if (id && balances.has(id)) balances.set(id, balances.get(id) + getAccountEffect(t, id));
+    });
+  });
+  return balances;
+}
+
+/**
+ * Balance of one account after each of its transactions, oldest first (undated ones count first)
+ * @param {string} accountId - Account ID
+ * @returns {Map<string, number>} Balance by transaction ID
+ */
+function getRunningBalances(accountId) {
+  const account = getAccount(accountId);
+  const running = new Map();
+  if (!account) return running;
+  let balance = account.openingBalance;
+  txns
+    .filter(t => t.accountId === accountId || t.toAccountId === accountId)
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+    .forEach(t => {
+      balance += getAccountEffect(t, accountId);
+      running.set(t.id, balance);
+    });
+  return running;
+}
+
+/**
+ * Fill the account selects (entry form, transaction filter and import card) with the current accounts,
+ * keeping each one's selection when the account still exists
+ */
+function fillAccountSelects() {
+  const sorted = accounts.slice().sort((a, b) => a.name.localeCompare(b.name));
+  [[accountEl, [['', 'No account']]], [toAccountEl, []], [importAccountEl, [['', 'No account']]],
+    [filterAccountEl, [['all', 'All accounts'], ['none', 'No account']]]].forEach(([select, fixed]) => {
+    const previous = select.value;
+    select.innerHTML = '';
+    fixed.concat(sorted.map(a => [a.id, a.name])).forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    if ([...select.options].some(o => o.value === previous)) select.value = previous;
+  });
+  updateTransferFields();
+}
+
+/**
+ * Show the "To account" field only for transfers
+ */
+function updateTransferFields() {
+  toAccountFieldEl.style.display = typeEl.value === 'transfer' ? '' : 'none';
+}
+
+/**
+ * Read and validate the account form
+ * Shows an alert describing the first invalid field
+ * @returns {Object|null} Account fields (without id) or null if invalid
+ */
+function readAccountForm() {
+  const name = accNameEl.value.trim();
+  if (!name || name.length > 100) {
+    alert('Please enter an account name (max 100 characters)');
+    return null;
+  }
+  if (accounts.some(a => a.id !== editingAccountId && a.name.toLowerCase() === name.toLowerCase())) {
+    alert(`There is already an account called "${name}"`);
+    return null;
+  }
+  const openingBalance = accOpeningEl.value.trim() === '' ? 0 : parseAmountInput(accOpeningEl.value);
+  if (!isFinite(openingBalance) || Math.abs(openingBalance) > 999999999.99) {
+    alert('Please enter a valid opening balance');
+    return null;
+  }
+  const currency = accCurrencyEl.value.trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(currency)) {
+    alert('Please enter a three-letter currency code (e.g., USD, EUR, GBP)');
+    return null;
+  }
+  if (editingAccountId && currency !== getAccount(editingAccountId).currency &&
+      txns.some(t => t.type === 'transfer' && (t.accountId === editingAccountId || t.toAccountId === editingAccountId))) {
+    alert('This account has transfers, so its currency can\'t change.');
+    return null;
+  }
+  return { name, type: accTypeEl.value, openingBalance: Math.round(openingBalance * 100) / 100, currency };
+}
+
+/**
+ * Reset the account form to add a new account
+ */
+function resetAccountForm() {
+  editingAccountId = null;
+  accNameEl.value = '';
+  accTypeEl.value = 'checking';
+  accOpeningEl.value = '';
+  accCurrencyEl.value = formatSettings.currency; // New accounts start in the display currency
+  accSaveBtn.textContent = 'Add Account';
+  accCancelBtn.style.display = 'none';
+}
+
+/**
+ * Load an account into the account form for editing
+ * @param {string} id - Account ID
+ */
+function startEditAccount(id) {
+  const account = getAccount(id);
+  if (!account) return;
+  editingAccountId = id;
+  accNameEl.value = account.name;
+  accTypeEl.value = account.type;
+  accOpeningEl.value = formatAmountInput(account.openingBalance);
+  accCurrencyEl.value = account.currency;
+  accSaveBtn.textContent = 'Save Account';
+  accCancelBtn.style.display = '';
+  accNameEl.focus();
+}
+
+/**
+ * Save the account form as a new account or into the account being edited
+ */
+function saveAccountForm() {
+  const fields = readAccountForm();
+  if (!fields) return;
+  let account;
+  if (editingAccountId) {
+    const idx = accounts.findIndex(a => a.id === editingAccountId);
+    if (idx === -1) {
+      alert('This account no longer exists.');
+      resetAccountForm();
+      return;
+    }
+    account = { id: editingAccountId, ...fields };
+    accounts[idx] = account;
+    console.log('[Accounts] Updated account:', account.id);
+  } else {
+    if (accounts.length >= MAX_ACCOUNTS) {
+      alert(`You can have up to ${MAX_ACCOUNTS} accounts.`);
+      return;
+    }
+    account = { id: crypto.randomUUID(), ...fields };
+    accounts.push(account);
+    console.log('[Accounts] Added account:', account.id);
+  }
+  saveAccounts([account]);
+  resetAccountForm();
+  fillAccountSelects();
+  render();
+}
+
+/**
+ * Delete an account that no transactions use
+ * @param {string} id - Account ID
+ */
+function deleteAccount(id) {
+  const account = getAccount(id);
+  if (!account) return;
+  const used = txns.filter(t => t.accountId === id || t.toAccountId === id).length;
+  if (used > 0) {
+    alert(`"${account.name}" has ${used} transaction(s). Move or delete them before deleting the account.`);
+    return;
+  }
+  if (!confirm(`Delete the account "${account.name}"?`)) return;
+  accounts = accounts.filter(a => a.id !== id);
+  console.log('[Accounts] Deleted account:', id);
+  saveAccounts([], [id]);
+  if (editingAccountId === id) resetAccountForm();
+  fillAccountSelects();
+  render();
+}
+
+/**
+ * Render the account list with current balances
+ */
+function renderAccounts() {
+  const balances = getAccountBalances();
+  accountListEl.innerHTML = '';
+  accounts
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(account => {
+      const li = document.createElement('li');
+      const left = document.createElement('div');
+      const strong = document.createElement('strong');
+      strong.textContent = account.name;
+      const small = document.createElement('small');
+      const count = txns.filter(t => t.accountId === account.id || t.toAccountId === account.id).length;
+      small.textContent = `${ACCOUNT_TYPES[account.type]} • ${account.currency} • ${count} transaction${count === 1 ? '' : 's'}`;
+      left.appendChild(strong);
+      left.appendChild(document.createElement('br'));
+      left.appendChild(small);
+
+      const right = document.createElement('div');
+      const balance = balances.get(account.id);
+      const amount = document.createElement('strong');
+      amount.className = balance < 0 ? 'neg' : 'pos';
+      amount.textContent = formatAccountAmount(balance, account.currency);
+      const actions = document.createElement('small');
+      [['show', 'Transactions'], ['edit', 'Edit'], ['delete', 'Delete']].forEach(([action, text], i) => {
+        if (i > 0) actions.appendChild(document.createTextNode(' • '));
+        const link = document.createElement('a');
+        link.href = '#';
+        link.dataset.id = account.id;
+        link.dataset.action = action;
+        link.textContent = text;
+        actions.appendChild(link);
+      });
+      right.appendChild(amount);
+      right.appendChild(document.createElement('br'));
+      right.appendChild(actions);
+      li.appendChild(left);
+      li.appendChild(right);
+      accountListEl.appendChild(li);
+    });
+  accountsEmptyEl.style.display = accounts.length === 0 ? '' : 'none';
+}
+
+/**
+ * Re-render the account list if the Accounts tab is visible (balances change with every transaction)
+ */
+function refreshAccounts() {
+  if (isTabActive('accounts')) renderAccounts();
+}
+
+accSaveBtn.addEventListener('click', saveAccountForm);
+accCancelBtn.addEventListener('click', resetAccountForm);
+typeEl.addEventListener('change', updateTransferFields);
+
+accountListEl.addEventListener('click', e => {
+  const id = e.target.dataset?.id;
+  const action = e.target.dataset?.action;
+  if (!id) return;
+  e.preventDefault();
+  if (action === 'show') {
+    // List the account's transactions with their running balance
+    filterAccountEl.value = id;
+    render();
+    activateTab('transactions');
+  } else if (action === 'edit') {
+    startEditAccount(id);
+  } else {
+    deleteAccount(id);
+  }
+});
+
+// ============================================================================
+// RECURRING TRANSACTIONS
+// ============================================================================
+// Recurring transaction rules (loaded from IndexedDB during initialization)
+let recurringRules = [];
+// ID of the rule loaded into the recurring form for editing (null when adding)
+let editingRuleId = null;
+// How far ahead the upcoming list looks
+const UPCOMING_DAYS = 30;
+// Most occurrences posted for one rule in a single catch-up (the rest post next time)
+const RECURRING_MAX_CATCH_UP = 500;
+// Human-readable schedule names
+const RECURRING_FREQUENCIES = {
+  weekly: 'Weekly',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Monthly',
+  yearly: 'Yearly',
+  custom: 'Custom'
+};
+const RECURRING_UNITS = ['day', 'week', 'month', 'year'];
+
+/**
+ * Validate a recurring rule loaded from storage
+ * Rules share the transaction fields (desc, amount, type, cat) and add the schedule:
+ * frequency, interval/unit (custom), dayOfMonth (monthly), startDate, endDate and lastPosted
+ * @param {*} rule - Rule to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateRecurringRule(rule) {
+  if (!rule || typeof rule !== 'object') return false;
+  if (!validateTransactionSchema({ id: rule.id, desc: rule.desc, amount: rule.amount, type: rule.type, cat: rule.cat })) return false;
+  if (!Object.prototype.hasOwnProperty.call(RECURRING_FREQUENCIES, rule.frequency)) return false;
+  if (rule.frequency === 'custom' &&
+      (!Number.isInteger(rule.interval) || rule.interval < 1 || rule.interval > 365 || !RECURRING_UNITS.includes(rule.unit))) return false;
+  if (rule.frequency === 'monthly' && (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31)) return false;
+  if (!validateDate(rule.startDate)) return false;
+  if (rule.endDate !== null && !validateDate(rule.endDate)) return false;
+  if (rule.lastPosted !== null && !validateDate(rule.lastPosted)) return false;
+  return true;
+}
+
+/**
+ * Load recurring rules from IndexedDB
+ * @returns {Promise<Array>} Valid rules (invalid records are skipped)
+ */
+async function loadRecurringRules() {
+  try {
+    const records = await getAllOpenRecords('recurring');
+    const validated = records.filter(validateRecurringRule);
+    if (validated.length !== records.length) {
+      console.warn('[Recurring] Skipped', records.length - validated.length, 'invalid rule(s)');
+    }
+    return validated;
+  } catch (e) {
+    console.error('[Recurring] Error loading recurring rules:', e);
+    return [];
+  }
+}
+
+/**
+ * Write recurring rules to IndexedDB
+ * @param {Array} rules - Rules to store
+ * @param {Array<string>} [deletedIds] - IDs of rules to delete
+ * @returns {Promise<void>}
+ */
+async function saveRecurringRules(rules, deletedIds = []) {
+  if (!db) {
+    console.warn('[Recurring] Database not open, rules not saved');
+    return;
+  }
+  const stamps = buildChangeStamps('recurring', rules.map(rule => rule.id), deletedIds);
+  try {
+    const records = await sealRecords(rules, 'id');
+    await runTransaction(['recurring', 'changeLog'], 'readwrite', tx => {
+      const store = tx.objectStore('recurring');
+      records.forEach(record => store.put(record));
+      deletedIds.forEach(id => store.delete(id));
+      putChangeStamps(tx, stamps);
+    });
+  } catch (e) {
+    reportSaveError(e, 'recurring rules');
+  }
+}
+
+/**
+ * Add days to a date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Number of days to add
+ * @returns {string} Resulting date in YYYY-MM-DD format
+ */
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Build a date from a month offset, clamping the day to the end of the month (e.g., the 31st in April is the 30th)
+ * @param {number} year - Start year
+ * @param {number} monthIndex - Zero-based start month, plus any number of months to add
+ * @param {number} day - Day of the month (1-31)
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function clampedMonthDate(year, monthIndex, day) {
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, monthIndex, Math.min(day, lastDay))).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the date of a rule's nth occurrence (0 = first)
+ * Dates are computed from the start date rather than the previous occurrence, so
+ * a monthly rule on the 31st returns to the 31st after a shorter month
+ * @param {Object} rule - Recurring rule
+ * @param {number} n - Occurrence number
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function getOccurrenceDate(rule, n) {
+  const [y, m, d] = rule.startDate.split('-').map(Number);
+  switch (rule.frequency) {
+    case 'weekly': return addDays(rule.startDate, n * 7);
+    case 'biweekly': return addDays(rule.startDate, n * 14);
+    case 'yearly': return clampedMonthDate(y, m - 1 + n * 12, d);
+    case 'monthly': {
+      // The first occurrence is the first "day N" on or after the start date
+      const skip = clampedMonthDate(y, m - 1, rule.dayOfMonth) < rule.startDate ? 1 : 0;
+      return clampedMonthDate(y, m - 1 + skip + n, rule.dayOfMonth);
+    }
+    default: {
+      if (rule.unit === 'day') return addDays(rule.startDate, n * rule.interval);
+      if (rule.unit === 'week') return addDays(rule.startDate, n * rule.interval * 7);
+      const months = rule.unit === 'year' ? rule.interval * 12 : rule.interval;
+      return clampedMonthDate(y, m - 1 + n * months, d);
+    }
+  }
+}
+
+/**
+ * List a rule's occurrence dates after one date and up to another
+ * @param {Object} rule - Recurring rule
+ * @param {string|null} after - Only include dates after this one (null for all)
+ * @param {string} until - Last date to include
+ * @param {number} [limit] - Maximum number of dates to return
+ * @returns {Array<string>} Dates in YYYY-MM-DD format, oldest first
+ */
+function listOccurrences(rule, after, until, limit = Infinity) {
+  const dates = [];
+  const last = rule.endDate && rule.endDate < until ? rule.endDate : until;
+  for (let n = 0; dates.length < limit; n++) {
+    const date = getOccurrenceDate(rule, n);
+    if (date > last) break;
+    if (!after || date > after) dates.push(date);
+  }
+  return dates;
+}
+
+/**
+ * Describe a rule's schedule (e.g., "Monthly on day 1 until 2025-12-31")
+ * @param {Object} rule - Recurring rule
+ * @returns {string}
+ */
+function describeSchedule(rule) {
+  let text = RECURRING_FREQUENCIES[rule.frequency];
+  if (rule.frequency === 'monthly') text += ` on day ${rule.dayOfMonth}`;
+  if (rule.frequency === 'custom') text = `Every ${rule.interval} ${rule.unit}${rule.interval === 1 ? '' : 's'}`;
+  text += ` from ${formatDate(rule.startDate)}`;
+  if (rule.endDate) text += ` until ${formatDate(rule.endDate)}`;
+  return text;
+}
+
+/**
+ * Create a transaction for one occurrence of a rule
+ * @param {Object} rule - Recurring rule
+ * @param {string} date - Occurrence date
+ * @returns {Object} Transaction linked to the rule by recurringId
+ */
+function createRecurringTransaction(rule, date) {
+  return {
+    id: getRecurringTransactionId(rule, date),
+    desc: rule.desc,
+    amount: rule.amount,
+    type: rule.type,
+    cat: rule.cat,
+    date,
+    recurringId: rule.id
+  };
+}
+
+/**
+ * Build the ID of a posted occurrence from its rule and date, so devices that post the same
+ * occurrence create the same record and sync merges them
+ * @param {Object} rule - Recurring rule
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getRecurringTransactionId(rule, date) {
+  const id = `recurring:${rule.id}:${date}`;
+  // Rule IDs are UUIDs; an overlong imported one falls back to a random ID (sync still merges by rule and date)
+  return id.length <= 100 ? id : crypto.randomUUID();
+}
+
+/**
+ * Post every occurrence whose date has passed since each rule last posted
+ * Runs when the app opens, when it comes back to the foreground and after a rule is saved
+ */
+function postDueRecurring() {
+  const today = currentDate();
+  const posted = [];
+  const changedRules = [];
+  recurringRules.forEach(rule => {
+    const dates = listOccurrences(rule, rule.lastPosted, today, RECURRING_MAX_CATCH_UP);
+    if (dates.length === 0) return;
+    // A synced device may already have posted some of them
+    dates
+      .filter(date => !txns.some(t => t.recurringId === rule.id && t.date === date))
+      .forEach(date => posted.push(createRecurringTransaction(rule, date)));
+    rule.lastPosted = dates[dates.length - 1];
+    changedRules.push(rule);
+  });
+  if (changedRules.length === 0) return;
+  if (posted.length === 0) {
+    saveRecurringRules(changedRules);
+    renderRecurring();
+    return;
+  }
+
+  console.log('[Recurring] Posting', posted.length, 'due transaction(s)');
+  recordChange(`Posted ${posted.length} recurring transaction${posted.length === 1 ? '' : 's'}`, () => {
+    txns.push(...posted);
+  }, { toast: true });
+  save(txns);
+  saveRecurringRules(changedRules);
+  render();
+  renderRecurring();
+}
+
+/**
+ * Read and validate the recurring rule form
+ * Shows an alert describing the first invalid field
+ * @returns {Object|null} Rule fields (without id/lastPosted) or null if invalid
+ */
+function readRecurringForm() {
+  const desc = recDescEl.value.trim();
+  if (!desc || desc.length > 200) {
+    alert('Please enter a description (max 200 characters)');
+    return null;
+  }
+  const amount = parseAmountInput(recAmountEl.value);
+  if (isNaN(amount) || amount === 0 || Math.abs(amount) > 999999999.99) {
+    alert('Please enter a valid amount');
+    return null;
+  }
+  const cat = recCatEl.value.trim();
+  if (cat.length > 100) {
+    alert('Category is too long (max 100 characters)');
+    return null;
+  }
+  const type = recTypeEl.value;
+  const frequency = recFrequencyEl.value;
+  if ((type !== 'income' && type !== 'expense') || !RECURRING_FREQUENCIES[frequency]) {
+    alert('Invalid transaction type or schedule');
+    return null;
+  }
+  const startDate = validateDate(recStartEl.value);
+  if (!startDate) {
+    alert('Please enter a valid start date');
+    return null;
+  }
+  let endDate = null;
+  if (recEndEl.value) {
+    endDate = validateDate(recEndEl.value);
+    if (!endDate || endDate < startDate) {
+      alert('The end date must be a valid date on or after the start date');
+      return null;
+    }
+  }
+
+  const fields = { desc, amount: Math.abs(amount), type, cat, frequency, startDate, endDate };
+  if (frequency === 'monthly') {
+    const day = Number(recDayEl.value);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      alert('Please enter a day of the month between 1 and 31');
+      return null;
+    }
+    fields.dayOfMonth = day;
+  }
+  if (frequency === 'custom') {
+    const interval = Number(recIntervalEl.value);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 365 || !RECURRING_UNITS.includes(recUnitEl.value)) {
+      alert('Please enter how often the rule repeats (1 to 365)');
+      return null;
+    }
+    fields.interval = interval;
+    fields.unit = recUnitEl.value;
+  }
+  return fields;
+}
+
+/**
+ * Show only the schedule fields that apply to the selected frequency
+ */
+function updateRecurringScheduleFields() {
+  recDayFieldEl.style.display = recFrequencyEl.value === 'monthly' ? '' : 'none';
+  recCustomFieldEl.style.display = recFrequencyEl.value === 'custom' ? '' : 'none';
+}
+
+/**
+ * Reset the recurring form to add a new rule
+ */
+function resetRecurringForm() {
+  editingRuleId = null;
+  recDescEl.value = ''; recAmountEl.value = ''; recCatEl.value = '';
+  recTypeEl.value = 'expense';
+  recFrequencyEl.value = 'monthly';
+  recDayEl.value = '1';
+  recIntervalEl.value = '1';
+  recUnitEl.value = 'month';
+  recStartEl.value = currentDate();
+  recEndEl.value = '';
+  recUpdatePostedEl.checked = false;
+  recUpdatePostedFieldEl.style.display = 'none';
+  recSaveBtn.textContent = 'Add Rule';
+  recCancelBtn.style.display = 'none';
+  updateRecurringScheduleFields();
+}
+
+/**
+ * Load a rule into the recurring form for editing
+ * @param {string} id - Rule ID
+ */
+function startEditRule(id) {
+  const rule = recurringRules.find(r => r.id === id);
+  if (!rule) return;
+  editingRuleId = id;
+  recDescEl.value = rule.desc;
+  recAmountEl.value = formatAmountInput(rule.amount);
+  recTypeEl.value = rule.type;
+  recCatEl.value = rule.cat || '';
+  recFrequencyEl.value = rule.frequency;
+  recDayEl.value = rule.dayOfMonth || Number(rule.startDate.slice(8));
+  recIntervalEl.value = rule.interval || 1;
+  recUnitEl.value = rule.unit || 'month';
+  recStartEl.value = rule.startDate;
+  recEndEl.value = rule.endDate || '';
+  // Offer to carry the changes over to transactions this rule already posted
+  const postedCount = txns.filter(t => t.recurringId === id).length;
+  recUpdatePostedEl.checked = false;
+  recUpdateFromEl.value = currentMonth() + '-01';
+  recUpdatePostedFieldEl.style.display = postedCount > 0 ? '' : 'none';
+  recSaveBtn.textContent = 'Save Rule';
+  recCancelBtn.style.display = '';
+  updateRecurringScheduleFields();
+  recDescEl.focus();
+}
+
+/**
+ * Save the recurring form as a new rule or into the rule being edited
+ * Future occurrences always follow the rule; already-posted transactions change only if requested
+ */
+function saveRecurringForm() {
+  const fields = readRecurringForm();
+  if (!fields) return;
+
+  if (!editingRuleId) {
+    // Occurrences before the start date are never posted
+    const rule = { id: crypto.randomUUID(), ...fields, lastPosted: null };
+    if (!validateRecurringRule(rule)) {
+      alert('Invalid recurring rule. Please check the form and try again.');
+      return;
+    }
+    recurringRules.push(rule);
+    console.log('[Recurring] Added rule:', rule.id);
+    saveRecurringRules([rule]);
+  } else {
+    const idx = recurringRules.findIndex(r => r.id === editingRuleId);
+    if (idx === -1) {
+      alert('This rule no longer exists.');
+      resetRecurringForm();
+      return;
+    }
+    // Keeping lastPosted means a schedule change never re-posts dates that were already posted
+    const { id, lastPosted } = recurringRules[idx];
+    const rule = { id, ...fields, lastPosted };
+    if (!validateRecurringRule(rule)) {
+      alert('Invalid recurring rule. Please check the form and try again.');
+      return;
+    }
+    recurringRules[idx] = rule;
+    console.log('[Recurring] Updated rule:', rule.id);
+    saveRecurringRules([rule]);
+
+    const from = validateDate(recUpdateFromEl.value);
+    if (recUpdatePostedEl.checked && from) {
+      const linked = txns.filter(t => t.recurringId === rule.id && t.date >= from);
+      if (linked.length > 0) {
+        recordChange(`Updated ${linked.length} transaction${linked.length === 1 ? '' : 's'} from recurring rule`, () => {
+          txns = txns.map(t => {
+            if (t.recurringId !== rule.id || t.date < from) return t;
+            // The rule's category replaces any split made on a posted transaction
+            const { splits, ...rest } = t;
+            return { ...rest, desc: rule.desc, amount: rule.amount, type: rule.type, cat: rule.cat };
+          });
+        }, { toast: true });
+        save(txns);
+        render();
+      }
+    }
+  }
+  resetRecurringForm();
+  renderRecurring();
+  postDueRecurring();
+}
+
+/**
+ * Delete a recurring rule; transactions it already posted are kept
+ * @param {string} id - Rule ID
+ */
+function deleteRule(id) {
+  const rule = recurringRules.find(r => r.id === id);
+  if (!rule || !confirm(`Stop "${rule.desc}" from recurring? Transactions it already posted are kept.`)) return;
+  recurringRules = recurringRules.filter(r => r.id !== id);
+  console.log('[Recurring] Deleted rule:', id);
+  saveRecurringRules([], [id]);
+  if (editingRuleId === id) resetRecurringForm();
+  renderRecurring();
+}
+
+/**
+ * Create a list row with a title, detail line, amount and optional actions
+ * @param {Object} rule - Rule the row describes
+ * @param {string} detail - Second line of text
+ * @param {boolean} withActions - Whether to show Edit/Delete links
+ * @returns {HTMLLIElement}
+ */
+function createRecurringRow(rule, detail, withActions) {
+  const li = document.createElement('li');
+  const left = document.createElement('div');
+  const strong = document.createElement('strong');
+  strong.textContent = rule.desc;
+  const small = document.createElement('small');
+  small.textContent = detail;
+  left.appendChild(strong);
+  left.appendChild(document.createElement('br'));
+  left.appendChild(small);
+
+  const right = document.createElement('div');
+  const amount = document.createElement('strong');
+  amount.className = rule.type === 'expense' ? 'neg' : 'pos';
+  amount.textContent = formatAccountAmount(rule.type === 'expense' ? -rule.amount : rule.amount, getTransactionCurrency(rule));
+  right.appendChild(amount);
+  if (withActions) {
+    const actions = document.createElement('small');
+    [['edit', 'Edit'], ['delete', 'Delete']].forEach(([action, text], i) => {
+      if (i > 0) actions.appendChild(document.createTextNode(' • '));
+      const link = document.createElement('a');
+      link.href = '#';
+      link.dataset.id = rule.id;
+      link.dataset.action = action;
+      link.textContent = text;
+      actions.appendChild(link);
+    });
+    right.appendChild(document.createElement('br'));
+    right.appendChild(actions);
+  }
+  li.appendChild(left);
+  li.appendChild(right);
+  return li;
+}
+
+/**
+ * Render the upcoming occurrences and the list of rules
+ */
+function renderRecurring() {
+  const today = currentDate();
+  const horizon = addDays(today, UPCOMING_DAYS);
+
+  // Everything that will post in the next UPCOMING_DAYS days, soonest first
+  upcomingListEl.innerHTML = '';
+  const upcoming = [];
+  recurringRules.forEach(rule => {
+    const after = rule.lastPosted && rule.lastPosted > today ? rule.lastPosted : today;
+    listOccurrences(rule, after, horizon).forEach(date => upcoming.push({ rule, date }));
+  });
+  upcoming.sort((a, b) => a.date.localeCompare(b.date));
+  upcoming.forEach(({ rule, date }) => {
+    upcomingListEl.appendChild(createRecurringRow(rule, `${rule.cat || '—'} • ${formatDate(date)}`, false));
+  });
+  recUpcomingEmptyEl.style.display = upcoming.length === 0 ? '' : 'none';
+
+  recurringListEl.innerHTML = '';
+  recurringRules
+    .slice()
+    .sort((a, b) => a.desc.localeCompare(b.desc))
+    .forEach(rule => {
+      const next = listOccurrences(rule, rule.lastPosted && rule.lastPosted > today ? rule.lastPosted : today, '9999-12-31', 1)[0];
+      const detail = `${describeSchedule(rule)} • ${next ? `Next: ${formatDate(next)}` : 'Ended'}`;
+      recurringListEl.appendChild(createRecurringRow(rule, detail, true));
+    });
+  recRulesEmptyEl.style.display = recurringRules.length === 0 ? '' : 'none';
+}
+
+recFrequencyEl.addEventListener('change', updateRecurringScheduleFields);
+recSaveBtn.addEventListener('click', saveRecurringForm);
+recCancelBtn.addEventListener('click', resetRecurringForm);
+
+recurringListEl.addEventListener('click', e => {
+  const id = e.target.dataset?.id;
+  const action = e.target.dataset?.action;
+  if (!id) return;
+  e.preventDefault();
+  if (action === 'edit') startEditRule(id); else deleteRule(id);
+});
+
+// Post anything that came due while the app sat in the background (e.g., overnight)
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible' && db) postDueRecurring();
+});
+
+// ============================================================================
+// CATEGORIZATION RULES
+// ============================================================================
+// Built-in keyword suggestions used when no user rule matches (checked in order of specificity)
+const DEFAULT_KEYWORD_CATEGORIES = {
+  'groceries': ['grocery', 'supermarket', 'walmart', 'target', 'kroger', 'safeway', 'wm supercenter'],
+  'gas': ['gas', 'fuel', 'shell', 'chevron', 'bp', 'exxon', 'mobil'],
+  'restaurant': ['restaurant', 'cafe', 'starbucks', 'mcdonald', 'subway', 'pizza', 'dining'],
+  'utilities': ['electric', 'water', 'gas bill', 'utility', 'power', 'internet', 'phone', 'cell phone'],
+  'rent': ['rent', 'housing', 'apartment', 'bilt', 'biltrent'],
+  'shopping': ['amazon', 'store', 'shop', 'retail', 'purchase'],
+  'entertainment': ['movie', 'netflix', 'spotify', 'entertainment', 'game'],
+  'transportation': ['uber', 'lyft', 'taxi', 'bus', 'train', 'metro', 'atm withdrawal', 'atm'],
+  'healthcare': ['pharmacy', 'medical', 'doctor', 'hospital', 'health', 'insurance', 'lemonade'],
+  'income': ['salary', 'paycheck', 'deposit', 'payment received', 'payroll', 'zelle payment from', 'apple cash'],
+  'transfers': ['transfer', 'schwab', 'goldman sachs', 'zelle payment to'],
+  'credit cards': ['chase card', 'american express', 'applecard', 'payment to', 'ach pmt'],
+  'debt': ['student loan', 'studntloan', 'advs ed serv', 'credit repayment', 'paypal'],
+  'fees': ['fee', 'atm fee']
+};
+// Most rules a user can define
+const MAX_CATEGORY_RULES = 500;
+// Words that don't identify a merchant (card prefixes, payment wording), ignored when learning categories
+const MERCHANT_NOISE_WORDS = new Set([
+  'pos', 'debit', 'credit', 'card', 'purchase', 'recurring', 'checkcard', 'check', 'visa', 'mastercard',
+  'ach', 'web', 'id', 'ppd', 'online', 'payment', 'pmt', 'ref', 'inc', 'llc', 'co', 'www', 'com', 'the'
+]);
+// Number of leading merchant words used to recognize a merchant
+const MERCHANT_KEY_WORDS = 3;
+// How a rule's text is compared with the description
+const RULE_MATCH_TYPES = { contains: 'contains', startsWith: 'starts with', regex: 'matches regex' };
+
+// User rules in priority order (first match wins) and whether keyword suggestions fill the gaps
+// (loaded from IndexedDB during initialization)
+let categoryRules = [];
+let keywordFallback = true;
+// ID of the rule loaded into the rules form for editing (null when adding)
+let editingCategoryRuleId = null;
+// Compiled regular expressions by rule ID, so imports don't recompile them per row
+const ruleRegexCache = new Map();
+
+/**
+ * Suggest a category from the built-in keyword list
+ * @param {string} description - Transaction description
+ * @returns {string} Category name, or '' if no keyword matches
+ */
+function getKeywordCategory(description) {
+  const desc = description.toLowerCase();
+  for (const [cat, keywords] of Object.entries(DEFAULT_KEYWORD_CATEGORIES)) {
+    if (keywords.some(kw => desc.includes(kw))) {
+      return cat.charAt(0).toUpperCase() + cat.slice(1);
+    }
+  }
+  return '';
+}
+
+/**
+ * Compile a rule's regular expression (case-insensitive)
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} Compiled expression, or null if the pattern is invalid
+ */
+function compileRulePattern(pattern) {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Validate a categorization rule
+ * A rule needs at least one condition (text, type or amount range) and a category
+ * @param {*} rule - Rule to validate
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateCategoryRule(rule) {
+  if (!rule || typeof rule !== 'object') return false;
+  if (typeof rule.id !== 'string' || rule.id.length === 0 || rule.id.length > 100) return false;
+  if (!Object.prototype.hasOwnProperty.call(RULE_MATCH_TYPES, rule.match)) return false;
+  if (typeof rule.pattern !== 'string' || rule.pattern.length > 200) return false;
+  if (rule.match === 'regex' && rule.pattern && !compileRulePattern(rule.pattern)) return false;
+  if (rule.type !== '' && rule.type !== 'income' && rule.type !== 'expense') return false;
+  const validAmount = a => a === null || (typeof a === 'number' && isFinite(a) && a >= 0 && a <= 999999999.99);
+  if (!validAmount(rule.minAmount) || !validAmount(rule.maxAmount)) return false;
+  if (rule.minAmount !== null && rule.maxAmount !== null && rule.minAmount > rule.maxAmount) return false;
+  if (typeof rule.category !== 'string' || rule.category.trim().length === 0 || rule.category.length > 100) return false;
+  if (typeof rule.rename !== 'string' || rule.rename.length > 200) return false;
+  return !!(rule.pattern || rule.type || rule.minAmount !== null || rule.maxAmount !== null);
+}
+
+/**
+ * Load categorization rules from IndexedDB
+ * @returns {Promise<{rules: Array, keywordFallback: boolean}>}
+ */
+async function loadCategoryRules() {
+  try {
+    return validateCategoryRules(await getMeta('categoryRules'));
+  } catch (e) {
+    console.error('[Rules] Error loading categorization rules:', e);
+    return { rules: [], keywordFallback: true };
+  }
+}
+
+/**
+ * Validate stored categorization rules, skipping invalid rules
+ * @param {*} stored - `{ rules, keywordFallback }` record
+ * @returns {{rules: Array, keywordFallback: boolean}}
+ */
+function validateCategoryRules(stored) {
+  if (!stored || typeof stored !== 'object') return { rules: [], keywordFallback: true };
+  const rules = Array.isArray(stored.rules) ? stored.rules.slice(0, MAX_CATEGORY_RULES).filter(validateCategoryRule) : [];
+  return { rules, keywordFallback: stored.keywordFallback !== false };
+}
+
+/**
+ * Save categorization rules to IndexedDB
+ */
+function saveCategoryRules() {
+  ruleRegexCache.clear();
+  setSyncedMeta('categoryRules', { rules: categoryRules, keywordFallback })
+    .catch(e => reportSaveError(e, 'categorization rules'));
+}
+
+/**
+ * Check whether a rule matches a transaction
+ * @param {Object} rule - Categorization rule
+ * @param {{desc: string, amount: number, type: string}} txn - Transaction (or imported row)
+ * @returns {boolean}
+ */
+function ruleMatches(rule, txn) {
+  if (rule.type && txn.type !== rule.type) return false;
+  if (rule.minAmount !== null && txn.amount < rule.minAmount) return false;
+  if (rule.maxAmount !== null && txn.amount > rule.maxAmount) return false;
+  if (!rule.pattern) return true;
+  const desc = (txn.desc || '').toLowerCase();
+  if (rule.match === 'contains') return desc.includes(rule.pattern.toLowerCase());
+  if (rule.match === 'startsWith') return desc.startsWith(rule.pattern.toLowerCase());
+  if (!ruleRegexCache.has(rule.id)) ruleRegexCache.set(rule.id, compileRulePattern(rule.pattern));
+  const regex = ruleRegexCache.get(rule.id);
+  return !!regex && regex.test(txn.desc || '');
+}
+
+/**
+ * Find the first user rule (in priority order) that matches a transaction
+ * @param {{desc: string, amount: number, type: string}} txn - Transaction (or imported row)
+ * @returns {Object|null} Matching rule
+ */
+function findMatchingRule(txn) {
+  return categoryRules.find(rule => ruleMatches(rule, txn)) || null;
+}
+
+/**
+ * Reduce a description to the words that identify the merchant, so statements that add store
+ * numbers, dates or card prefixes still match (e.g., 'POS DEBIT SHELL OIL 5748392' → 'shell oil')
+ * @param {string} description - Transaction description
+ * @returns {string} Merchant key, or '' if nothing identifying is left
+ */
+function getMerchantKey(description) {
+  return (description || '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .split(' ')
+    .filter(word => word.length > 1 && !MERCHANT_NOISE_WORDS.has(word))
+    .slice(0, MERCHANT_KEY_WORDS)
+    .join(' ');
+}
+
+/**
+ * Count how often each merchant was given each category in past transactions
+ * Corrected categories are learned because edits replace the saved transaction
+ * @param {Array} transactions - Categorized transactions to learn from
+ * @returns {Map<string, Map<string, {cat: string, count: number}>>} Category counts by merchant key
+ */
+function buildCategoryHistory(transactions) {
+  const history = new Map();
+  transactions.forEach(t => {
+    // A split receipt says nothing about the merchant's usual category
+    if (t.splits) return;
+    const catKey = getCategoryKey(t.cat);
+    const merchant = getMerchantKey(t.desc);
+    if (!catKey || !merchant) return;
+    if (!history.has(merchant)) history.set(merchant, new Map());
+    const counts = history.get(merchant);
+    // Later transactions win the display spelling of a category
+    const entry = counts.get(catKey) || { cat: t.cat.trim(), count: 0 };
+    entry.cat = t.cat.trim();
+    entry.count++;
+    counts.set(catKey, entry);
+  });
+  return history;
+}
+
+/**
+ * Suggest the category most often used for a merchant
+ * @param {string} description - Transaction description
+ * @param {Map} history - Category history from buildCategoryHistory()
+ * @returns {{cat: string, confidence: string, count: number, total: number}|null} Suggestion with
+ *   'high', 'medium' or 'low' confidence (share of the merchant's past transactions), or null
+ */
+function suggestFromHistory(description, history) {
+  const counts = history.get(getMerchantKey(description));
+  if (!counts) return null;
+  let best = null;
+  let total = 0;
+  counts.forEach(entry => {
+    total += entry.count;
+    if (!best || entry.count > best.count) best = entry;
+  });
+  const share = best.count / total;
+  let confidence = 'low';
+  if (share >= 0.8 && best.count >= 2) confidence = 'high';
+  else if (share >= 0.6) confidence = 'medium';
+  return { cat: best.cat, confidence, count: best.count, total };
+}
+
+/**
+ * Categorize an imported row: the first matching user rule sets the category (and description, if
+ * it renames), otherwise a missing category comes from past transactions of the same merchant, and
+ * only then from the built-in keywords (when enabled)
+ * @param {{desc: string, amount: number, type: string, cat: string}} txn - Imported row
+ * @param {Map} [history] - Category history from buildCategoryHistory(); omitted to skip learning
+ * @returns {{desc: string, cat: string, source: string, confidence: string, count?: number, total?: number}}
+ *   Description and category to use, where the category came from ('rule', 'history', 'keyword',
+ *   'file' or '' when uncategorized) and how confident the suggestion is
+ */
+function categorizeImported(txn, history) {
+  const rule = findMatchingRule(txn);
+  if (rule) return { desc: rule.rename || txn.desc, cat: rule.category, source: 'rule', confidence: '' };
+  if (txn.cat) return { desc: txn.desc, cat: txn.cat, source: 'file', confidence: '' };
+  const learned = history ? suggestFromHistory(txn.desc, history) : null;
+  if (learned) return { desc: txn.desc, source: 'history', ...learned };
+  const keyword = keywordFallback ? getKeywordCategory(txn.desc) : '';
+  if (keyword) return { desc: txn.desc, cat: keyword, source: 'keyword', confidence: 'low' };
+  return { desc: txn.desc, cat: '', source: '', confidence: '' };
+}
+
+/**
+ * Apply the user's rules to every saved transaction (built-in keywords are not used, so
+ * categories entered by hand are only changed by an explicit rule)
+ */
+function reapplyCategoryRules() {
+  if (categoryRules.length === 0) {
+    alert('There are no rules to apply. Add a rule first.');
+    return;
+  }
+  const updates = new Map();
+  txns.forEach(t => {
+    const rule = findMatchingRule(t);
+    if (!rule) return;
+    const desc = rule.rename || t.desc;
+    // Split transactions keep their lines; only the rename applies
+    if (t.splits) {
+      if (t.desc !== desc) updates.set(t.id, { desc });
+      return;
+    }
+    if (t.cat !== rule.category || t.desc !== desc) updates.set(t.id, { cat: rule.category, desc });
+  });
+  if (updates.size === 0) {
+    alert('All transactions already match your rules.');
+    return;
+  }
+  if (!confirm(`Update the category or description of ${updates.size} transaction(s) to match your rules?`)) return;
+  console.log('[Rules] Re-applying rules to', updates.size, 'transaction(s)');
+  recordChange(`Applied rules to ${updates.size} transaction(s)`, () => {
+    txns = txns.map(t => updates.has(t.id) ? { ...t, ...updates.get(t.id) } : t);
+  }, { toast: true });
+  save(txns);
+  render();
+}
+
+/**
+ * Read and validate the rules form
+ * Shows an alert describing the first invalid field
+ * @returns {Object|null} Rule fields (without id) or null if invalid
+ */
+function readCategoryRuleForm() {
+  const match = ruleMatchEl.value;
+  const pattern = rulePatternEl.value.trim();
+  if (pattern.length > 200) {
+    alert('Match text is too long (max 200 characters)');
+    return null;
+  }
+  if (match === 'regex' && pattern && !compileRulePattern(pattern)) {
+    alert('The regular expression is not valid.');
+    return null;
+  }
+  const readAmount = (input, label) => {
+    if (input.value.trim() === '') return null;
+    const value = validateNumber(parseAmountInput(input.value));
+    if (value === null || value < 0) {
+      alert(`${label} must be a positive number`);
+      return undefined;
+    }
+    return value;
+  };
+  const minAmount = readAmount(ruleMinEl, 'Minimum amount');
+  if (minAmount === undefined) return null;
+  const maxAmount = readAmount(ruleMaxEl, 'Maximum amount');
+  if (maxAmount === undefined) return null;
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    alert('The minimum amount must not be more than the maximum');
+    return null;
+  }
+  const category = ruleCategoryEl.value.trim();
+  if (!category || category.length > 100) {
+    alert('Please enter a category (max 100 characters)');
+    return null;
+  }
+  const rename = ruleRenameEl.value.trim();
+  if (rename.length > 200) {
+    alert('The new description is too long (max 200 characters)');
+    return null;
+  }
+  const fields = { match, pattern, type: ruleTypeEl.value, minAmount, maxAmount, category, rename };
+  if (!pattern && !fields.type && minAmount === null && maxAmount === null) {
+    alert('Add at least one condition: text to match, a type or an amount range');
+    return null;
+  }
+  return fields;
+}
+
+/**
+ * Reset the rules form to add a new rule
+ */
+function resetCategoryRuleForm() {
+  editingCategoryRuleId = null;
+  ruleMatchEl.value = 'contains';
+  rulePatternEl.value = ''; ruleMinEl.value = ''; ruleMaxEl.value = '';
+  ruleTypeEl.value = '';
+  ruleCategoryEl.value = ''; ruleRenameEl.value = '';
+  ruleSaveBtn.textContent = 'Add Rule';
+  ruleCancelBtn.style.display = 'none';
+}
+
+/**
+ * Save the rules form as a new rule (lowest priority) or into the rule being edited
+ */
+function saveCategoryRuleForm() {
+  const fields = readCategoryRuleForm();
+  if (!fields) return;
+  if (editingCategoryRuleId) {
+    const idx = categoryRules.findIndex(r => r.id === editingCategoryRuleId);
+    if (idx === -1) {
+      alert('This rule no longer exists.');
+      resetCategoryRuleForm();
+      return;
+    }
+    categoryRules[idx] = { id: editingCategoryRuleId, ...fields };
+    console.log('[Rules] Updated rule:', editingCategoryRuleId);
+  } else {
+    if (categoryRules.length >= MAX_CATEGORY_RULES) {
+      alert(`You can have at most ${MAX_CATEGORY_RULES} rules.`);
+      return;
+    }
+    const rule = { id: crypto.randomUUID(), ...fields };
+    categoryRules.push(rule);
+    console.log('[Rules] Added rule:', rule.id);
+  }
+  saveCategoryRules();
+  resetCategoryRuleForm();
+  renderCategoryRules();
+}
+
+/**
+ * Load a rule into the rules form for editing
+ * @param {string} id - Rule ID
+ */
+function startEditCategoryRule(id) {
+  const rule = categoryRules.find(r => r.id === id);
+  if (!rule) return;
+  editingCategoryRuleId = id;
+  ruleMatchEl.value = rule.match;
+  rulePatternEl.value = rule.pattern;
+  ruleTypeEl.value = rule.type;
+  ruleMinEl.value = rule.minAmount !== null ? formatAmountInput(rule.minAmount) : '';
+  ruleMaxEl.value = rule.maxAmount !== null ? formatAmountInput(rule.maxAmount) : '';
+  ruleCategoryEl.value = rule.category;
+  ruleRenameEl.value = rule.rename;
+  ruleSaveBtn.textContent = 'Save Rule';
+  ruleCancelBtn.style.display = '';
+  rulePatternEl.focus();
+}
+
+/**
+ * Describe a rule's conditions (e.g., 'Description contains "shell" • Expense • $0.00 – $100.00')
+ * @param {Object} rule - Categorization rule
+ * @returns {string}
+ */
+function describeCategoryRule(rule) {
+  const parts = [];
+  if (rule.pattern) parts.push(`Description ${RULE_MATCH_TYPES[rule.match]} "${rule.pattern}"`);
+  if (rule.type) parts.push(rule.type === 'income' ? 'Income' : 'Expense');
+  if (rule.minAmount !== null && rule.maxAmount !== null) parts.push(`${fmt(rule.minAmount)} – ${fmt(rule.maxAmount)}`);
+  else if (rule.minAmount !== null) parts.push(`At least ${fmt(rule.minAmount)}`);
+  else if (rule.maxAmount !== null) parts.push(`At most ${fmt(rule.maxAmount)}`);
+  return parts.join(' • ');
+}
+
+/**
+ * Render the list of rules in priority order
+ */
+function renderCategoryRules() {
+  categoryRuleListEl.innerHTML = '';
+  ruleKeywordFallbackEl.checked = keywordFallback;
+  categoryRulesEmptyEl.style.display = categoryRules.length === 0 ? '' : 'none';
+  categoryRules.forEach((rule, index) => {
+    const li = document.createElement('li');
+    const left = document.createElement('div');
+    const strong = document.createElement('strong');
+    strong.textContent = `${index + 1}. ${rule.category}`;
+    const small = document.createElement('small');
+    small.textContent = describeCategoryRule(rule) + (rule.rename ? ` • Rename to "${rule.rename}"` : '');
+    left.appendChild(strong);
+    left.appendChild(document.createElement('br'));
+    left.appendChild(small);
+
+    const right = document.createElement('div');
+    const actions = document.createElement('small');
+    const links = [['up', '↑', index > 0], ['down', '↓', index < categoryRules.length - 1], ['edit', 'Edit', true], ['delete', 'Delete', true]];
+    links.filter(([, , enabled]) => enabled).forEach(([action, text], i) => {
+      if (i > 0) actions.appendChild(document.createTextNode(' • '));
+      const link = document.createElement('a');
+      link.href = '#';
+      link.dataset.id = rule.id;
+      link.dataset.action = action;
+      link.textContent = text;
+      if (action === 'up' || action === 'down') link.setAttribute('aria-label', `Move rule ${index + 1} ${action}`);
+      actions.appendChild(link);
+    });
+    right.appendChild(actions);
+    li.appendChild(left);
+    li.appendChild(right);
+    categoryRuleListEl.appendChild(li);
+  });
+}
+
+ruleSaveBtn.addEventListener('click', saveCategoryRuleForm);
+ruleCancelBtn.addEventListener('click', resetCategoryRuleForm);
+reapplyRulesBtn.addEventListener('click', reapplyCategoryRules);
+ruleKeywordFallbackEl.addEventListener('change', () => {
+  keywordFallback = ruleKeywordFallbackEl.checked;
+  console.log('[Rules] Keyword suggestions', keywordFallback ? 'enabled' : 'disabled');
+  saveCategoryRules();
+});
+
+categoryRuleListEl.addEventListener('click', e => {
+  const id = e.target.dataset?.id;
+  const action = e.target.dataset?.action;
+  if (!id) return;
+  e.preventDefault();
+  const index = categoryRules.findIndex(r => r.id === id);
+  if (index === -1) return;
+  if (action === 'edit') {
+    startEditCategoryRule(id);
+    return;
+  }
+  if (action === 'delete') {
+    if (!confirm('Delete this rule? Transactions it already categorized are not changed.')) return;
+    categoryRules.splice(index, 1);
+    if (editingCategoryRuleId === id) resetCategoryRuleForm();
+  } else {
+    // Move the rule up or down in priority
+    const target = action === 'up' ? index - 1 : index + 1;
+    if (target < 0 || target >= categoryRules.length) return;
+    [categoryRules[index], categoryRules[target]] = [categoryRules[target], categoryRules[index]];
+  }
+  saveCategoryRules();
+  renderCategoryRules();
+});
+
+// ============================================================================
+// DUPLICATE DETECTION
+// ============================================================================
+// Days apart an imported row and a saved transaction can be and still count as the same one
+// (statements often post a few days after the purchase)
+const DUPLICATE_DATE_TOLERANCE_DAYS = 3;
+// Share of description words two transactions must have in common to count as similar
+const DUPLICATE_MIN_WORD_OVERLAP = 0.5;
+
+/**
+ * Split a description into its lowercase words, ignoring numbers and punctuation
+ * @param {string} description - Transaction description
+ * @returns {Set<string>}
+ */
+function getDescriptionWords(description) {
+  return new Set((description || '').toLowerCase().split(/[^a-z]+/).filter(word => word.length > 1));
+}
+
+/**
+ * Check whether two descriptions likely name the same transaction: same merchant, or at least
+ * half of the shorter description's words appear in the other
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {boolean}
+ */
+function descriptionsSimilar(a, b) {
+  const merchant = getMerchantKey(a);
+  if (merchant && merchant === getMerchantKey(b)) return true;
+  const wordsA = getDescriptionWords(a);
+  const wordsB = getDescriptionWords(b);
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    // Nothing but numbers and symbols: compare the text itself
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+  }
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return shared / Math.min(wordsA.size, wordsB.size) >= DUPLICATE_MIN_WORD_OVERLAP;
+}
+
+/**
+ * Number of whole days between two YYYY-MM-DD dates
+ * @param {string} a - First date
+ * @param {string} b - Second date
+ * @returns {number}
+ */
+function daysBetween(a, b) {
+  return Math.round(Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Flag imported rows that look like transactions already saved (same type and amount, dates within
+ * DUPLICATE_DATE_TOLERANCE_DAYS, similar description). Each saved transaction matches at most one
+ * row, so genuinely repeated purchases in the new statement are not all flagged.
+ * Rows with an importId (the bank's transaction ID) match exactly: the saved transaction with the same
+ * ID, and never one that has a different ID.
+ * Flagged rows get `duplicateOf` (the saved transaction) and are deselected.
+ * @param {Array} rows - Imported rows ({date, amount, type, desc, importId?}); modified in place
+ * @returns {number} Number of rows flagged as likely duplicates
+ */
+function markDuplicates(rows) {
+  // Saved transactions grouped by type and amount in cents, the parts that must match exactly
+  const candidates = new Map();
+  const byImportId = new Map();
+  txns.forEach(t => {
+    const key = `${t.type}:${Math.round(t.amount * 100)}`;
+    if (!candidates.has(key)) candidates.set(key, []);
+    candidates.get(key).push(t);
+    if (t.importId) byImportId.set(t.importId, t);
+  });
+  const matched = new Set();
+
+  let count = 0;
+  const flag = (row, txn) => {
+    row.duplicateOf = txn;
+    row.selected = false;
+    matched.add(txn);
+    count++;
+  };
+  rows.forEach(row => {
+    row.duplicateOf = null;
+    const exact = row.importId ? byImportId.get(row.importId) : null;
+    if (exact && !matched.has(exact)) flag(row, exact);
+  });
+  rows.forEach(row => {
+    if (row.duplicateOf || !row.date) return;
+    const group = candidates.get(`${row.type}:${Math.round(row.amount * 100)}`);
+    if (!group) return;
+    const match = group.find(t => !matched.has(t) && t.date && !(row.importId && t.importId) &&
+      daysBetween(t.date, row.date) <= DUPLICATE_DATE_TOLERANCE_DAYS && descriptionsSimilar(t.desc, row.desc));
+    if (match) flag(row, match);
+  });
+  if (count > 0) console.log('[Import] Flagged', count, 'likely duplicate(s)');
+  return count;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+// Check if running over HTTPS (defense-in-depth, GitHub Pages enforces HTTPS)
+if (location.protocol !== 'https:' && location.hostname !== 'localhost' && location.hostname !== '127.0.0.1') {
+  console.warn('[Security] Application should be served over HTTPS');
+  // GitHub Pages enforces HTTPS, so this is just a warning
+}
+
+/**
+ * Open the database, migrate legacy localStorage data and load app state into memory
+ */
+async function initStorage() {
+  try {
+    db = await openDatabase();
+    await migrateLegacyStorage();
+    // With the app lock on, nothing is read until the PIN or passphrase gives the key
+    appLock = await loadAppLock();
+    if (appLock) await waitForUnlock();
+    syncDeviceId = await loadSyncDevice();
+    syncSettings = await loadSyncSettings();
+    formatSettings = await loadFormatSettings();
+    updateFormatters();
+    txns = await load();
+    wsData = await loadWorksheet();
+    wsStructure = await loadWorksheetStructure();
+    categoryMap = await loadCategoryMap();
+    recurringRules = await loadRecurringRules();
+    accounts = await loadAccounts();
+    ({ rules: categoryRules, keywordFallback } = await loadCategoryRules());
+    csvMappings = await loadCsvMappings();
+    period = await loadPeriod();
+    ({ undo: undoStack, redo: redoStack } = await loadHistory());
+  } catch (e) {
+    console.error('[Storage] Could not open IndexedDB:', e);
+    alert('Unable to open local storage. Changes made in this session will not be saved.');
+  }
+}
+
+// Initialize app when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => { 
+  console.log('[App] Initializing application');
+  await initStorage(); // Load data from IndexedDB before the first render
+  wsMonthEl.value = wsMonth;
+  updateAmountPlaceholders(); // Example amounts in the chosen locale
+  updatePeriodControls();
+  fillAccountSelects(); // Accounts for the entry form, filter and import card
+  resetAccountForm();
+  render();           // Render transaction list
+  renderWorksheet();   // Render budget worksheet
+  renderMenu();       // Render side menu
+  resetRecurringForm();
+  renderRecurring();  // Render recurring rules and upcoming occurrences
+  resetCategoryRuleForm();
+  renderCategoryRules(); // Render categorization rules
+  updateHistoryControls(); // Reflect history restored from the last session
+  renderAppLockCard();
+  updateIdleTimer();  // Lock again after the idle timeout
+  renderSyncCard();
+  // Pick up changes made on other devices first (when a sync server is set), so occurrences they
+  // already posted aren't posted again, then post recurring transactions that came due since the last visit
+  if (db) syncWithServer({ quiet: true }).then(() => postDueRecurring());
+  console.log('[App] Initialization complete');
+});
+
+// ============================================================================
+// CSV EXPORT/IMPORT
+// ============================================================================
+/**
+ * Export all transactions to CSV file
+ * Creates a downloadable CSV file with transaction data
+ */
+exportBtn.addEventListener('click', ()=>{
+  // Create CSV header row
+  const rows = [['Date','Type','Description','Category','Amount','Account','To Account','Splits']];
+  
+  // Add each transaction as a row (accounts by name, so the file reads on its own).
+  // Split transactions list their categories in Category and keep their lines as JSON in Splits, so importing the file restores them
+  const accountName = id => getAccount(id) ? getAccount(id).name : '';
+  txns.forEach(t=> rows.push([t.date, t.type, t.desc, t.splits ? getSplitLabel(t.splits) : t.cat, t.amount, accountName(t.accountId), accountName(t.toAccountId), t.splits ? JSON.stringify(t.splits) : '']));
+  
+  // Convert to CSV format with CSV injection protection
+  // Prefix dangerous characters (=, +, -, @, \t) with a tab to prevent formula injection
+  const sanitizeCsvField = (value) => {
+    if (value === null || value === undefined) return '';
+    const str = value.toString();
+    // Check if field starts with dangerous characters
+    if (/^[=+\-@\t]/.test(str)) {
+      // Prefix with tab to prevent formula execution in Excel/Google Sheets
+      return '\t' + str;
+    }
+    return str;
+  };
+  
+  // Escape quotes and wrap fields in quotes, then sanitize
+  const csv = rows.map(r=> 
+    r.map(x=> {
+      const sanitized = sanitizeCsvField(x);
+      return `"${sanitized.replace(/"/g,'""')}"`;
+    }).join(',')
+  ).join('\n');
+  
+  // Create blob and download link
+  const blob = new Blob([csv], {type:'text/csv'});
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'quickbudget.csv';
+  a.click();
+  URL.revokeObjectURL(a.href);
+});
+
+/**
+ * Check an import row before it can be added
+ * @param {{desc: *, amount: *, type: *, date: *, cat: *, parseError?: string}} row - Imported row
+ * @returns {string} Reason the row can't be imported, or '' if it is valid
+ */
+function getImportRowError(row) {
+  if (row.parseError) return row.parseError;
+  const desc = typeof row.desc === 'string' ? row.desc.trim() : '';
+  if (!desc) return 'Description is missing';
+  if (desc.length > 200) return 'Description is longer than 200 characters';
+  if (row.type === 'transfer') {
+    if (!row.accountId || !row.toAccountId || row.accountId === row.toAccountId) return 'A transfer needs two different accounts';
+  } else if (row.type !== 'income' && row.type !== 'expense') {
+    return `Type must be "income" or "expense" (found "${row.type || ''}")`;
+  }
+  if (!row.date) return 'Date is missing';
+  if (!validateDate(row.date)) return `"${row.date}" is not a valid YYYY-MM-DD date`;
+  if (row.amount === '' || row.amount === null || row.amount === undefined) return 'Amount is missing';
+  const amount = typeof row.amount === 'number' ? row.amount : Number(row.amount);
+  if (!isFinite(amount) || amount <= 0) return `"${row.amount}" is not a positive amount`;
+  if (amount > 999999999.99) return 'Amount is too large';
+  if (typeof row.cat === 'string' && row.cat.length > 100) return 'Category is longer than 100 characters';
+  if (row.splitLines) {
+    if (row.type === 'transfer') return 'Transfers can\'t be split across categories';
+    return readSplitLines(row.splitLines, amount).error;
+  }
+  return '';
+}
+
+/**
+ * Split CSV content into its header and data rows
+ * Handles quoted fields and escaped quotes; the delimiter (comma, semicolon or tab) is detected from the header
+ * @param {string} csvText - Raw CSV text content
+ * @returns {{headers: Array<string>, rows: Array<{line: number, values: Array<string>}>}} Header names and
+ *   non-empty data rows with their line numbers in the file
+ */
+function parseCSV(csvText) {
+  const lines = csvText.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim());
+  if (headerIndex === -1) return { headers: [], rows: [] };
+  const delimiter = detectCsvDelimiter(lines[headerIndex]);
+  const headers = parseCSVLine(lines[headerIndex], delimiter).map(h => h.trim());
+  const rows = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    rows.push({ line: i + 1, values: parseCSVLine(lines[i], delimiter) });
+  }
+  return { headers, rows };
+}
+
+/**
+ * Pick the delimiter used by a CSV header line (banks using decimal commas usually separate with semicolons)
+ * @param {string} headerLine - First line of the file
+ * @returns {string} ',', ';' or '\t'
+ */
+function detectCsvDelimiter(headerLine) {
+  const outsideQuotes = headerLine.replace(/"[^"]*"/g, '');
+  const counts = [',', ';', '\t'].map(d => [d, outsideQuotes.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+/**
+ * Parse a single CSV line, handling quoted fields and escaped quotes
+ * @param {string} line - CSV line to parse
+ * @param {string} [delimiter=','] - Field separator
+ * @returns {Array<string>} Array of field values
+ */
+function parseCSVLine(line, delimiter = ',') {
+  const fields = [];
+  let currentField = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    const nextChar = line[i + 1];
+    
+    if (char === '"') {
+      if (inQuotes && nextChar === '"') {
+        // Escaped quote
+        currentField += '"';
+        i++; // Skip next quote
+      } else {
+        // Toggle quote state
+        inQuotes = !inQuotes;
+      }
+    } else if (char === delimiter && !inQuotes) {
+      // Field separator
+      fields.push(currentField);
+      currentField = '';
+    } else {
+      currentField += char;
+    }
+  }
+  
+  // Add last field
+  fields.push(currentField);
+  
+  return fields;
+}
+
+// ============================================================================
+// CSV COLUMN MAPPING
+// ============================================================================
+// Date formats a mapped column can use, as shown in the mapping form
+const CSV_DATE_FORMATS = { ymd: 'YYYY-MM-DD', mdy: 'MM/DD/YYYY', dmy: 'DD/MM/YYYY' };
+// Values of a bank's type column that mean income or expense
+const CSV_TYPE_ALIASES = {
+  income: 'income', credit: 'income', cr: 'income', deposit: 'income', in: 'income',
+  expense: 'expense', debit: 'expense', dr: 'expense', withdrawal: 'expense', out: 'expense', payment: 'expense',
+  transfer: 'transfer'
+};
+// Mappings for CSV files exported by QuickBudget (imported without asking), by header signature;
+// exports from before accounts existed have no account columns
+const QUICKBUDGET_CSV_MAPPINGS = {
+  'date|type|description|category|amount': {
+    date: 0, type: 1, desc: 2, cat: 3, amount: 4, debit: null, credit: null,
+    amountMode: 'signed', negativeIsExpense: true, dateFormat: 'ymd', decimal: '.'
+  },
+  'date|type|description|category|amount|account|to account': {
+    date: 0, type: 1, desc: 2, cat: 3, amount: 4, debit: null, credit: null, account: 5, toAccount: 6,
+    amountMode: 'signed', negativeIsExpense: true, dateFormat: 'ymd', decimal: '.'
+  },
+  'date|type|description|category|amount|account|to account|splits': {
+    date: 0, type: 1, desc: 2, cat: 3, amount: 4, debit: null, credit: null, account: 5, toAccount: 6, splits: 7,
+    amountMode: 'signed', negativeIsExpense: true, dateFormat: 'ymd', decimal: '.'
+  }
+};
+// Most column mappings remembered (oldest are forgotten first)
+const MAX_CSV_MAPPINGS = 50;
+// Data rows shown in the mapping preview
+const CSV_PREVIEW_ROWS = 5;
+
+// Remembered mappings by header signature (loaded from IndexedDB during initialization)
+let csvMappings = {};
+// CSV file being mapped or reviewed ({headers, rows, signature, mapping})
+let pendingCsv = null;
+
+/**
+ * Identify a CSV layout by its header names, so files from the same bank share a mapping
+ * @param {Array<string>} headers - Header row
+ * @returns {string}
+ */
+function getCsvSignature(headers) {
+  return headers.map(h => h.trim().toLowerCase()).join('|');
+}
+
+/**
+ * Validate a column mapping
+ * @param {*} mapping - Mapping to validate
+ * @param {number} [columnCount=Infinity] - Number of columns in the file
+ * @returns {boolean} True if valid, false otherwise
+ */
+function validateCsvMapping(mapping, columnCount = Infinity) {
+  if (!mapping || typeof mapping !== 'object') return false;
+  const validColumn = c => c === null || (Number.isInteger(c) && c >= 0 && c < Math.min(columnCount, 500));
+  if (!['date', 'desc', 'amount', 'debit', 'credit', 'cat', 'type'].every(key => validColumn(mapping[key]))) return false;
+  // Account and split columns are optional (only QuickBudget's own exports have them)
+  if (!['account', 'toAccount', 'splits'].every(key => mapping[key] === undefined || validColumn(mapping[key]))) return false;
+  if (mapping.date === null || mapping.desc === null) return false;
+  if (mapping.amountMode === 'signed') {
+    if (mapping.amount === null) return false;
+  } else if (mapping.amountMode === 'split') {
+    if (mapping.debit === null && mapping.credit === null) return false;
+  } else {
+    return false;
+  }
+  if (typeof mapping.negativeIsExpense !== 'boolean') return false;
+  if (!Object.prototype.hasOwnProperty.call(CSV_DATE_FORMATS, mapping.dateFormat)) return false;
+  return mapping.decimal === '.' || mapping.decimal === ',';
+}
+
+/**
+ * Load remembered column mappings from IndexedDB
+ * @returns {Promise<Object>} Mappings by header signature
+ */
+async function loadCsvMappings() {
+  try {
+    return validateCsvMappings(await getMeta('csvMappings'));
+  } catch (e) {
+    console.error('[Import] Error loading CSV mappings:', e);
+    return {};
+  }
+}
+
+/**
+ * Validate stored column mappings, dropping invalid ones
+ * @param {*} stored - Mappings by header signature
+ * @returns {Object} Validated mappings
+ */
+function validateCsvMappings(stored) {
+  if (!stored || typeof stored !== 'object') return {};
+  const mappings = {};
+  Object.entries(stored).forEach(([signature, mapping]) => {
+    if (signature.length <= 5000 && validateCsvMapping(mapping)) mappings[signature] = mapping;
+  });
+  return mappings;
+}
+
+/**
+ * Remember a column mapping for files with the same header
+ * @param {string} signature - Header signature from getCsvSignature()
+ * @param {Object} mapping - Column mapping
+ */
+function rememberCsvMapping(signature, mapping) {
+  delete csvMappings[signature];
+  csvMappings[signature] = mapping;
+  const signatures = Object.keys(csvMappings);
+  signatures.slice(0, Math.max(0, signatures.length - MAX_CSV_MAPPINGS)).forEach(s => delete csvMappings[s]);
+  saveCsvMappings();
+}
+
+/**
+ * Save the remembered CSV column mappings to IndexedDB
+ */
+function saveCsvMappings() {
+  setSyncedMeta('csvMappings', csvMappings).catch(e => reportSaveError(e, 'CSV column mappings'));
+}
+
+/**
+ * Parse a date in the given format into YYYY-MM-DD
+ * Accepts '/', '-', '.' or ' ' as separators, two-digit years (as 20YY) and a trailing time
+ * @param {string} value - Date text from the file
+ * @param {string} format - Key of CSV_DATE_FORMATS
+ * @returns {string|null} Normalized date, or null if it doesn't match
+ */
+function parseDateWithFormat(value, format) {
+  const parts = value.trim().split(/[T\s]/)[0].split(/[/.-]/);
+  if (parts.length !== 3 || !parts.every(p => /^\d{1,4}$/.test(p))) return null;
+  const order = { ymd: [0, 1, 2], mdy: [2, 0, 1], dmy: [2, 1, 0] }[format];
+  let [year, month, day] = order.map(i => parts[i]);
+  if (year.length === 2) year = `20${year}`;
+  if (year.length !== 4) return null;
+  return validateDate(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`);
+}
+
+/**
+ * Parse an amount as written by a bank (currency symbols, thousands separators, "(12.00)" or "12.00-" for negatives)
+ * @param {string} value - Amount text from the file
+ * @param {string} decimal - Decimal separator ('.' or ',')
+ * @returns {number|null} Amount (NaN if it isn't a number), or null if the cell is empty
+ */
+function parseAmount(value, decimal) {
+  let text = value.trim();
+  if (!text) return null;
+  let negative = false;
+  if (/^\(.*\)$/.test(text) || /-$/.test(text)) {
+    negative = true;
+    text = text.replace(/^\(|\)$|-$/g, '');
+  }
+  text = text.replace(/[^\d.,+-]/g, '');
+  text = decimal === ',' ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) return NaN;
+  const amount = Number(text);
+  return negative ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Guess a mapping from the header names and the first rows
+ * @param {{headers: Array<string>, rows: Array}} csv - Parsed file
+ * @returns {Object} Column mapping (may be incomplete)
+ */
+function guessCsvMapping({ headers, rows }) {
+  const find = pattern => {
+    const index = headers.findIndex(h => pattern.test(h.trim()));
+    return index === -1 ? null : index;
+  };
+  const mapping = {
+    date: find(/date|posted/i),
+    desc: find(/desc|payee|merchant|memo|details|narrative|name/i),
+    amount: find(/amount|amt|value|sum/i),
+    debit: find(/debit|withdrawal|money out|paid out|^out$/i),
+    credit: find(/credit|deposit|money in|paid in|^in$/i),
+    cat: find(/categ/i),
+    type: find(/^type$|transaction type|^cr\/dr$|^dr\/cr$/i),
+    amountMode: 'signed',
+    negativeIsExpense: true,
+    dateFormat: 'mdy',
+    decimal: '.'
+  };
+  if (mapping.amount === null && (mapping.debit !== null || mapping.credit !== null)) mapping.amountMode = 'split';
+
+  const sample = rows.slice(0, 20);
+  const column = index => index === null ? [] : sample.map(r => (r.values[index] || '').trim()).filter(Boolean);
+  if (mapping.date === null) {
+    // Headers in another language: use the first column that holds dates
+    const index = headers.findIndex((h, i) => {
+      const values = column(i);
+      return values.length > 0 && values.every(v => /^\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}/.test(v));
+    });
+    if (index !== -1) mapping.date = index;
+  }
+  const dates = column(mapping.date);
+  if (dates.length > 0 && dates.every(d => /^\d{4}[/.-]/.test(d))) {
+    mapping.dateFormat = 'ymd';
+  } else if (dates.some(d => Number(d.split(/[/.-]/)[0]) > 12)) {
+    mapping.dateFormat = 'dmy';
+  }
+  const amounts = mapping.amountMode === 'signed' ? column(mapping.amount) : [...column(mapping.debit), ...column(mapping.credit)];
+  if (amounts.some(a => /\d,\d{1,2}\)?-?$/.test(a)) && !amounts.some(a => /\d\.\d{1,2}\)?-?$/.test(a))) {
+    mapping.decimal = ',';
+  }
+  return mapping;
+}
+
+/**
+ * Turn parsed CSV rows into import rows using a column mapping
+ * Cells that can't be read keep their text and get a `parseError`, so they can be fixed during review
+ * @param {{headers: Array<string>, rows: Array}} csv - Parsed file
+ * @param {Object} mapping - Column mapping
+ * @returns {Array} Rows ({id, line, date, type, desc, cat, amount, accountId?, toAccountId?, splitLines?, parseError?})
+ */
+function mapCsvRows({ headers, rows }, mapping) {
+  return rows.map(({ line, values }) => {
+    // Remove leading tabs from sanitized fields (see CSV export) and surrounding whitespace
+    const cell = index => index === null ? '' : (values[index] || '').replace(/^\t/, '').trim();
+    const errors = [];
+    if (values.length !== headers.length) errors.push(`Expected ${headers.length} columns, found ${values.length}`);
+    const row = { id: crypto.randomUUID(), line, date: '', type: '', desc: cell(mapping.desc), cat: cell(mapping.cat), amount: '' };
+
+    const rawDate = cell(mapping.date);
+    row.date = parseDateWithFormat(rawDate, mapping.dateFormat) || rawDate;
+    if (rawDate && row.date === rawDate && !validateDate(rawDate)) {
+      errors.push(`Date "${rawDate}" doesn't match ${CSV_DATE_FORMATS[mapping.dateFormat]}`);
+    }
+
+    const readAmount = index => {
+      const amount = parseAmount(cell(index), mapping.decimal);
+      if (Number.isNaN(amount)) errors.push(`Amount "${cell(index)}" isn't a number`);
+      return amount;
+    };
+    if (mapping.amountMode === 'signed') {
+      const amount = readAmount(mapping.amount);
+      if (amount !== null && !Number.isNaN(amount)) {
+        row.amount = Math.abs(amount);
+        row.type = (amount < 0) === mapping.negativeIsExpense ? 'expense' : 'income';
+      } else {
+        row.amount = cell(mapping.amount);
+      }
+    } else {
+      const debit = readAmount(mapping.debit);
+      const credit = readAmount(mapping.credit);
+      if (debit) {
+        row.amount = Math.abs(debit);
+        row.type = 'expense';
+      } else if (credit) {
+        row.amount = Math.abs(credit);
+        row.type = 'income';
+      } else {
+        row.amount = cell(mapping.debit) || cell(mapping.credit);
+      }
+    }
+
+    // An explicit type column wins over the amount's sign
+    const rawType = cell(mapping.type).toLowerCase();
+    if (rawType) row.type = CSV_TYPE_ALIASES[rawType] || rawType;
+
+    // Account columns hold account names; they must match an existing account
+    [['account', 'accountId'], ['toAccount', 'toAccountId']].forEach(([column, field]) => {
+      const name = mapping[column] === undefined ? '' : cell(mapping[column]);
+      if (!name) return;
+      const account = accounts.find(a => a.name.toLowerCase() === name.toLowerCase());
+      if (account) row[field] = account.id;
+      else errors.push(`Account "${name}" doesn't exist - add it on the Accounts tab first`);
+    });
+
+    // The split column holds a split transaction's lines as JSON ([{cat, amount, note?}])
+    const rawSplits = mapping.splits === undefined ? '' : cell(mapping.splits);
+    if (rawSplits) {
+      let splits = null;
+      try {
+        splits = JSON.parse(rawSplits);
+      } catch (e) {
+        // Reported below
+      }
+      if (typeof row.amount === 'number' && validateSplits(splits, row.amount)) {
+        row.cat = '';
+        row.splitLines = splits.map(l => ({ cat: l.cat, amount: formatAmountInput(l.amount), note: l.note || '' }));
+      } else {
+        errors.push('Splits aren\'t valid split lines adding up to the amount');
+      }
+    }
+
+    if (errors.length > 0) row.parseError = errors[0];
+    return row;
+  });
+}
+
+/**
+ * Fill a column select with the file's headers
+ * @param {HTMLSelectElement} select - Select to fill
+ * @param {Array<string>} headers - Header row
+ * @param {number|null} value - Selected column
+ * @param {string} [noneLabel] - Label of the "no column" option; omitted when a column is required
+ */
+function fillColumnSelect(select, headers, value, noneLabel) {
+  select.innerHTML = '';
+  const options = noneLabel ? [['', noneLabel]] : [];
+  headers.forEach((h, i) => options.push([String(i), h || `Column ${i + 1}`]));
+  options.forEach(([optionValue, text]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = text;
+    select.appendChild(option);
+  });
+  select.value = value === null ? (noneLabel ? '' : '0') : String(value);
+}
+
+/**
+ * Show or hide the amount fields for the chosen amount layout
+ */
+function updateCsvAmountFields() {
+  const split = mapAmountModeEl.value === 'split';
+  mapSignedFieldsEl.style.display = split ? 'none' : '';
+  mapSplitFieldsEl.style.display = split ? '' : 'none';
+}
+
+/**
+ * Show the column mapping form with a preview of the file
+ * @param {Object} csv - Pending CSV ({headers, rows, signature})
+ * @param {Object} mapping - Mapping to start from
+ */
+function showCsvMapping(csv, mapping) {
+  pendingCsv = csv;
+  closeImportReview(true);
+  const { headers, rows } = csv;
+
+  // Preview of the first rows (safe DOM: cells are file content)
+  csvPreviewEl.innerHTML = '';
+  const headRow = document.createElement('tr');
+  headers.forEach((h, i) => {
+    const th = document.createElement('th');
+    th.textContent = h || `Column ${i + 1}`;
+    headRow.appendChild(th);
+  });
+  csvPreviewEl.appendChild(headRow);
+  rows.slice(0, CSV_PREVIEW_ROWS).forEach(({ values }) => {
+    const tr = document.createElement('tr');
+    headers.forEach((h, i) => {
+      const td = document.createElement('td');
+      td.textContent = (values[i] || '').replace(/^\t/, '').slice(0, 60);
+      tr.appendChild(td);
+    });
+    csvPreviewEl.appendChild(tr);
+  });
+
+  fillColumnSelect(mapDateEl, headers, mapping.date);
+  fillColumnSelect(mapDescEl, headers, mapping.desc);
+  fillColumnSelect(mapAmountEl, headers, mapping.amount);
+  fillColumnSelect(mapDebitEl, headers, mapping.debit, 'None');
+  fillColumnSelect(mapCreditEl, headers, mapping.credit, 'None');
+  fillColumnSelect(mapCatEl, headers, mapping.cat, 'None');
+  fillColumnSelect(mapTypeEl, headers, mapping.type, 'None (use the amount)');
+  mapDateFormatEl.value = mapping.dateFormat;
+  mapDecimalEl.value = mapping.decimal;
+  mapAmountModeEl.value = mapping.amountMode;
+  mapSignEl.value = mapping.negativeIsExpense ? 'expense' : 'income';
+  mapRememberEl.checked = true;
+  updateCsvAmountFields();
+  csvMappingEl.style.display = '';
+  mapDateEl.focus();
+}
+
+/**
+ * Read the mapping form
+ * Shows an alert describing the first problem
+ * @returns {Object|null} Column mapping, or null if incomplete
+ */
+function readCsvMappingForm() {
+  const column = select => select.value === '' ? null : Number(select.value);
+  const mapping = {
+    date: column(mapDateEl),
+    desc: column(mapDescEl),
+    amount: mapAmountModeEl.value === 'signed' ? column(mapAmountEl) : null,
+    debit: mapAmountModeEl.value === 'split' ? column(mapDebitEl) : null,
+    credit: mapAmountModeEl.value === 'split' ? column(mapCreditEl) : null,
+    cat: column(mapCatEl),
+    type: column(mapTypeEl),
+    amountMode: mapAmountModeEl.value,
+    negativeIsExpense: mapSignEl.value === 'expense',
+    dateFormat: mapDateFormatEl.value,
+    decimal: mapDecimalEl.value
+  };
+  if (mapping.amountMode === 'split' && mapping.debit === null && mapping.credit === null) {
+    alert('Choose the money out (debit) column, the money in (credit) column, or both.');
+    return null;
+  }
+  if (!validateCsvMapping(mapping, pendingCsv.headers.length)) {
+    alert('Choose a column for the date, description and amount.');
+    return null;
+  }
+  return mapping;
+}
+
+/**
+ * Map the pending CSV with a mapping and show the rows for review
+ * @param {Object} mapping - Column mapping
+ */
+function reviewMappedCsv(mapping) {
+  pendingCsv.mapping = mapping;
+  csvMappingEl.style.display = 'none';
+  // Categorization rules override the file's categories; past transactions and keywords only fill in blanks.
+  // Split rows keep the categories of their lines
+  const history = buildCategoryHistory(txns);
+  const importedTxns = mapCsvRows(pendingCsv, mapping).map(t => {
+    if (getImportRowError(t) || t.splitLines) return t;
+    const categorized = categorizeImported(t, history);
+    return { ...t, desc: categorized.desc, cat: categorized.cat, suggestion: categorized };
+  });
+
+  // Review before importing: invalid rows can be fixed, likely duplicates start unchecked
+  importedTxns.forEach(t => { t.selected = !getImportRowError(t); });
+  const duplicates = markDuplicates(importedTxns.filter(t => t.selected));
+  showImportReview(importedTxns, 'csv');
+  const invalid = importedTxns.filter(t => t.error).length;
+  if (pdfStatus) {
+    pdfStatus.textContent = `Found ${importedTxns.length} transaction(s) in CSV` +
+      (invalid > 0 ? `, ${invalid} with errors` : '') +
+      (duplicates > 0 ? `, ${duplicates} already in your transactions (unchecked)` : '') +
+      '. Review them below.';
+    pdfStatus.style.color = invalid > 0 ? '#f59e0b' : '#0369a1';
+  }
+}
+
+mapAmountModeEl.addEventListener('change', updateCsvAmountFields);
+
+mapContinueBtn.addEventListener('click', () => {
+  if (!pendingCsv) return;
+  const mapping = readCsvMappingForm();
+  if (!mapping) return;
+  if (mapRememberEl.checked) {
+    rememberCsvMapping(pendingCsv.signature, mapping);
+    console.log('[Import] Remembered CSV mapping for', pendingCsv.headers.length, 'column(s)');
+  }
+  reviewMappedCsv(mapping);
+});
+
+mapCancelBtn.addEventListener('click', () => {
+  csvMappingEl.style.display = 'none';
+  pendingCsv = null;
+  if (pdfStatus) pdfStatus.textContent = '';
+});
+
+csvRemapBtn.addEventListener('click', () => {
+  if (!pendingCsv) return;
+  showCsvMapping(pendingCsv, pendingCsv.mapping || guessCsvMapping(pendingCsv));
+});
+
+// ============================================================================
+// OFX/QFX AND QIF IMPORT
+// ============================================================================
+// Characters escaped in OFX text
+const OFX_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Check if a file is an OFX or QFX (Quicken Web Connect) download
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isOfxFile(file) {
+  if (!file) return false;
+  if (['application/x-ofx', 'application/ofx', 'application/vnd.intu.qfx'].includes(file.type)) return true;
+  return !!file.name && /\.(ofx|qfx)$/i.test(file.name);
+}
+
+/**
+ * Check if a file is a QIF (Quicken Interchange Format) download
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isQifFile(file) {
+  if (!file) return false;
+  if (['application/qif', 'application/x-qif'].includes(file.type)) return true;
+  return !!file.name && /\.qif$/i.test(file.name);
+}
+
+/**
+ * Read the value of a leaf element from an OFX block
+ * Works for SGML (OFX 1.x, where leaf elements have no closing tag) and XML (OFX 2.x)
+ * @param {string} block - OFX text
+ * @param {string} tag - Element name
+ * @returns {string} Decoded value, or '' if absent
+ */
+function getOfxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  if (!match) return '';
+  return match[1].trim().replace(/&(#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') return String.fromCharCode(Number(name.slice(1)));
+    return OFX_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Parse OFX/QFX content (bank and credit card statements) into import rows
+ * Negative amounts are money out; FITID (the bank's transaction ID) becomes the row's importId
+ * @param {string} text - File content
+ * @returns {Array} Rows ({id, importId, date, type, desc, cat, amount, parseError?})
+ */
+function parseOfx(text) {
+  if (!/<OFX>/i.test(text)) throw new Error('This file does not contain OFX data.');
+  const rows = [];
+  const seen = new Set();
+  // Each statement names its account, which scopes the bank's transaction IDs
+  const statements = text.split(/<\/?(?:STMTRS|CCSTMTRS)>/i);
+  statements.forEach(statement => {
+    const account = getOfxValue(statement, 'ACCTID');
+    const blocks = statement.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+    blocks.forEach(block => {
+      const fitid = getOfxValue(block, 'FITID');
+      const importId = fitid ? `ofx:${account}:${fitid}`.slice(0, 200) : undefined;
+      if (importId) {
+        // Some banks repeat a transaction when statements overlap within one download
+        if (seen.has(importId)) return;
+        seen.add(importId);
+      }
+      const rawDate = getOfxValue(block, 'DTPOSTED');
+      const dateMatch = rawDate.match(/^(\d{4})(\d{2})(\d{2})/);
+      const rawAmount = getOfxValue(block, 'TRNAMT');
+      const amount = parseAmount(rawAmount, /,\d{1,2}$/.test(rawAmount) ? ',' : '.');
+      const name = getOfxValue(block, 'NAME');
+      const memo = getOfxValue(block, 'MEMO');
+      const row = {
+        id: crypto.randomUUID(),
+        date: dateMatch ? `${dateMatch[1]}-${dateMatch[2]}-${dateMatch[3]}` : rawDate,
+        type: '',
+        desc: (name || memo).slice(0, 200),
+        cat: '',
+        amount: rawAmount
+      };
+      if (importId) row.importId = importId;
+      if (amount !== null && !Number.isNaN(amount)) {
+        row.amount = Math.abs(amount);
+        row.type = amount < 0 ? 'expense' : 'income';
+      } else {
+        row.parseError = rawAmount ? `Amount "${rawAmount}" isn't a number` : 'Amount is missing';
+      }
+      rows.push(row);
+    });
+  });
+  return rows;
+}
+
+/**
+ * Parse QIF content into import rows
+ * Reads bank, cash and credit card sections; investment sections and account lists are skipped.
+ * Split lines are ignored (the transaction's total is imported).
+ * @param {string} text - File content
+ * @returns {Array} Rows ({id, line, date, type, desc, cat, amount, parseError?})
+ */
+function parseQif(text) {
+  const records = [];
+  let section = '';
+  let current = null;
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+    if (line[0] === '!') {
+      section = line.slice(1).toLowerCase();
+      current = null;
+      return;
+    }
+    if (!/^type:(bank|cash|ccard|oth a|oth l)$/.test(section)) return;
+    if (line === '^') {
+      if (current) records.push(current);
+      current = null;
+      return;
+    }
+    if (!current) current = { line: index + 1 };
+    const code = line[0];
+    const value = line.slice(1).trim();
+    if (code === 'D') current.date = value;
+    else if (code === 'T' || (code === 'U' && current.amount === undefined)) current.amount = value;
+    else if (code === 'P') current.payee = value;
+    else if (code === 'M') current.memo = value;
+    else if (code === 'L') current.category = value;
+  });
+  if (current) records.push(current);
+
+  // QIF dates have no fixed order: US files use MM/DD (often with 'YY years), others DD/MM.
+  // Use the order that reads the most dates (MM/DD when they all read either way).
+  const normalizeDate = value => (value || '').replace(/'\s*/g, '/').replace(/\s+/g, '');
+  const readable = format => records.filter(r => parseDateWithFormat(normalizeDate(r.date), format)).length;
+  const format = ['mdy', 'dmy', 'ymd'].reduce((best, f) => readable(f) > readable(best) ? f : best);
+
+  return records.map(r => {
+    const amount = parseAmount(r.amount || '', '.');
+    // "[Account]" categories are transfers; "Category:Subcategory" keeps the main category
+    const category = r.category && !/^\[.*\]$/.test(r.category) ? r.category.split(':')[0].trim() : '';
+    const date = parseDateWithFormat(normalizeDate(r.date), format);
+    const row = {
+      id: crypto.randomUUID(),
+      line: r.line,
+      date: date || r.date || '',
+      type: '',
+      desc: (r.payee || r.memo || '').slice(0, 200),
+      cat: category.slice(0, 100),
+      amount: r.amount || ''
+    };
+    if (amount !== null && !Number.isNaN(amount)) {
+      row.amount = Math.abs(amount);
+      row.type = amount < 0 ? 'expense' : 'income';
+    }
+    if (r.date && !date) row.parseError = `Date "${r.date}" isn't a date QuickBudget can read`;
+    else if (Number.isNaN(amount)) row.parseError = `Amount "${r.amount}" isn't a number`;
+    return row;
+  });
+}
+
+/**
+ * Handle an OFX, QFX or QIF download: parse the transactions and show them for review
+ * @param {File} file - File to import
+ * @param {string} format - 'ofx' (also QFX) or 'qif'
+ */
+async function handleStatementFile(file, format) {
+  const label = format === 'ofx' ? 'OFX/QFX' : 'QIF';
+  const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+  if (file.size > MAX_FILE_SIZE) {
+    console.warn(`[Import] ${label} file too large:`, file.size, 'bytes');
+    pdfStatus.textContent = 'File too large. Maximum size is 5MB.';
+    pdfStatus.style.color = '#b91c1c';
+    importFileInput.value = '';
+    return;
+  }
+
+  pdfStatus.textContent = `Processing ${label}...`;
+  pdfStatus.style.color = '#64748b';
+  try {
+    const text = await readFileAsText(file);
+    const parsed = format === 'ofx' ? parseOfx(text) : parseQif(text);
+    if (parsed.length === 0) {
+      pdfStatus.textContent = `No transactions found in ${label} file.`;
+      pdfStatus.style.color = '#b91c1c';
+      return;
+    }
+    const MAX_IMPORT_LIMIT = 10000;
+    if (parsed.length > MAX_IMPORT_LIMIT) {
+      alert(`Too many transactions in ${label} file (${parsed.length}). Maximum allowed is ${MAX_IMPORT_LIMIT}.`);
+      pdfStatus.textContent = 'Import canceled - file has too many transactions.';
+      pdfStatus.style.color = '#b91c1c';
+      return;
+    }
+
+    // Categorization rules override the file's categories; past transactions and keywords only fill in blanks
+    const history = buildCategoryHistory(txns);
+    const rows = parsed.map(row => {
+      if (getImportRowError(row)) return { ...row, selected: false };
+      const categorized = categorizeImported(row, history);
+      return { ...row, desc: categorized.desc, cat: categorized.cat, suggestion: categorized, selected: true };
+    });
+    const duplicates = markDuplicates(rows.filter(row => row.selected));
+    showImportReview(rows, format);
+    const invalid = rows.filter(row => row.error).length;
+    pdfStatus.textContent = `Found ${rows.length} transaction(s) in ${label} file` +
+      (invalid > 0 ? `, ${invalid} with errors` : '') +
+      (duplicates > 0 ? `, ${duplicates} already in your transactions (unchecked)` : '') +
+      '. Review them below.';
+    pdfStatus.style.color = invalid > 0 ? '#f59e0b' : '#0369a1';
+  } catch (error) {
+    console.error(`[Import] ${label} import error:`, error);
+    pdfStatus.textContent = `Error importing ${label}: ${error.message}`;
+    pdfStatus.style.color = '#b91c1c';
+  } finally {
+    importFileInput.value = '';
+  }
+}
+
+// ============================================================================
+// STATEMENT PARSER PROFILES
+// ============================================================================
+// Month names as printed on statements (matched on their first three letters)
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+// Statement lines that are never part of a transaction description
+const STATEMENT_NOISE_PATTERN = /total|balance|saldo|solde|page \d|statement|account (number|summary)|interest charged|minimum payment|payment due|^date\b|^description\b/i;
+
+/**
+ * Month number for a month name or abbreviation
+ * @param {string} name - e.g. 'October', 'Oct' or 'oct.'
+ * @returns {number} 1-12, or 0 if not a month
+ */
+function getMonthNumber(name) {
+  const prefix = name.toLowerCase().slice(0, 3);
+  return prefix.length === 3 ? MONTH_NAMES.findIndex(m => m.startsWith(prefix)) + 1 : 0;
+}
+
+/**
+ * Build a YYYY-MM-DD date from its parts
+ * @param {number|string} year - Four-digit year (two digits are read as 20YY)
+ * @param {number|string} month - 1-12
+ * @param {number|string} day - 1-31
+ * @returns {string|null} Date, or null if it doesn't exist
+ */
+function toIsoDate(year, month, day) {
+  const fullYear = String(year).length === 2 ? `20${year}` : String(year);
+  return validateDate(`${fullYear}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+}
+
+/**
+ * Find the statement period, so dates printed without a year get the right one
+ * Recognizes "October 17, 2025 through November 18, 2025", "17 October 2025 to 18 November 2025"
+ * and numeric ranges such as "10/17/25 - 11/18/25"
+ * @param {string} text - Statement text
+ * @param {boolean} [dayFirst=false] - Whether numeric dates are DD/MM
+ * @returns {{start: string, end: string}|null}
+ */
+function getStatementPeriod(text, dayFirst = false) {
+  const range = '\\s*(?:through|to|until|-|–)\\s*';
+  let m = text.match(new RegExp(`([a-z]{3,})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})${range}([a-z]{3,})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})`, 'i'));
+  if (m && getMonthNumber(m[1]) && getMonthNumber(m[4])) {
+    const start = toIsoDate(m[3], getMonthNumber(m[1]), m[2]);
+    const end = toIsoDate(m[6], getMonthNumber(m[4]), m[5]);
+    if (start && end) return { start, end };
+  }
+  m = text.match(new RegExp(`(\\d{1,2})\\s+([a-z]{3,})\\.?,?\\s+(\\d{4})${range}(\\d{1,2})\\s+([a-z]{3,})\\.?,?\\s+(\\d{4})`, 'i'));
+  if (m && getMonthNumber(m[2]) && getMonthNumber(m[5])) {
+    const start = toIsoDate(m[3], getMonthNumber(m[2]), m[1]);
+    const end = toIsoDate(m[6], getMonthNumber(m[5]), m[4]);
+    if (start && end) return { start, end };
+  }
+  m = text.match(new RegExp(`(\\d{1,2})[/.](\\d{1,2})[/.](\\d{2}|\\d{4})${range}(\\d{1,2})[/.](\\d{1,2})[/.](\\d{2}|\\d{4})`));
+  if (m) {
+    const start = dayFirst ? toIsoDate(m[3], m[2], m[1]) : toIsoDate(m[3], m[1], m[2]);
+    const end = dayFirst ? toIsoDate(m[6], m[5], m[4]) : toIsoDate(m[6], m[4], m[5]);
+    if (start && end) return { start, end };
+  }
+  return null;
+}
+
+/**
+ * Date for a day and month printed without a year
+ * Statements spanning New Year put December dates in the first year and January dates in the second.
+ * @param {number|string} month - 1-12
+ * @param {number|string} day - 1-31
+ * @param {{start: string, end: string}|null} period - Statement period
+ * @returns {string|null}
+ */
+function getStatementDate(month, day, period) {
+  if (!period) return toIsoDate(new Date().getFullYear(), month, day);
+  const startYear = Number(period.start.slice(0, 4));
+  const endYear = Number(period.end.slice(0, 4));
+  const inStartYear = toIsoDate(startYear, month, day);
+  if (startYear === endYear || (inStartYear && inStartYear >= period.start)) return inStartYear;
+  return toIsoDate(endYear, month, day);
+}
+
+/**
+ * Guess whether an undated-sign statement line is money in
+ * @param {string} line - Statement line
+ * @returns {string} 'income' or 'expense'
+ */
+function guessTypeFromLine(line) {
+  const lower = line.toLowerCase();
+  const income = lower.includes('deposit') ||
+    lower.includes('zelle payment from') ||
+    lower.includes('payroll') ||
+    (lower.includes('transfer') && lower.includes('from'));
+  return income ? 'income' : 'expense';
+}
+
+/**
+ * Decimal separator used by a statement's amounts
+ * @param {string} text - Statement text
+ * @returns {string} '.' or ','
+ */
+function detectDecimalSeparator(text) {
+  const commas = (text.match(/\d,\d{2}(?![\d,.])/g) || []).length;
+  const points = (text.match(/\d\.\d{2}(?![\d,.])/g) || []).length;
+  return commas > points ? ',' : '.';
+}
+
+/**
+ * Section heading that tells whether the rows below it are money in or out
+ * @param {string} line - Statement line
+ * @returns {string|null} 'income', 'expense', or null if the line isn't a section heading
+ */
+function getStatementSection(line) {
+  if (/DEPOSITS\s+AND\s+ADDITIONS/i.test(line)) return 'income';
+  if (/ATM\s*&\s*DEBIT\s+CARD\s*WITHDRAWALS/i.test(line) || /ELECTRONIC\s+WITHDRAWALS/i.test(line) || /FEES/i.test(line)) return 'expense';
+  return null;
+}
+
+/**
+ * Whether a statement is for a credit card (charges are positive, payments negative)
+ * @param {string} text - Statement text
+ * @returns {boolean}
+ */
+function isCreditCardStatement(text) {
+  return [/minimum payment/i, /payment due date/i, /credit limit/i, /new balance/i].filter(p => p.test(text)).length >= 2;
+}
+
+/**
+ * Read a statement amount, where a "CR" suffix means money in and "DR" money out
+ * @param {string} token - e.g. '1,204.55', '(25.00)', '25.00 CR' or '12,50-'
+ * @param {string} decimal - '.' or ','
+ * @returns {number|null} Signed amount, null if empty or NaN if not a number
+ */
+function readStatementAmount(token, decimal) {
+  const value = parseAmount(token.replace(/\s*(CR|DR)$/i, ''), decimal);
+  if (/CR$/i.test(token)) return Math.abs(value);
+  return /DR$/i.test(token) ? -Math.abs(value) : value;
+}
+
+// ---------- Table columns ----------
+// Column header labels, by the cell each column fills (first match wins; repeated labels are ignored)
+const TABLE_HEADER_LABELS = [
+  ['date', /^(trans(action)?\.?\s+)?date$|^posted$|^datum$/i],
+  ['desc', /^(description|details|transaction details|particulars|payee|merchant|narrative|memo)/i],
+  ['debit', /^(debits?|withdrawals?|money out|paid out|charges)$/i],
+  ['credit', /^(credits?|deposits?|money in|paid in)$/i],
+  ['amount', /^amount/i],
+  ['balance', /^(running\s+)?balance/i]
+];
+// Columns holding figures, which are right-aligned under their header
+const TABLE_AMOUNT_COLUMNS = ['debit', 'credit', 'amount', 'balance'];
+// A cell that is only an amount
+const TABLE_AMOUNT_PATTERN = /^\(?-?\$?[\d.,]*\d[.,]\d{2}\)?-?(?:\s*(?:CR|DR))?$/i;
+
+/**
+ * Columns of a table header line
+ * Items closer together than a space are joined first, so "Money" "out" reads as one label.
+ * @param {Array<{x: number, width: number, text: string}>} items - Text items of the line, left to right
+ * @returns {Array<{key: string, x: number, right: number}>|null} Columns, or null if the line isn't a header
+ */
+function getTableColumns(items) {
+  const cells = [];
+  items.forEach(item => {
+    const last = cells[cells.length - 1];
+    if (last && item.x - last.right < 6) {
+      last.text = `${last.text} ${item.text.trim()}`;
+      last.right = Math.max(last.right, item.x + item.width);
+    } else {
+      cells.push({ text: item.text.trim(), x: item.x, right: item.x + item.width });
+    }
+  });
+  const used = new Set();
+  const columns = cells.map(cell => {
+    const label = TABLE_HEADER_LABELS.find(([key, pattern]) => !used.has(key) && pattern.test(cell.text));
+    const key = label ? label[0] : 'other';
+    used.add(key);
+    return { key, x: cell.x, right: cell.right };
+  });
+  const hasAmounts = ['debit', 'credit', 'amount'].some(key => used.has(key));
+  return used.has('date') && used.has('desc') && hasAmounts ? columns : null;
+}
+
+/**
+ * Column a text item belongs to
+ * Figures line up with the right edge of their header and text with its left edge.
+ * @param {{x: number, width: number, text: string}} item - Text item
+ * @param {Array<{key: string, x: number, right: number}>} columns - Columns from getTableColumns()
+ * @returns {Object|null} Column
+ */
+function getTableColumn(item, columns) {
+  const right = item.x + item.width;
+  const isAmount = TABLE_AMOUNT_PATTERN.test(item.text.trim());
+  let best = null;
+  let bestDistance = Infinity;
+  columns.forEach(column => {
+    const amountColumn = TABLE_AMOUNT_COLUMNS.includes(column.key);
+    let distance;
+    if (amountColumn) {
+      // Text under a figure header (e.g. a separate "CR") stays with that figure
+      const underHeader = item.x >= column.x - 3 && right <= column.right + 3;
+      distance = isAmount ? Math.abs(right - column.right) : (underHeader ? 0 : Infinity);
+    } else {
+      distance = item.x >= column.x - 3 ? item.x - column.x : Infinity;
+    }
+    if (distance < bestDistance) {
+      best = column;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Group positioned PDF text into table rows under the column headers
+ * Lines without a date continue the description of the row above, or bring the amounts for a row whose
+ * description came first; totals and balance lines end a row and only pass on their balance.
+ * @param {Array<Array<{x: number, width: number, text: string}>>} pdfLines - Text items of each line, left to right
+ * @returns {Array<Object>} Rows with date, desc, debit, credit, amount and balance cells (as printed) and the section
+ */
+function extractStatementTable(pdfLines) {
+  const rows = [];
+  const hasAmounts = cells => ['debit', 'credit', 'amount'].some(key => cells[key]);
+  let columns = null;
+  let section = null;
+  let row = null;
+  let continuations = 0;
+  pdfLines.forEach(items => {
+    const header = getTableColumns(items);
+    if (header) {
+      columns = header;
+      row = null;
+      return;
+    }
+    const lineText = items.map(item => item.text.trim()).join(' ');
+    if (!columns) {
+      section = getStatementSection(lineText) || section;
+      return;
+    }
+
+    const cells = {};
+    items.forEach(item => {
+      const column = getTableColumn(item, columns);
+      const text = item.text.trim();
+      if (column && text) cells[column.key] = cells[column.key] ? `${cells[column.key]} ${text}` : text;
+    });
+    if (cells.date && !parseTableDate(cells.date, false, null) && !parseTableDate(cells.date, true, null)) {
+      // Headings and totals often start in the date column
+      cells.desc = `${cells.date} ${cells.desc || ''}`.trim();
+      delete cells.date;
+    }
+    const desc = cells.desc || '';
+
+    if (!cells.date && !hasAmounts(cells) && !cells.balance) {
+      // Section heading, page furniture or a wrapped description
+      const lineSection = getStatementSection(lineText);
+      if (lineSection) section = lineSection;
+      if (lineSection || !desc || !row || continuations >= 2 || STATEMENT_NOISE_PATTERN.test(lineText)) {
+        row = null;
+      } else {
+        row.desc = `${row.desc} ${desc}`.trim();
+        continuations++;
+      }
+      return;
+    }
+    if (STATEMENT_NOISE_PATTERN.test(desc)) {
+      row = null;
+      if (cells.balance && !hasAmounts(cells)) rows.push({ date: cells.date || '', desc, balance: cells.balance, section });
+      return;
+    }
+    if (!cells.date && row && !hasAmounts(row)) {
+      // Amounts for a row whose description started on the line above
+      Object.assign(row, { ...cells, desc: `${row.desc} ${desc}`.trim() });
+      return;
+    }
+    row = { ...cells, desc, section };
+    continuations = 0;
+    rows.push(row);
+  });
+  return rows;
+}
+
+/**
+ * Whether the numeric dates in a table are DD/MM
+ * @param {Array<Object>} table - Rows from extractStatementTable()
+ * @returns {boolean}
+ */
+function isDayFirstTable(table) {
+  let dayFirst = false;
+  for (const row of table) {
+    const m = (row.date || '').match(/^(\d{1,2})([/.-])(\d{1,2})/);
+    if (!m) continue;
+    if (Number(m[1]) > 12) return true;
+    if (Number(m[3]) > 12) return false;
+    if (m[2] === '.') dayFirst = true;
+  }
+  return dayFirst;
+}
+
+/**
+ * Read the date cell of a table row
+ * @param {string} cell - e.g. '01/05', '05.01.2025', '2025-01-05', '5 Jan' or 'Jan 5'
+ * @param {boolean} dayFirst - Whether numeric dates are DD/MM
+ * @param {{start: string, end: string}|null} period - Statement period, for dates without a year
+ * @returns {string|null}
+ */
+function parseTableDate(cell, dayFirst, period) {
+  let m = cell.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return toIsoDate(m[1], m[2], m[3]);
+  m = cell.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{4}|\d{2}))?/);
+  if (m) {
+    const [month, day] = dayFirst ? [m[2], m[1]] : [m[1], m[2]];
+    return m[3] ? toIsoDate(m[3], month, day) : getStatementDate(month, day, period);
+  }
+  m = cell.match(/^(\d{1,2})\s+([a-z]{3,})\.?(?:\s+(\d{4}))?/i) || cell.match(/^([a-z]{3,})\.?\s+(\d{1,2})(?:,?\s+(\d{4}))?/i);
+  if (!m) return null;
+  const [day, month] = /^\d/.test(m[1]) ? [m[1], getMonthNumber(m[2])] : [m[2], getMonthNumber(m[1])];
+  if (!month) return null;
+  return m[3] ? toIsoDate(m[3], month, day) : getStatementDate(month, day, period);
+}
+
+/**
+ * Statement whose PDF has a table with column headers (Date, Description, Debit/Credit or Amount, Balance)
+ * Money in or out comes from the debit/credit column, the sign of the amount, the section heading or the
+ * change in balance, so descriptions containing numbers are read correctly.
+ * @param {Array<string>} lines - Statement lines (unused; the table comes from the text positions)
+ * @param {{period: Object|null, decimal: string, table: Array, dayFirst: boolean, creditCard: boolean}} context
+ * @returns {Array<{date: string, desc: string, amount: number, type: string}>}
+ */
+function parseTableStatement(lines, { period, decimal, table, dayFirst, creditCard }) {
+  const rows = [];
+  const readCell = cell => {
+    const value = cell ? readStatementAmount(cell, decimal) : null;
+    return Number.isFinite(value) ? value : null;
+  };
+  let balance = null;
+  let lastDate = null;
+  table.forEach(row => {
+    // Rows without a date (wrapped onto the next line) share the date above
+    const date = row.date ? parseTableDate(row.date, dayFirst, period) : lastDate;
+    if (row.date) lastDate = date;
+    const newBalance = readCell(row.balance);
+    const debit = readCell(row.debit);
+    const credit = readCell(row.credit);
+    const signed = readCell(row.amount);
+
+    let amount = null;
+    let type = null;
+    if (debit) {
+      amount = debit;
+      type = 'expense';
+    } else if (credit) {
+      amount = credit;
+      type = 'income';
+    } else if (signed) {
+      amount = signed;
+      // On a card, "CR" marks a payment or refund even though it reads as a positive amount
+      if (creditCard) type = signed < 0 || /CR$/i.test(row.amount) ? 'income' : 'expense';
+      else if (signed < 0) type = 'expense';
+      else if (row.section) type = row.section;
+      else if (balance !== null && newBalance !== null) type = newBalance < balance ? 'expense' : 'income';
+      else type = guessTypeFromLine(row.desc);
+    }
+    if (newBalance !== null) balance = newBalance;
+    const desc = row.desc.replace(/\s+/g, ' ').trim();
+    // Balance-only rows (opening balance) just set the starting point
+    if (amount === null || !date || !desc) return;
+    rows.push({ date, desc: desc.slice(0, 200), amount: Math.abs(amount), type });
+  });
+  return rows;
+}
+
+/**
+ * Checking statement split into deposit and withdrawal sections with MM/DD dates (e.g., Chase)
+ * @param {Array<string>} lines - Statement lines
+ * @param {{period: Object|null}} context - Statement period
+ * @returns {Array<{date: string, desc: string, amount: number, type: string}>}
+ */
+function parseSectionedStatement(lines, { period }) {
+  const rows = [];
+  // Regex patterns for identifying transaction rows
+  const datePattern = /^(\d{1,2})\/(\d{1,2})/; // MM/DD format at start of line
+  const amountPattern = /\$?([\d,]+\.\d{2})\s*$/; // Amount at end of line
+
+  // State tracking for parsing
+  let currentSection = null; // 'income' or 'expense'
+  let inTable = false;       // Whether we're in a transaction table
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Detect section headers to determine transaction type
+    const section = getStatementSection(line);
+    if (section) {
+      currentSection = section;
+      inTable = false;
+      continue;
+    }
+
+    // Skip table headers (DATE, DESCRIPTION, AMOUNT)
+    if (/^\s*DATE\s*\|\s*DESCRIPTION/i.test(line) || /^\s*DATE\s+DESCRIPTION/i.test(line) || /^---/.test(line)) {
+      inTable = true;
+      continue;
+    }
+
+    // Skip totals and balance lines
+    if (/Total\s+/i.test(line) || /Beginning Balance/i.test(line) || /Ending Balance/i.test(line)) continue;
+
+    // Parse transaction rows (must be in a table under a section header)
+    const dateMatch = currentSection && inTable ? line.match(datePattern) : null;
+    if (!dateMatch) continue;
+    const amountMatch = line.match(amountPattern);
+    const date = getStatementDate(dateMatch[1], dateMatch[2], period);
+    if (!amountMatch || !date) continue;
+    const amount = parseFloat(amountMatch[1].replace(/,/g, ''));
+    if (!(amount > 0 && amount < 1000000)) continue;
+
+    // Description is everything between date and amount, without table separators
+    let desc = line
+      .replace(datePattern, '')
+      .replace(amountPattern, '')
+      .replace(/^\s*\|\s*/, '')
+      .replace(/\s*\|\s*$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // Descriptions sometimes continue on the next line
+    if (desc.length < 3 && i < lines.length - 1) {
+      const nextLine = lines[i + 1];
+      if (!datePattern.test(nextLine) && !amountPattern.test(nextLine)) {
+        desc = `${desc} ${nextLine}`.trim();
+        i++; // Skip next line
+      }
+    }
+    if (desc) rows.push({ date, desc, amount, type: currentSection });
+  }
+  return rows;
+}
+
+/**
+ * Credit card statement: MM/DD transaction (and optional posting) dates, charges as positive amounts and
+ * payments or credits as negative ("-25.00", "(25.00)", "25.00-" or "25.00 CR"); descriptions can wrap
+ * onto following lines
+ * @param {Array<string>} lines - Statement lines
+ * @param {{period: Object|null}} context - Statement period
+ * @returns {Array<{date: string, desc: string, amount: number, type: string}>}
+ */
+function parseCreditCardStatement(lines, { period }) {
+  const rows = [];
+  const rowPattern = /^(\d{1,2})\/(\d{1,2})(?:\/\d{2,4})?\s+(?:\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\s+)?(.+?)\s+(\(?-?\$?[\d,]+\.\d{2}\)?-?(?:\s*CR)?)$/i;
+  let last = null;
+  let continuations = 0;
+  lines.forEach(line => {
+    const m = line.match(rowPattern);
+    if (!m) {
+      // Wrapped description: up to two plain lines directly after a transaction
+      if (last && continuations < 2 && !/\d+\.\d{2}/.test(line) && !STATEMENT_NOISE_PATTERN.test(line)) {
+        last.desc = `${last.desc} ${line}`.slice(0, 200);
+        continuations++;
+      } else {
+        last = null;
+      }
+      return;
+    }
+    const rawAmount = m[4];
+    const credit = /CR$/i.test(rawAmount) || /^\(.*\)$/.test(rawAmount) || /^-|-$/.test(rawAmount.replace(/\$/g, ''));
+    const amount = Math.abs(parseAmount(rawAmount.replace(/CR$/i, ''), '.'));
+    const date = getStatementDate(m[1], m[2], period);
+    if (!date || !(amount > 0) || STATEMENT_NOISE_PATTERN.test(m[3])) {
+      last = null;
+      return;
+    }
+    last = { date, desc: m[3].replace(/\s+/g, ' ').trim(), amount, type: credit ? 'income' : 'expense' };
+    continuations = 0;
+    rows.push(last);
+  });
+  return rows;
+}
+
+/**
+ * Statement with DD/MM dates (or "DD Mon"), amounts followed by a running balance (e.g., UK and
+ * European banks). Whether a row is money in or out comes from the change in balance. Descriptions
+ * can wrap, and rows without a date share the date of the row above.
+ * @param {Array<string>} lines - Statement lines
+ * @param {{period: Object|null, decimal: string}} context - Statement period and decimal separator
+ * @returns {Array<{date: string, desc: string, amount: number, type: string}>}
+ */
+function parseDayFirstStatement(lines, { period, decimal }) {
+  const rows = [];
+  const numericDate = /^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4})|\.)?\s+/;
+  const namedDate = /^(\d{1,2})\s+([A-Za-z]{3,})\.?(?:\s+(\d{4}))?\s+/;
+  const amountToken = '-?[\\d.,]*\\d[.,]\\d{2}(?:\\s*(?:CR|DR))?-?';
+  const trailingAmounts = new RegExp(`((?:\\s+${amountToken}){1,3})$`, 'i');
+  const splitAmounts = text => text.trim().split(/\s+(?=-?\d)/).map(token => readStatementAmount(token, decimal)).filter(v => !Number.isNaN(v) && v !== null);
+
+  let balance = null;
+  let currentDate = null;
+  let pendingDesc = '';
+  let last = null;
+  lines.forEach(line => {
+    // Opening balance sets the starting point for money in/out
+    if (/opening balance|balance brought forward|previous balance|balance forward|start(ing)? balance|alter saldo|saldo anterior|solde pr[ée]c[ée]dent/i.test(line)) {
+      const amounts = line.match(trailingAmounts);
+      if (amounts) balance = splitAmounts(amounts[1]).pop() ?? balance;
+      return;
+    }
+    let rest = line;
+    const numeric = line.match(numericDate);
+    const named = !numeric && line.match(namedDate);
+    if (numeric) {
+      currentDate = numeric[3] ? toIsoDate(numeric[3], numeric[2], numeric[1]) : getStatementDate(numeric[2], numeric[1], period);
+      rest = line.slice(numeric[0].length);
+      pendingDesc = '';
+      last = null;
+    } else if (named && getMonthNumber(named[2])) {
+      currentDate = named[3] ? toIsoDate(named[3], getMonthNumber(named[2]), named[1]) : getStatementDate(getMonthNumber(named[2]), named[1], period);
+      rest = line.slice(named[0].length);
+      pendingDesc = '';
+      last = null;
+    } else if (!currentDate || STATEMENT_NOISE_PATTERN.test(line)) {
+      last = null;
+      return;
+    }
+
+    const amountMatch = rest.match(trailingAmounts);
+    if (!amountMatch) {
+      // Description without amounts: either the start of a row completed on the next line, or a wrapped description
+      const text = rest.replace(/\s+/g, ' ').trim();
+      if (numeric || named || !last) pendingDesc = `${pendingDesc} ${text}`.trim();
+      else last.desc = `${last.desc} ${text}`.slice(0, 200);
+      return;
+    }
+    const amounts = splitAmounts(amountMatch[1]);
+    const desc = `${pendingDesc} ${rest.slice(0, amountMatch.index)}`.replace(/\s+/g, ' ').trim();
+    pendingDesc = '';
+    if (!desc || amounts.length === 0 || !currentDate) return;
+
+    let amount = amounts[0];
+    let type = amount < 0 ? 'expense' : guessTypeFromLine(desc);
+    if (amounts.length >= 2) {
+      // Last figure is the running balance; its change tells money in from money out
+      const newBalance = amounts[amounts.length - 1];
+      amount = amounts[amounts.length - 2];
+      if (balance !== null) type = newBalance < balance ? 'expense' : 'income';
+      balance = newBalance;
+    }
+    last = { date: currentDate, desc: desc.slice(0, 200), amount: Math.abs(amount), type };
+    if (last.amount > 0) rows.push(last);
+  });
+  return rows;
+}
+
+/**
+ * Any line with an MM/DD date and an amount (used when no other profile recognizes the statement)
+ * @param {Array<string>} lines - Statement lines
+ * @param {{period: Object|null}} context - Statement period
+ * @returns {Array<{date: string, desc: string, amount: number, type: string}>}
+ */
+function parseGenericStatement(lines, { period }) {
+  const rows = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const dateMatch = line.match(/^(\d{1,2})\/(\d{1,2})/);
+    const amountMatch = line.match(/\$?([\d,]+\.\d{2})/);
+    if (!dateMatch || !amountMatch) continue;
+    const date = getStatementDate(dateMatch[1], dateMatch[2], period);
+    const amount = parseFloat(amountMatch[1].replace(/,/g, ''));
+    if (!date || !(amount > 0 && amount < 1000000)) continue;
+
+    let desc = line
+      .replace(/^\d{1,2}\/\d{1,2}(\/\d{2,4})?\s*/, '')
+      .replace(/\$?[\d,]+\.\d{2}.*$/, '')
+      .trim();
+    // Try to get description from context
+    if (desc.length < 5 && i < lines.length - 1) {
+      const nextLine = lines[i + 1];
+      if (!/^\d{1,2}\/\d{1,2}/.test(nextLine) && !/\$?[\d,]+\.\d{2}/.test(nextLine)) {
+        desc = `${desc} ${nextLine}`.trim();
+      }
+    }
+    if (desc) rows.push({ date, desc, amount, type: guessTypeFromLine(line) });
+  }
+  return rows;
+}
+
+/**
+ * Statement parser profiles, tried in order by detectStatementProfile() (the last one accepts any text)
+ * Each has an id, a name for the profile picker, detect(text, pdfLines) and parse(lines, context). Sample
+ * statements for each profile, with the rows they must produce, are in test/statements/ and are checked
+ * with `node test/check-statement-profiles.js`, which loads this section on its own, so keep it DOM-free.
+ */
+const STATEMENT_PROFILES = [
+  {
+    id: 'table',
+    name: 'Table with column headers',
+    detect: (text, pdfLines) => extractStatementTable(pdfLines).length > 0,
+    parse: parseTableStatement
+  },
+  {
+    id: 'sectioned',
+    name: 'Checking account with deposit/withdrawal sections',
+    detect: text => /DEPOSITS\s+AND\s+ADDITIONS|ATM\s*&\s*DEBIT\s+CARD\s*WITHDRAWALS|ELECTRONIC\s+WITHDRAWALS/i.test(text),
+    parse: parseSectionedStatement
+  },
+  {
+    id: 'credit-card',
+    name: 'Credit card (charges positive, payments negative)',
+    detect: isCreditCardStatement,
+    parse: parseCreditCardStatement
+  },
+  {
+    id: 'day-first',
+    name: 'DD/MM dates with running balance',
+    detect: text => /balance|saldo|solde/i.test(text) &&
+      /^(?:(?:1[3-9]|2\d|3[01])[/.-]\d{1,2}|\d{1,2}\.\d{1,2}\.|\d{1,2}\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s)/im.test(text),
+    parse: parseDayFirstStatement
+  },
+  {
+    id: 'generic',
+    name: 'Generic (any line with a date and an amount)',
+    detect: () => true,
+    parse: parseGenericStatement
+  }
+];
+
+/**
+ * Find the profile that recognizes a statement
+ * @param {string} text - Statement text
+ * @param {Array<Array>} [pdfLines=[]] - Text items of each line with their positions
+ * @returns {Object} Profile from STATEMENT_PROFILES
+ */
+function detectStatementProfile(text, pdfLines = []) {
+  return STATEMENT_PROFILES.find(profile => profile.detect(text, pdfLines));
+}
+
+/**
+ * Read the transactions of a statement with one profile
+ * @param {string} text - Statement text
+ * @param {Object} profile - Profile from STATEMENT_PROFILES
+ * @param {Array<Array>} [pdfLines=[]] - Text items of each line with their positions
+ * @returns {Array<{date: string, desc: string, amount: number, type: string}>}
+ */
+function parseStatementText(text, profile, pdfLines = []) {
+  const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
+  const table = profile.id === 'table' ? extractStatementTable(pdfLines) : [];
+  const dayFirst = profile.id === 'day-first' || isDayFirstTable(table);
+  const context = {
+    period: getStatementPeriod(text, dayFirst),
+    decimal: detectDecimalSeparator(text),
+    table,
+    dayFirst,
+    creditCard: isCreditCardStatement(text)
+  };
+  return profile.parse(lines, context);
+}
+
+/**
+ * Read the transactions of a statement with the chosen profile, or the one that recognizes it
+ * @param {string} text - Statement text
+ * @param {string} [profileId='auto'] - ID from STATEMENT_PROFILES, or 'auto' to detect it
+ * @param {Array<Array>} [pdfLines=[]] - Text items of each line with their positions
+ * @returns {{parsed: Array<{date: string, desc: string, amount: number, type: string}>, profile: Object}}
+ *   Rows as read, and the profile that read them
+ */
+function readStatement(text, profileId = 'auto', pdfLines = []) {
+  const generic = STATEMENT_PROFILES[STATEMENT_PROFILES.length - 1];
+  let profile = STATEMENT_PROFILES.find(p => p.id === profileId);
+  let parsed = profile ? parseStatementText(text, profile, pdfLines) : [];
+
+  if (!profile) {
+    // Recognized the bank but not the layout: fall through to the next profile that recognizes it
+    for (const candidate of STATEMENT_PROFILES) {
+      if (!candidate.detect(text, pdfLines)) continue;
+      profile = candidate;
+      parsed = parseStatementText(text, candidate, pdfLines);
+      if (parsed.length > 0) break;
+    }
+    if (profile.id === 'sectioned' && parsed.length < 5) {
+      // Few rows found in the sections: add dated lines outside them
+      parseStatementText(text, generic).forEach(row => {
+        if (!parsed.some(t => t.date === row.date && Math.abs(t.amount - row.amount) < 0.01)) parsed.push(row);
+      });
+    }
+  }
+  return { parsed, profile };
+}
+
+// ---------- Balance reconciliation ----------
+// Lines giving the balance before and after the statement's transactions
+const OPENING_BALANCE_PATTERN = /(beginning|opening|previous|starting) balance|balance (brought forward|b\/f)/i;
+const CLOSING_BALANCE_PATTERN = /(ending|closing|new) balance|balance (carried forward|c\/f)/i;
+
+/**
+ * Find the opening and closing balances printed on a statement
+ * The opening balance is the first one printed and the closing balance the last, so page-by-page
+ * "brought forward"/"carried forward" lines span the whole statement.
+ * @param {string} text - Statement text
+ * @returns {{opening: number, closing: number, creditCard: boolean}|null} Null unless both are found
+ */
+function getStatementBalances(text) {
+  const decimal = detectDecimalSeparator(text);
+  const creditCard = isCreditCardStatement(text);
+  // First amount after the label (summary lines can go on to list other figures)
+  const readBalance = (line, pattern) => {
+    const label = line.match(pattern);
+    const token = line.slice(label.index + label[0].length).match(/\(?-?\$?[\d.,]*\d[.,]\d{2}\)?-?(?:\s*(?:CR|DR)\b)?/i);
+    if (!token) return null;
+    const value = readStatementAmount(token[0], decimal);
+    if (!Number.isFinite(value)) return null;
+    // A credit balance on a card means the bank owes you
+    return creditCard && /CR$/i.test(token[0]) ? -value : value;
+  };
+  let opening = null;
+  let closing = null;
+  text.split('\n').forEach(line => {
+    if (opening === null && OPENING_BALANCE_PATTERN.test(line)) opening = readBalance(line, OPENING_BALANCE_PATTERN);
+    if (CLOSING_BALANCE_PATTERN.test(line)) closing = readBalance(line, CLOSING_BALANCE_PATTERN) ?? closing;
+  });
+  return opening !== null && closing !== null ? { opening, closing, creditCard } : null;
+}
+
+/**
+ * Check the rows read from a statement against its opening and closing balances
+ * On a card statement the balance is what you owe, so charges add to it and payments reduce it.
+ * @param {Array} rows - Rows under review (all of them, checked or not, since they are all on the statement)
+ * @param {{opening: number, closing: number, creditCard: boolean}} balances - From getStatementBalances()
+ * @returns {{moneyIn: number, moneyOut: number, expected: number, difference: number}} Totals, the closing
+ *   balance they add up to, and how far that is from the printed one (0 when it reconciles)
+ */
+function reconcileStatement(rows, { opening, closing, creditCard }) {
+  const toCents = n => Math.round(n * 100);
+  let moneyIn = 0;
+  let moneyOut = 0;
+  rows.forEach(row => {
+    const amount = Number(row.amount);
+    if (!Number.isFinite(amount)) return;
+    if (row.type === 'income') moneyIn += toCents(Math.abs(amount));
+    else moneyOut += toCents(Math.abs(amount));
+  });
+  const expected = creditCard ? toCents(opening) + moneyOut - moneyIn : toCents(opening) + moneyIn - moneyOut;
+  return { moneyIn: moneyIn / 100, moneyOut: moneyOut / 100, expected: expected / 100, difference: (toCents(closing) - expected) / 100 };
+}
+
+// ============================================================================
+// MENU RENDERING
+// ============================================================================
+/**
+ * Jump from the menu to a worksheet item (or just its section if no item is given)
+ * @param {Object} section - Worksheet section
+ * @param {Object} [item] - Worksheet item
+ */
+function openWorksheetItem(section, item) {
+  closeMenu();
+  
+  // Switch to worksheet tab and the item's sub-tab
+  activateTab('worksheet');
+  showWorksheetSection(section.id);
+  
+  // Scroll to and focus the input field (or its name while the structure editor is open)
+  if (!item) return;
+  const input = document.getElementById(wsEditing ? `ws-edit-${item.id}` : `ws-${item.id}`);
+  if (input) {
+    setTimeout(() => {
+      input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      input.focus();
+    }, 100);
+  }
+}
+
+/**
+ * Create a menu entry that jumps to a worksheet item
+ * @param {Object} section - Worksheet section the item belongs to
+ * @param {Object} item - Worksheet item
+ * @returns {HTMLElement}
+ */
+function createMenuItem(section, item) {
+  const itemDiv = document.createElement('div');
+  itemDiv.className = 'menu-item-nested';
+  itemDiv.textContent = item.name;
+  itemDiv.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openWorksheetItem(section, item);
+  });
+  return itemDiv;
+}
+
+/**
+ * Render the side menu with worksheet navigation
+ * Creates expandable menu items for each section and category of the user's worksheet structure
+ */
+function renderMenu() {
+  menuWorksheetSection.innerHTML = '';
+  
+  // Create menu items for each worksheet section
+  wsStructure.forEach(section => {
+    const sectionDiv = document.createElement('div');
+    sectionDiv.className = 'menu-section';
+    
+    // Create section header (expandable)
+    const sectionHeader = document.createElement('div');
+    sectionHeader.className = 'menu-section-header';
+    // Remove parenthetical text from menu display for cleaner UI
+    sectionHeader.textContent = getShortSectionTitle(section);
+    sectionHeader.addEventListener('click', (e) => {
+      e.stopPropagation();
+      sectionHeader.classList.toggle('expanded');
+      const subsection = sectionDiv.querySelector('.menu-subsection');
+      if (subsection) {
+        subsection.classList.toggle('expanded');
+      }
+    });
+    
+    // Container for section items
+    const subsection = document.createElement('div');
+    subsection.className = 'menu-subsection';
+    
+    // Items without a category
+    section.items.forEach(item => subsection.appendChild(createMenuItem(section, item)));
+    
+    // Categories with their items
+    section.categories.forEach(cat => {
+      const categoryDiv = document.createElement('div');
+      categoryDiv.className = 'menu-category';
+      
+      // Category header (expandable)
+      const categoryHeader = document.createElement('div');
+      categoryHeader.className = 'menu-category-header';
+      categoryHeader.textContent = cat.name;
+      categoryHeader.addEventListener('click', (e) => {
+        e.stopPropagation();
+        categoryHeader.classList.toggle('expanded');
+        const categorySubsection = categoryDiv.querySelector('.menu-subsection');
+        if (categorySubsection) {
+          categorySubsection.classList.toggle('expanded');
+        }
+      });
+      
+      // Container for category items
+      const categorySubsection = document.createElement('div');
+      categorySubsection.className = 'menu-subsection';
+      cat.items.forEach(item => categorySubsection.appendChild(createMenuItem(section, item)));
+      
+      categoryDiv.appendChild(categoryHeader);
+      categoryDiv.appendChild(categorySubsection);
+      subsection.appendChild(categoryDiv);
+    });
+    
+    // A section without items still gets an entry that opens it
+    if (section.items.length === 0 && section.categories.length === 0) {
+      const emptyDiv = document.createElement('div');
+      emptyDiv.className = 'menu-item-nested';
+      emptyDiv.textContent = 'Open section';
+      emptyDiv.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openWorksheetItem(section);
+      });
+      subsection.appendChild(emptyDiv);
+    }
+    
+    sectionDiv.appendChild(sectionHeader);
+    sectionDiv.appendChild(subsection);
+    menuWorksheetSection.appendChild(sectionDiv);
+  });
+}
+
+// ============================================================================
+// MENU TOGGLE FUNCTIONALITY
+// ============================================================================
+/**
+ * Open the side menu
+ */
+function openMenu() {
+  console.log('[UI] Opening side menu');
+  sideMenu.classList.add('open');
+  menuOverlay.classList.add('open');
+  menuToggle.classList.add('active');
+  document.body.style.overflow = 'hidden'; // Prevent body scrolling
+}
+
+/**
+ * Close the side menu
+ */
+function closeMenu() {
+  console.log('[UI] Closing side menu');
+  sideMenu.classList.remove('open');
+  menuOverlay.classList.remove('open');
+  menuToggle.classList.remove('active');
+  document.body.style.overflow = '';
+}
+
 // Menu toggle event handlers
 menuToggle.addEventListener('click', openMenu);
 closeMenuBtn.addEventListener('click', closeMenu);
 menuOverlay.addEventListener('click', closeMenu); // Close when clicking overlay
 
-// Menu navigation handlers
-menuTransactions.addEventListener('click', () => {
-  closeMenu();
-  // Switch to transactions tab
-  tabs.forEach(t => t.classList.remove('active'));
-  tabContents.forEach(content => content.classList.remove('active'));
-  document.querySelector('[data-tab="transactions"]').classList.add('active');
-  document.getElementById('transactionsTab').classList.add('active');
-  const tabsContainer = document.querySelector('.tabs-container');
-  if (tabsContainer) {
-    tabsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+// Menu navigation handlers
+menuTransactions.addEventListener('click', () => {
+  closeMenu();
+  // Switch to transactions tab
+  tabs.forEach(t => t.classList.remove('active'));
+  tabContents.forEach(content => content.classList.remove('active'));
+  document.querySelector('[data-tab="transactions"]').classList.add('active');
+  document.getElementById('transactionsTab').classList.add('active');
+  const tabsContainer = document.querySelector('.tabs-container');
+  if (tabsContainer) {
+    tabsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+});
+
+menuBudget.addEventListener('click', () => {
+  closeMenu();
+  activateTab('budget');
+  const tabsContainer = document.querySelector('.tabs-container');
+  if (tabsContainer) {
+    tabsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+});
+
+menuRecurring.addEventListener('click', () => {
+  closeMenu();
+  activateTab('recurring');
+  const tabsContainer = document.querySelector('.tabs-container');
+  if (tabsContainer) {
+    tabsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+});
+
+menuRules.addEventListener('click', () => {
+  closeMenu();
+  activateTab('rules');
+  const tabsContainer = document.querySelector('.tabs-container');
+  if (tabsContainer) {
+    tabsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+});
+
+menuAccounts.addEventListener('click', () => {
+  closeMenu();
+  activateTab('accounts');
+  const tabsContainer = document.querySelector('.tabs-container');
+  if (tabsContainer) {
+    tabsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+});
+
+menuReports.addEventListener('click', () => {
+  closeMenu();
+  activateTab('reports');
+  const tabsContainer = document.querySelector('.tabs-container');
+  if (tabsContainer) {
+    tabsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+});
+
+menuImport.addEventListener('click', () => {
+  closeMenu();
+  const pdfCard = document.querySelector('.pdf-upload-card');
+  if (pdfCard) {
+    pdfCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+  if (pdfFileInput) {
+    pdfFileInput.click();
+  }
+});
+
+menuUndo.addEventListener('click', () => {
+  closeMenu();
+  undo();
+});
+
+menuRedo.addEventListener('click', () => {
+  closeMenu();
+  redo();
+});
+
+menuExport.addEventListener('click', () => {
+  closeMenu();
+  exportBtn.click(); // Trigger export
+});
+
+/**
+ * Clear all data (transactions and worksheet)
+ * Shows confirmation dialog before clearing
+ */
+menuClearData.addEventListener('click', () => {
+  closeMenu();
+  
+  console.log('[Data] Clear data initiated');
+  // Show confirmation dialog with warning
+  const confirmed = confirm(
+    '⚠️ WARNING: This will permanently delete all your transactions and budgets!\n\n' +
+    'This includes:\n' +
+    '• All transactions\n' +
+    '• All budget worksheet data\n\n' +
+    'Accounts, recurring rules, categorization rules and settings are kept. ' +
+    'If you sync, the transactions and budgets are deleted on your other devices too.\n\n' +
+    'You can undo this from the menu or with Ctrl+Z until the undo history is replaced.\n\n' +
+    'Make sure you have downloaded a backup (Back Up Data in the menu) if you want to keep a copy.\n\n' +
+    'Are you absolutely sure you want to clear all data?'
+  );
+  
+  if (!confirmed) {
+    console.log('[Data] Clear data cancelled by user');
+    return;
+  }
+  
+  // Double confirmation for safety
+  const doubleConfirmed = confirm(
+    'Last chance! This will delete every transaction and budget.\n\n' +
+    'Click OK to permanently delete them, or Cancel to keep them.'
+  );
+  
+  if (!doubleConfirmed) {
+    console.log('[Data] Clear data cancelled by user (second confirmation)');
+    return;
+  }
+  
+  try {
+    // Clear transactions and worksheet data as one undoable step; saving records a tombstone in the
+    // change log for every deleted record, so a sync removes them on other devices instead of bringing them back
+    recordChange('Cleared all data', () => {
+      txns = [];
+      wsData = {};
+    });
+    save(txns);
+    saveWorksheet();
+    console.log('[Data] Storage cleared');
+    
+    // Reset form (also leaves edit mode if a transaction was being edited)
+    cancelEdit();
+    
+    // Re-render everything
+    render();
+    renderWorksheet();
+    
+    console.log('[Data] All data cleared successfully');
+    showToast('All data has been cleared.', true);
+  } catch (e) {
+    console.error('[Data] Error clearing data:', e);
+    alert('Error clearing data. Please try again.');
+  }
+});
+
+// ============================================================================
+// BACKUP AND RESTORE
+// ============================================================================
+// Marks a JSON file as a QuickBudget backup
+const BACKUP_FORMAT = 'quickbudget-backup';
+// Current backup format version (each later version adds a migration in BACKUP_MIGRATIONS)
+const BACKUP_VERSION = 1;
+// Largest backup file accepted for restore
+const MAX_BACKUP_SIZE = 50 * 1024 * 1024; // 50MB
+// Most records of one kind accepted from a backup
+const MAX_BACKUP_RECORDS = 100000;
+
+/**
+ * Backup migrations keyed by the version they upgrade to
+ * Each takes the backup's `data` from the previous version and returns it in the new shape, so
+ * restoring an older backup runs every migration after its version in order. Version 1 backups hold:
+ * - transactions: array of transactions
+ * - worksheetMonths: worksheet values by month, then by item key
+ * - worksheetStructure: the worksheet sections (absent when the default worksheet was in use)
+ * - recurring, accounts: arrays of recurring rules and accounts
+ * - settings: { categoryMap, categoryRules: { rules, keywordFallback }, csvMappings }
+ */
+const BACKUP_MIGRATIONS = {};
+
+// Validated backup waiting for the user to choose merge or replace ({createdAt, version, data, skipped})
+let pendingRestore = null;
+
+/**
+ * Collect everything the app stores into a backup object
+ * Undo history and the selected period are not included
+ * @returns {Object}
+ */
+function buildBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    data: {
+      transactions: txns,
+      worksheetMonths: wsData,
+      worksheetStructure: wsStructure,
+      recurring: recurringRules,
+      accounts,
+      settings: {
+        categoryMap,
+        categoryRules: { rules: categoryRules, keywordFallback },
+        csvMappings
+      }
+    }
+  };
+}
+
+/**
+ * Download a JSON backup of all app data
+ */
+function downloadBackup() {
+  const json = JSON.stringify(buildBackup(), null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `quickbudget-backup-${currentDate()}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  console.log('[Data] Backup downloaded:', txns.length, 'transaction(s)');
+}
+
+/**
+ * Bring a parsed backup up to BACKUP_VERSION
+ * @param {*} backup - Parsed JSON file
+ * @returns {{createdAt: string, version: number, data: Object}} Backup in the current format
+ * @throws {Error} If the file isn't a QuickBudget backup or was made by a newer version
+ */
+function migrateBackup(backup) {
+  if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+    throw new Error('This file isn\'t a QuickBudget backup.');
+  }
+  const version = backup.version;
+  if (!Number.isInteger(version) || version < 1) throw new Error('This backup has an unknown version.');
+  if (version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of QuickBudget. Update the app (reload the page) and try again.');
+  }
+  if (!backup.data || typeof backup.data !== 'object') throw new Error('This backup has no data.');
+  let data = backup.data;
+  for (let v = version + 1; v <= BACKUP_VERSION; v++) {
+    console.log('[Data] Migrating backup to version', v);
+    data = BACKUP_MIGRATIONS[v](data);
+  }
+  return { createdAt: typeof backup.createdAt === 'string' ? backup.createdAt : '', version, data };
+}
+
+/**
+ * Validate every record of a migrated backup, keeping valid records and counting the rest
+ * @param {Object} data - Backup data in the current format
+ * @returns {{data: Object, skipped: number}} Validated data (same shape) and how many records were invalid
+ */
+function validateBackupData(data) {
+  let skipped = 0;
+  const list = (value, validate) => {
+    if (!Array.isArray(value)) return [];
+    const ids = new Set();
+    const valid = value.slice(0, MAX_BACKUP_RECORDS).filter(record => {
+      // Repeated IDs can't all be stored, so only the first counts
+      const ok = validate(record) && !ids.has(record.id);
+      if (ok) ids.add(record.id);
+      return ok;
+    });
+    skipped += value.length - valid.length;
+    return valid;
+  };
+
+  const restoredAccounts = list(data.accounts, validateAccount);
+  const accountIds = new Set(restoredAccounts.map(a => a.id));
+  // Transactions must be valid and refer only to accounts in the backup
+  const transactions = list(data.transactions, t => validateTransactionSchema(t) &&
+    (!t.accountId || accountIds.has(t.accountId)) && (!t.toAccountId || accountIds.has(t.toAccountId)));
+
+  const worksheetMonths = {};
+  if (data.worksheetMonths && typeof data.worksheetMonths === 'object') {
+    Object.keys(data.worksheetMonths).forEach(month => {
+      const values = validateMonth(month) ? validateMonthValues(data.worksheetMonths[month]) : null;
+      if (values) worksheetMonths[month] = values;
+      else skipped++;
+    });
+  }
+
+  let worksheetStructure = null;
+  if (data.worksheetStructure !== undefined && data.worksheetStructure !== null) {
+    worksheetStructure = validateWorksheetStructure(data.worksheetStructure);
+    if (!worksheetStructure) skipped++;
+  }
+
+  const settings = data.settings && typeof data.settings === 'object' ? data.settings : {};
+  return {
+    data: {
+      transactions,
+      worksheetMonths,
+      worksheetStructure,
+      recurring: list(data.recurring, validateRecurringRule),
+      accounts: restoredAccounts,
+      settings: {
+        categoryMap: validateCategoryMap(settings.categoryMap),
+        categoryRules: validateCategoryRules(settings.categoryRules),
+        csvMappings: validateCsvMappings(settings.csvMappings)
+      }
+    },
+    skipped
+  };
+}
+
+/**
+ * Compare records in the app with records from a backup by ID
+ * @param {Array} current - Records in the app
+ * @param {Array} incoming - Records from the backup
+ * @returns {{added: number, changed: number, removed: number}} Records only in the backup, in both but
+ *   different, and only in the app
+ */
+function diffRecords(current, incoming) {
+  const byId = new Map(current.map(r => [r.id, JSON.stringify(r)]));
+  const incomingIds = new Set(incoming.map(r => r.id));
+  let added = 0, changed = 0;
+  incoming.forEach(r => {
+    if (!byId.has(r.id)) added++;
+    else if (byId.get(r.id) !== JSON.stringify(r)) changed++;
+  });
+  return { added, changed, removed: current.filter(r => !incomingIds.has(r.id)).length };
+}
+
+/**
+ * Merge records from a backup into the app's records by ID (the backup's copy wins)
+ * @param {Array} current - Records in the app
+ * @param {Array} incoming - Records from the backup
+ * @returns {Array}
+ */
+function mergeRecords(current, incoming) {
+  const incomingById = new Map(incoming.map(r => [r.id, r]));
+  const merged = current.map(r => incomingById.get(r.id) || r);
+  const currentIds = new Set(current.map(r => r.id));
+  return merged.concat(incoming.filter(r => !currentIds.has(r.id)));
+}
+
+/**
+ * Merge worksheet months from a backup: its values replace the same items' values here,
+ * skipping items this worksheet doesn't have
+ * @param {Object} incoming - Worksheet values by month from the backup
+ * @returns {{months: Object, skippedValues: number}} Merged months and how many values were dropped
+ */
+function mergeWorksheetMonths(incoming) {
+  const itemIds = new Set(getWorksheetItems().map(item => item.key));
+  const months = { ...wsData };
+  let skippedValues = 0;
+  Object.entries(incoming).forEach(([month, values]) => {
+    const merged = { ...(months[month] || {}) };
+    Object.entries(values).forEach(([key, value]) => {
+      if (itemIds.has(key)) merged[key] = value;
+      else if (value !== 0) skippedValues++;
+    });
+    months[month] = merged;
+  });
+  return { months, skippedValues };
+}
+
+/**
+ * Describe how a pending restore would change the app's data
+ * @param {Object} data - Validated backup data
+ * @returns {Array<string>} One line per kind of data
+ */
+function describeRestore(data) {
+  const lines = [];
+  const describe = (label, current, incoming) => {
+    const { added, changed, removed } = diffRecords(current, incoming);
+    lines.push(`${label}: ${incoming.length} in the backup - Merge adds ${added} and updates ${changed}; ` +
+      `Replace also removes ${removed} that ${removed === 1 ? 'is' : 'are'} only on this device`);
+  };
+  describe('Transactions', txns, data.transactions);
+  const toMonthRecords = months => Object.keys(months).map(id => ({ id, values: months[id] }));
+  describe('Budget worksheet months', toMonthRecords(wsData), toMonthRecords(data.worksheetMonths));
+  // Replace keeps accounts the undo history still needs (see applyRestore())
+  const referenced = getReferencedAccountIds();
+  const backupAccountIds = new Set(data.accounts.map(a => a.id));
+  describe('Accounts', accounts.filter(a => !referenced.has(a.id) || backupAccountIds.has(a.id)), data.accounts);
+  describe('Recurring rules', recurringRules, data.recurring);
+  describe('Categorization rules', categoryRules, data.settings.categoryRules.rules);
+  const { skippedValues } = mergeWorksheetMonths(data.worksheetMonths);
+  lines.push('Settings (category mapping and CSV column mappings): Merge adds the backup\'s; Replace uses only the backup\'s');
+  lines.push(skippedValues > 0
+    ? `Worksheet layout: Replace uses the backup's layout; Merge keeps yours and skips ${skippedValues} budget value(s) for lines your worksheet doesn't have`
+    : 'Worksheet layout: Replace uses the backup\'s layout; Merge keeps yours');
+  return lines;
+}
+
+/**
+ * Check if a file is a JSON backup (plain or encrypted)
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isBackupFile(file) {
+  if (!file) return false;
+  if (file.type === 'application/json') return true;
+  return !!file.name && /\.json$/i.test(file.name);
+}
+
+/**
+ * Read a backup file (asking for the passphrase if it is encrypted), check it and show what restoring
+ * it would change
+ * @param {File} file - JSON backup file
+ */
+async function handleBackupFile(file) {
+  if (!file) return;
+  if (!isBackupFile(file)) {
+    alert('Please choose a QuickBudget backup (.json) file.');
+    restoreFileInput.value = '';
+    return;
+  }
+  if (file.size > MAX_BACKUP_SIZE) {
+    alert('This file is too large to be a QuickBudget backup (maximum 50MB).');
+    return;
+  }
+  try {
+    let parsed;
+    try {
+      parsed = JSON.parse(await readFileAsText(file));
+    } catch (e) {
+      throw new Error('This file isn\'t valid JSON.');
+    }
+    if (parsed && parsed.format === ENCRYPTED_BACKUP_FORMAT) {
+      const passphrase = await askPassphrase({
+        title: 'Encrypted Backup',
+        message: `Enter the passphrase used when "${file.name}" was made.`,
+        submitLabel: 'Decrypt'
+      });
+      if (passphrase === null) return;
+      parsed = await decryptBackup(parsed, passphrase);
+    }
+    const { createdAt, version, data } = migrateBackup(parsed);
+    const validated = validateBackupData(data);
+    pendingRestore = { createdAt, version, ...validated };
+    console.log('[Data] Backup read: version', version, 'with', validated.data.transactions.length, 'transaction(s),', validated.skipped, 'invalid record(s)');
+    renderRestoreReview();
+  } catch (e) {
+    console.error('[Data] Could not read backup:', e);
+    alert(`Can't restore this backup: ${e.message}`);
+  } finally {
+    restoreFileInput.value = '';
+    if (importFileInput) importFileInput.value = '';
+  }
+}
+
+/**
+ * Show the pending restore's summary with the merge and replace buttons
+ */
+function renderRestoreReview() {
+  restoreSummaryEl.innerHTML = '';
+  if (!pendingRestore) {
+    restoreReviewEl.style.display = 'none';
+    return;
+  }
+  const { createdAt, data, skipped } = pendingRestore;
+  const made = createdAt && !isNaN(new Date(createdAt)) ? new Date(createdAt).toLocaleString(getLocale()) : 'an unknown date';
+  const intro = document.createElement('p');
+  intro.textContent = `Backup made ${made}.`;
+  restoreSummaryEl.appendChild(intro);
+  const ul = document.createElement('ul');
+  describeRestore(data).forEach(text => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    ul.appendChild(li);
+  });
+  restoreSummaryEl.appendChild(ul);
+  if (skipped > 0) {
+    const warning = document.createElement('p');
+    warning.className = 'restore-warning';
+    warning.textContent = `${skipped} record(s) in the backup are damaged or invalid and will be skipped.`;
+    restoreSummaryEl.appendChild(warning);
+  }
+  restoreReviewEl.style.display = '';
+  restoreReviewEl.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Collect the accounts used by current transactions or by any transaction in the undo/redo history
+ * @returns {Set<string>} Account IDs
+ */
+function getReferencedAccountIds() {
+  const ids = new Set();
+  const add = t => {
+    if (!t) return;
+    if (t.accountId) ids.add(t.accountId);
+    if (t.toAccountId) ids.add(t.toAccountId);
+  };
+  txns.forEach(add);
+  [...undoStack, ...redoStack].forEach(step => step.txns.forEach(change => {
+    add(change.before);
+    add(change.after);
+  }));
+  return ids;
+}
+
+/**
+ * Apply the pending restore
+ * Transactions and worksheet values change as one undoable step; accounts, recurring rules and
+ * settings are written directly. Replacing keeps this device's accounts that transactions in the
+ * history still use, so undoing the restore doesn't bring back transactions without their account
+ * @param {boolean} replace - Replace all data with the backup's instead of merging it in
+ */
+function applyRestore(replace) {
+  if (!pendingRestore) return;
+  const { data } = pendingRestore;
+  if (replace && !confirm(
+    'Replace all your data with this backup?\n\n' +
+    'Transactions and budget worksheet values can be undone afterwards; accounts, recurring rules, ' +
+    'categorization rules and the worksheet layout are replaced for good (accounts your transactions ' +
+    'or undo history still use are kept).'
+  )) return;
+
+  let restoredAccounts = mergeRecords(accounts, data.accounts);
+  if (replace) {
+    const referenced = getReferencedAccountIds();
+    const restoredIds = new Set(data.accounts.map(a => a.id));
+    restoredAccounts = data.accounts.concat(accounts.filter(a => referenced.has(a.id) && !restoredIds.has(a.id)));
+  }
+  const restoredRules = replace ? data.recurring : mergeRecords(recurringRules, data.recurring);
+  saveAccounts(restoredAccounts, accounts.filter(a => !restoredAccounts.some(r => r.id === a.id)).map(a => a.id));
+  saveRecurringRules(restoredRules, recurringRules.filter(r => !restoredRules.some(n => n.id === r.id)).map(r => r.id));
+  accounts = restoredAccounts;
+  recurringRules = restoredRules;
+
+  if (replace) {
+    wsStructure = data.worksheetStructure || buildDefaultStructure();
+    categoryMap = data.settings.categoryMap;
+    ({ rules: categoryRules, keywordFallback } = data.settings.categoryRules);
+    csvMappings = data.settings.csvMappings;
+  } else {
+    categoryMap = { ...categoryMap, ...data.settings.categoryMap };
+    categoryRules = mergeRecords(categoryRules, data.settings.categoryRules.rules).slice(0, MAX_CATEGORY_RULES);
+    csvMappings = { ...csvMappings, ...data.settings.csvMappings };
+  }
+  saveWorksheetStructure();
+  saveCategoryMap();
+  saveCategoryRules();
+  saveCsvMappings();
+
+  const months = replace ? data.worksheetMonths : mergeWorksheetMonths(data.worksheetMonths).months;
+  const count = data.transactions.length;
+  recordChange(`${replace ? 'Replaced data with' : 'Merged'} backup (${count} transaction${count === 1 ? '' : 's'})`, () => {
+    txns = replace ? data.transactions.slice() : mergeRecords(txns, data.transactions);
+    wsData = months;
+  }, { toast: true });
+  save(txns);
+  saveWorksheet();
+  console.log('[Data] Backup', replace ? 'replaced' : 'merged into', 'app data');
+
+  pendingRestore = null;
+  renderRestoreReview();
+  cancelEdit();
+  fillAccountSelects();
+  render();
+  renderWorksheet();
+  renderMenu();
+  renderRecurring();
+  renderCategoryRules();
+  renderAccounts();
+}
+
+menuBackup.addEventListener('click', () => {
+  closeMenu();
+  downloadBackup();
+});
+
+menuBackupEncrypted.addEventListener('click', () => {
+  closeMenu();
+  downloadEncryptedBackup();
+});
+
+menuRestore.addEventListener('click', () => {
+  closeMenu();
+  restoreFileInput.click();
+});
+
+restoreFileInput.addEventListener('change', e => handleBackupFile(e.target.files[0]));
+restoreMergeBtn.addEventListener('click', () => applyRestore(false));
+restoreReplaceBtn.addEventListener('click', () => applyRestore(true));
+restoreCancelBtn.addEventListener('click', () => {
+  pendingRestore = null;
+  renderRestoreReview();
+});
+
+// ============================================================================
+// ENCRYPTED BACKUPS
+// ============================================================================
+// Marks a JSON file as a passphrase-encrypted QuickBudget backup
+const ENCRYPTED_BACKUP_FORMAT = 'quickbudget-encrypted-backup';
+// Encrypted envelope version (the backup inside has its own version)
+const ENCRYPTED_BACKUP_VERSION = 1;
+// PBKDF2-SHA-256 rounds for new backups; files may use between the min and max
+const BACKUP_KDF_ITERATIONS = 600000;
+const BACKUP_KDF_MIN_ITERATIONS = 100000;
+const BACKUP_KDF_MAX_ITERATIONS = 10000000;
+// Shortest passphrase accepted for a new encrypted backup
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  // Convert in chunks so large backups don't overflow the argument list
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array}
+ * @throws {Error} If the text isn't base64
+ */
+function base64ToBytes(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2-SHA-256
+ * @param {string} passphrase
+ * @param {Uint8Array} salt - Random salt stored with the data
+ * @param {number} iterations - PBKDF2 rounds
+ * @returns {Promise<CryptoKey>}
+ */
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypt a backup with a passphrase
+ * @param {Object} backup - Backup from buildBackup()
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Envelope: {format, version, kdf: {name, hash, iterations, salt}, cipher: {name, iv}, data}
+ */
+async function encryptBackup(backup, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await derivePassphraseKey(passphrase, salt, BACKUP_KDF_ITERATIONS);
+  const plaintext = new TextEncoder().encode(JSON.stringify(backup));
+  const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext));
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    data: bytesToBase64(ciphertext)
+  };
+}
+
+/**
+ * Decrypt an encrypted backup
+ * AES-GCM authenticates the data, so a wrong passphrase and a changed file both fail here
+ * @param {Object} envelope - Parsed encrypted backup file
+ * @param {string} passphrase
+ * @returns {Promise<*>} The backup inside (not yet migrated or validated)
+ * @throws {Error} With a message for the user
+ */
+async function decryptBackup(envelope, passphrase) {
+  const { kdf, cipher } = envelope;
+  if (Number.isInteger(envelope.version) && envelope.version > ENCRYPTED_BACKUP_VERSION) {
+    throw new Error('This encrypted backup was made by a newer version of QuickBudget. Update the app (reload the page) and try again.');
+  }
+  let salt, iv, ciphertext;
+  try {
+    if (envelope.version !== ENCRYPTED_BACKUP_VERSION) throw new Error('version');
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || !cipher || cipher.name !== 'AES-GCM') throw new Error('unsupported');
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < BACKUP_KDF_MIN_ITERATIONS || kdf.iterations > BACKUP_KDF_MAX_ITERATIONS) {
+      throw new Error('iterations');
+    }
+    salt = base64ToBytes(kdf.salt);
+    iv = base64ToBytes(cipher.iv);
+    ciphertext = base64ToBytes(envelope.data);
+    if (salt.length < 16 || iv.length !== 12 || ciphertext.length <= 16) throw new Error('length');
+  } catch (e) {
+    throw new Error('This encrypted backup is damaged or incomplete.');
+  }
+  const key = await derivePassphraseKey(passphrase, salt, kdf.iterations);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+  } catch (e) {
+    throw new Error('Wrong passphrase, or the file was changed after it was made.');
+  }
+  try {
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (e) {
+    throw new Error('This encrypted backup is damaged or incomplete.');
+  }
+}
+
+/**
+ * Download a passphrase-encrypted JSON backup of all app data
+ */
+async function downloadEncryptedBackup() {
+  const passphrase = await askPassphrase({
+    title: 'Encrypt Backup',
+    message: `Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters. You'll need it to restore this backup; ` +
+      'it can\'t be recovered if you forget it.',
+    confirm: true,
+    submitLabel: 'Download Encrypted Backup'
+  });
+  if (passphrase === null) return;
+  try {
+    const envelope = await encryptBackup(buildBackup(), passphrase);
+    const blob = new Blob([JSON.stringify(envelope)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `quickbudget-backup-${currentDate()}.encrypted.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+    console.log('[Data] Encrypted backup downloaded');
+  } catch (e) {
+    console.error('[Data] Could not encrypt backup:', e);
+    alert('Could not create the encrypted backup. Please try again.');
+  }
+}
+
+// ============================================================================
+// PASSPHRASE PROMPT
+// ============================================================================
+// Shortest PIN accepted where a PIN may be used instead of a passphrase (digits only)
+const MIN_PIN_LENGTH = 4;
+// Resolves the open passphrase prompt (null when none is open)
+let passphraseResolve = null;
+
+/**
+ * Ask for a passphrase in a password field (window.prompt would show it as plain text)
+ * @param {Object} options
+ * @param {string} options.title - Heading
+ * @param {string} options.message - Explanation under the heading
+ * @param {boolean} [options.confirm=false] - Ask twice and enforce MIN_PASSPHRASE_LENGTH (for a new passphrase)
+ * @param {boolean} [options.allowPin=false] - Also accept a PIN of at least MIN_PIN_LENGTH digits (app lock)
+ * @param {string} [options.submitLabel='OK'] - Label of the submit button
+ * @returns {Promise<string|null>} The passphrase, or null if canceled
+ */
+function askPassphrase({ title, message, confirm = false, allowPin = false, submitLabel = 'OK' }) {
+  if (passphraseResolve) passphraseResolve(null);
+  passphraseTitleEl.textContent = title;
+  passphraseMessageEl.textContent = message;
+  passphraseLabelEl.textContent = allowPin ? 'PIN or passphrase' : 'Passphrase';
+  passphraseConfirmLabelEl.textContent = allowPin ? 'Repeat PIN or passphrase' : 'Repeat passphrase';
+  passphraseInputEl.value = '';
+  passphraseConfirmEl.value = '';
+  passphraseInputEl.autocomplete = confirm ? 'new-password' : 'current-password';
+  passphraseConfirmFieldEl.style.display = confirm ? '' : 'none';
+  passphraseErrorEl.textContent = '';
+  passphraseSubmitBtn.textContent = submitLabel;
+  passphraseDialogEl.dataset.confirm = confirm ? 'true' : '';
+  passphraseDialogEl.dataset.allowPin = allowPin ? 'true' : '';
+  passphraseDialogEl.style.display = '';
+  passphraseInputEl.focus();
+  return new Promise(resolve => { passphraseResolve = resolve; });
+}
+
+/**
+ * Close the passphrase prompt with a result
+ * @param {string|null} passphrase - Entered passphrase, or null if canceled
+ */
+function closePassphrasePrompt(passphrase) {
+  passphraseDialogEl.style.display = 'none';
+  passphraseInputEl.value = '';
+  passphraseConfirmEl.value = '';
+  const resolve = passphraseResolve;
+  passphraseResolve = null;
+  if (resolve) resolve(passphrase);
+}
+
+passphraseFormEl.addEventListener('submit', e => {
+  e.preventDefault();
+  const passphrase = passphraseInputEl.value;
+  const allowPin = Boolean(passphraseDialogEl.dataset.allowPin);
+  if (!passphrase) {
+    passphraseErrorEl.textContent = allowPin ? 'Enter the PIN or passphrase.' : 'Enter the passphrase.';
+    return;
+  }
+  if (passphraseDialogEl.dataset.confirm) {
+    if (allowPin && /^\d+$/.test(passphrase)) {
+      if (passphrase.length < MIN_PIN_LENGTH) {
+        passphraseErrorEl.textContent = `Use a PIN of at least ${MIN_PIN_LENGTH} digits.`;
+        return;
+      }
+    } else if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      passphraseErrorEl.textContent = allowPin
+        ? `Use a PIN of at least ${MIN_PIN_LENGTH} digits or a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`
+        : `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+      return;
+    }
+    if (passphrase !== passphraseConfirmEl.value) {
+      passphraseErrorEl.textContent = allowPin ? 'The entries don\'t match.' : 'The passphrases don\'t match.';
+      return;
+    }
+  }
+  closePassphrasePrompt(passphrase);
+});
+passphraseCancelBtn.addEventListener('click', () => closePassphrasePrompt(null));
+passphraseDialogEl.addEventListener('keydown', e => {
+  if (e.key === 'Escape') closePassphrasePrompt(null);
+});
+
+// ============================================================================
+// APP LOCK
+// ============================================================================
+// Known text encrypted with the lock key, so a wrong PIN or passphrase can be told from a right one
+const APP_LOCK_CHECK = 'quickbudget-app-lock';
+// Idle timeouts offered in the App Lock card, in minutes
+const APP_LOCK_IDLE_OPTIONS = [1, 5, 15, 30, 60];
+const DEFAULT_APP_LOCK_IDLE_MINUTES = 5;
+// Wrong attempts allowed on the lock screen before it pauses, and for how long
+const MAX_UNLOCK_ATTEMPTS = 5;
+const UNLOCK_PAUSE_MS = 30 * 1000;
+// How often the idle timeout is checked while the app is open
+const IDLE_CHECK_INTERVAL_MS = 15 * 1000;
+
+// App lock settings ({salt, iterations, check: {iv, data}, idleMinutes}), or null when the lock is off
+let appLock = null;
+// Time of the last tap, key press or scroll, for the idle timeout
+let lastActivityAt = Date.now();
+// Interval checking the idle timeout (null when the lock is off)
+let idleTimer = null;
+// Resolves the lock screen once the right PIN or passphrase is entered
+let unlockResolve = null;
+// Wrong attempts since the last pause, and when the current pause ends
+let failedUnlocks = 0;
+let unlockPausedUntil = 0;
+
+/**
+ * Validate stored app lock settings
+ * @param {*} value - Value of the appLock meta key
+ * @returns {Object|null} Settings, or null if missing or malformed (the lock is then off)
+ */
+function validateAppLock(value) {
+  if (!value || typeof value !== 'object') return null;
+  const { salt, iterations, check, idleMinutes } = value;
+  if (typeof salt !== 'string' || !salt) return null;
+  if (!Number.isInteger(iterations) || iterations < BACKUP_KDF_MIN_ITERATIONS || iterations > BACKUP_KDF_MAX_ITERATIONS) return null;
+  if (!check || typeof check.iv !== 'string' || typeof check.data !== 'string') return null;
+  return {
+    salt,
+    iterations,
+    check: { iv: check.iv, data: check.data },
+    idleMinutes: APP_LOCK_IDLE_OPTIONS.includes(idleMinutes) ? idleMinutes : DEFAULT_APP_LOCK_IDLE_MINUTES
+  };
+}
+
+/**
+ * Load the app lock settings from IndexedDB
+ * @returns {Promise<Object|null>}
+ */
+async function loadAppLock() {
+  const value = await getMeta('appLock');
+  const lock = validateAppLock(value);
+  if (value !== undefined && !lock) console.warn('[Lock] Ignoring invalid app lock settings');
+  return lock;
+}
+
+/**
+ * Create app lock settings and the key for a new PIN or passphrase
+ * @param {string} secret - PIN or passphrase
+ * @param {number} idleMinutes - Idle timeout
+ * @returns {Promise<{lock: Object, key: CryptoKey}>}
+ */
+async function createAppLock(secret, idleMinutes) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await derivePassphraseKey(secret, salt, BACKUP_KDF_ITERATIONS);
+  const check = await encryptAtRest(APP_LOCK_CHECK, key);
+  return { lock: { salt: bytesToBase64(salt), iterations: BACKUP_KDF_ITERATIONS, check, idleMinutes }, key };
+}
+
+/**
+ * Derive the key for a PIN or passphrase and check it against the lock
+ * @param {string} secret - PIN or passphrase
+ * @param {Object} lock - App lock settings
+ * @returns {Promise<CryptoKey|null>} The key, or null if the secret is wrong
+ */
+async function unlockKey(secret, lock) {
+  try {
+    const key = await derivePassphraseKey(secret, base64ToBytes(lock.salt), lock.iterations);
+    const { iv, data } = lock.check;
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+    return JSON.parse(new TextDecoder().decode(plaintext)) === APP_LOCK_CHECK ? key : null;
+  } catch (e) {
+    // AES-GCM rejects a wrong key; treat anything unreadable the same way
+    return null;
+  }
+}
+
+/**
+ * Rewrite all transactions, worksheet months, accounts, recurring rules, synced settings and history
+ * with a new key (or in plain form when the key is null), together with the new lock settings, in
+ * one IndexedDB transaction
+ * Stores are cleared first so nothing written under the old key is left behind
+ * @param {CryptoKey|null} key - New at-rest key
+ * @param {Object|null} lock - New app lock settings (null turns the lock off)
+ * @returns {Promise<void>}
+ */
+async function rewriteStoredData(key, lock) {
+  const previousKey = atRestKey;
+  // Writes made from here on use the new key and queue behind this rewrite
+  atRestKey = key;
+  clearTimeout(historySaveTimer);
+  try {
+    const months = Object.keys(wsData).map(month => ({ month, values: wsData[month] }));
+    const settings = [...getSyncValues().settings].map(([settingKey, value]) => ({ key: settingKey, value }));
+    const [sealedTxns, sealedMonths, sealedAccounts, sealedRules, sealedSettings, [history]] = await Promise.all([
+      sealRecords(txns, 'id'),
+      sealRecords(months, 'month'),
+      sealRecords(accounts, 'id'),
+      sealRecords(recurringRules, 'id'),
+      sealRecords(settings, 'key'),
+      sealRecords([buildHistoryRecord()], 'key')
+    ]);
+    await runTransaction(['transactions', 'worksheetMonths', 'accounts', 'recurring', 'meta'], 'readwrite', tx => {
+      [['transactions', sealedTxns], ['worksheetMonths', sealedMonths], ['accounts', sealedAccounts], ['recurring', sealedRules]]
+        .forEach(([storeName, records]) => {
+          const store = tx.objectStore(storeName);
+          store.clear();
+          records.forEach(record => store.put(record));
+        });
+      const metaStore = tx.objectStore('meta');
+      metaStore.put(history);
+      // Only settings that are stored get rewritten (a missing one means its default)
+      sealedSettings.forEach(record => {
+        metaStore.count(record.key).onsuccess = event => {
+          if (event.target.result > 0) metaStore.put(record);
+        };
+      });
+      if (lock) metaStore.put({ key: 'appLock', value: lock }); else metaStore.delete('appLock');
+    });
+  } catch (e) {
+    atRestKey = previousKey;
+    throw e;
+  }
+  appLock = lock;
+  console.log('[Lock] Rewrote', txns.length, 'transaction(s),', Object.keys(wsData).length, 'month(s),',
+    accounts.length, 'account(s) and', recurringRules.length, lock ? 'recurring rule(s) encrypted' : 'recurring rule(s) unencrypted');
+}
+
+/**
+ * Show the lock screen and wait for the right PIN or passphrase
+ * @returns {Promise<void>} Resolves once unlocked (atRestKey is then set)
+ */
+function waitForUnlock() {
+  lockScreenEl.style.display = '';
+  lockErrorEl.textContent = '';
+  lockSecretEl.focus();
+  return new Promise(resolve => { unlockResolve = resolve; });
+}
+
+/**
+ * Lock the app: finish pending writes, then reload so nothing stays in memory
+ * The reloaded page asks for the PIN or passphrase before loading any data
+ */
+async function lockApp() {
+  if (!appLock) return;
+  console.log('[Lock] Locking app');
+  clearInterval(idleTimer);
+  idleTimer = null;
+  clearTimeout(historySaveTimer);
+  try {
+    await persistHistory();
+    await sealQueue;
+    // A read over the same stores starts only after every earlier write has committed
+    await runTransaction(['transactions', 'worksheetMonths', 'accounts', 'recurring', 'meta'], 'readonly', () => {});
+  } catch (e) {
+    console.warn('[Lock] Could not finish pending writes before locking:', e);
+  }
+  location.reload();
+}
+
+/**
+ * Lock the app if it has been idle longer than the timeout
+ */
+function checkIdleLock() {
+  if (appLock && atRestKey && Date.now() - lastActivityAt >= appLock.idleMinutes * 60 * 1000) lockApp();
+}
+
+/**
+ * Start or stop the idle timeout to match the lock setting
+ */
+function updateIdleTimer() {
+  if (appLock && !idleTimer) {
+    lastActivityAt = Date.now();
+    idleTimer = setInterval(checkIdleLock, IDLE_CHECK_INTERVAL_MS);
+  } else if (!appLock && idleTimer) {
+    clearInterval(idleTimer);
+    idleTimer = null;
+  }
+}
+
+/**
+ * Show the App Lock card for the current setting
+ */
+function renderAppLockCard() {
+  const on = Boolean(appLock);
+  appLockStatusEl.textContent = on
+    ? 'App lock is on. QuickBudget asks for your PIN or passphrase when it opens, and your transactions, budgets, accounts, rules and undo history are stored encrypted on this device.'
+    : 'App lock is off. Turn it on to ask for a PIN or passphrase when QuickBudget opens and to store your transactions, budgets, accounts and rules encrypted on this device.';
+  appLockIdleEl.value = String(on ? appLock.idleMinutes : DEFAULT_APP_LOCK_IDLE_MINUTES);
+  appLockEnableBtn.style.display = on ? 'none' : '';
+  appLockChangeBtn.style.display = on ? '' : 'none';
+  appLockDisableBtn.style.display = on ? '' : 'none';
+  menuLockNow.style.display = on ? '' : 'none';
+}
+
+/**
+ * Ask for the current PIN or passphrase before changing the lock
+ * @param {string} title - Prompt heading
+ * @returns {Promise<boolean>} True if it was entered correctly
+ */
+async function confirmCurrentSecret(title) {
+  const secret = await askPassphrase({ title, message: 'Enter your current PIN or passphrase.', allowPin: true, submitLabel: 'Continue' });
+  if (secret === null) return false;
+  if (await unlockKey(secret, appLock)) return true;
+  alert('That PIN or passphrase is wrong.');
+  return false;
+}
+
+/**
+ * Turn the app lock on, or change its PIN or passphrase, re-encrypting stored data with the new key
+ * @param {boolean} changing - True when the lock is already on
+ */
+async function setAppLockSecret(changing) {
+  if (!db) {
+    alert('The app lock needs local storage, which isn\'t available in this browser.');
+    return;
+  }
+  if (changing && !(await confirmCurrentSecret('Change PIN or Passphrase'))) return;
+  const secret = await askPassphrase({
+    title: changing ? 'New PIN or Passphrase' : 'Turn On App Lock',
+    message: `Choose a PIN of at least ${MIN_PIN_LENGTH} digits or a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters. ` +
+      'If you forget it, your data can\'t be recovered, so keep a backup.',
+    confirm: true,
+    allowPin: true,
+    submitLabel: changing ? 'Change' : 'Turn On'
+  });
+  if (secret === null) return;
+  try {
+    const idleMinutes = Number(appLockIdleEl.value);
+    const { lock, key } = await createAppLock(secret, APP_LOCK_IDLE_OPTIONS.includes(idleMinutes) ? idleMinutes : DEFAULT_APP_LOCK_IDLE_MINUTES);
+    await rewriteStoredData(key, lock);
+  } catch (e) {
+    console.error('[Lock] Error setting the app lock:', e);
+    alert('The app lock could not be saved. Your data was not changed.');
+    return;
+  }
+  updateIdleTimer();
+  renderAppLockCard();
+  alert(changing ? 'Your PIN or passphrase was changed.' : 'App lock is on. Your data is now stored encrypted on this device.');
+}
+
+/**
+ * Turn the app lock off and store data unencrypted again
+ */
+async function disableAppLock() {
+  if (!(await confirmCurrentSecret('Turn Off App Lock'))) return;
+  if (!confirm('Turn off the app lock? QuickBudget will open without a PIN or passphrase and your data will be stored unencrypted on this device.')) return;
+  try {
+    await rewriteStoredData(null, null);
+  } catch (e) {
+    console.error('[Lock] Error turning off the app lock:', e);
+    alert('The app lock could not be turned off. Please try again.');
+    return;
+  }
+  updateIdleTimer();
+  renderAppLockCard();
+}
+
+// Unlock from the lock screen
+lockFormEl.addEventListener('submit', async e => {
+  e.preventDefault();
+  const waitMs = unlockPausedUntil - Date.now();
+  if (waitMs > 0) {
+    lockErrorEl.textContent = `Too many wrong attempts. Try again in ${Math.ceil(waitMs / 1000)} seconds.`;
+    return;
+  }
+  const secret = lockSecretEl.value;
+  if (!secret) {
+    lockErrorEl.textContent = 'Enter your PIN or passphrase.';
+    return;
   }
+  unlockBtn.disabled = true;
+  lockErrorEl.textContent = 'Unlocking…';
+  const key = await unlockKey(secret, appLock);
+  unlockBtn.disabled = false;
+  lockSecretEl.value = '';
+  if (!key) {
+    failedUnlocks++;
+    if (failedUnlocks >= MAX_UNLOCK_ATTEMPTS) {
+      failedUnlocks = 0;
+      unlockPausedUntil = Date.now() + UNLOCK_PAUSE_MS;
+      lockErrorEl.textContent = `Too many wrong attempts. Try again in ${UNLOCK_PAUSE_MS / 1000} seconds.`;
+    } else {
+      lockErrorEl.textContent = 'Wrong PIN or passphrase.';
+    }
+    console.warn('[Lock] Wrong PIN or passphrase');
+    return;
+  }
+  atRestKey = key;
+  failedUnlocks = 0;
+  lockErrorEl.textContent = '';
+  lockScreenEl.style.display = 'none';
+  console.log('[Lock] Unlocked');
+  const resolve = unlockResolve;
+  unlockResolve = null;
+  if (resolve) resolve();
 });
 
-menuImport.addEventListener('click', () => {
+// A forgotten PIN or passphrase can't be recovered; the only way back in is to start over
+lockResetBtn.addEventListener('click', () => {
+  if (!confirm('Without the PIN or passphrase your data can\'t be decrypted.\n\nErase ALL QuickBudget data on this device and start over? You can restore a backup afterwards.')) return;
+  if (!confirm('Last chance! Click OK to permanently erase all data on this device.')) return;
+  console.warn('[Lock] Erasing all data after a forgotten PIN or passphrase');
+  if (db) db.close();
+  db = null;
+  const request = indexedDB.deleteDatabase(DB_NAME);
+  request.onsuccess = request.onerror = request.onblocked = () => location.reload();
+});
+
+// Any interaction counts as activity for the idle timeout
+['pointerdown', 'keydown', 'scroll', 'touchstart'].forEach(type => {
+  document.addEventListener(type, () => { lastActivityAt = Date.now(); }, { passive: true, capture: true });
+});
+// Timers are throttled in the background, so check as soon as the app is shown again
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') checkIdleLock();
+});
+
+menuAppLock.addEventListener('click', () => {
   closeMenu();
-  const pdfCard = document.querySelector('.pdf-upload-card');
-  if (pdfCard) {
-    pdfCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  renderAppLockCard();
+  appLockCardEl.style.display = '';
+  appLockCardEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+});
+menuLockNow.addEventListener('click', () => {
+  closeMenu();
+  lockApp();
+});
+appLockEnableBtn.addEventListener('click', () => setAppLockSecret(false));
+appLockChangeBtn.addEventListener('click', () => setAppLockSecret(true));
+appLockDisableBtn.addEventListener('click', disableAppLock);
+appLockCloseBtn.addEventListener('click', () => { appLockCardEl.style.display = 'none'; });
+appLockIdleEl.addEventListener('change', () => {
+  if (!appLock) return;
+  const idleMinutes = Number(appLockIdleEl.value);
+  if (!APP_LOCK_IDLE_OPTIONS.includes(idleMinutes)) return;
+  appLock = { ...appLock, idleMinutes };
+  setMeta('appLock', appLock).catch(e => reportSaveError(e, 'app lock settings'));
+});
+
+// ============================================================================
+// SYNC
+// ============================================================================
+// Marks a JSON document as QuickBudget sync data
+const SYNC_FORMAT = 'quickbudget-sync';
+// Current sync document version
+const SYNC_VERSION = 1;
+// Record kinds kept in step between devices, with the ID of each record
+const SYNC_RECORD_KINDS = ['transactions', 'worksheetMonths', 'accounts', 'recurring'];
+// Settings kept in step as whole values (others, like the period filter and app lock, stay per device)
+const SYNC_SETTINGS = ['worksheetStructure', 'categoryMap', 'categoryRules', 'csvMappings'];
+// Largest sync file accepted, and most entries of one kind read from a sync document
+const MAX_SYNC_SIZE = MAX_BACKUP_SIZE;
+const MAX_SYNC_ENTRIES = MAX_BACKUP_RECORDS;
+// Times to merge again when another device writes the server between this device's read and write
+const SYNC_MAX_ATTEMPTS = 3;
+
+// Sync server address and when this device last synced ({url, lastSyncAt})
+let syncSettings = { url: '', lastSyncAt: null };
+// Whether a sync is running (a second one waits its turn by being refused)
+let syncInProgress = false;
+// Passphrase that encrypts sync data, kept in memory for this session only (null until asked for)
+let syncPassphrase = null;
+
+/**
+ * Load this device's sync ID, creating one the first time
+ * @returns {Promise<string>}
+ */
+async function loadSyncDevice() {
+  const stored = await getMeta('syncDevice');
+  if (typeof stored === 'string' && stored.length > 0 && stored.length <= 100) return stored;
+  const id = crypto.randomUUID();
+  await setMeta('syncDevice', id);
+  return id;
+}
+
+/**
+ * Check a sync server address
+ * A path on QuickBudget's own site is accepted as is; other servers need HTTPS, except plain HTTP on
+ * this computer (for a local test server)
+ * @param {string} text - Address as typed
+ * @returns {string|null} Normalized address, or null if it can't be used
+ */
+function validateSyncUrl(text) {
+  if (typeof text !== 'string' || !text.trim() || text.length > 2000) return null;
+  let url;
+  try {
+    // Only a path starting with "/" is read as on this site, so "example.com/sync.json" isn't mistaken for one
+    url = text.trim().startsWith('/') ? new URL(text.trim(), location.href) : new URL(text.trim());
+  } catch (e) {
+    return null;
+  }
+  if (url.username || url.password) return null;
+  if (url.origin === location.origin) return url.href;
+  const local = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && local)) return null;
+  return url.href;
+}
+
+/**
+ * Check if the sync server is on another site than QuickBudget
+ * The Content Security Policy only lets the app connect to its own site, so another server's
+ * origin has to be added to connect-src in index.html
+ * @param {string} url - Sync server address from validateSyncUrl()
+ * @returns {boolean}
+ */
+function isCrossOriginSyncUrl(url) {
+  return new URL(url).origin !== location.origin;
+}
+
+/**
+ * Load the sync settings from IndexedDB
+ * @returns {Promise<{url: string, lastSyncAt: number|null}>}
+ */
+async function loadSyncSettings() {
+  try {
+    const stored = await getMeta('syncSettings');
+    if (!stored || typeof stored !== 'object') return { url: '', lastSyncAt: null };
+    return {
+      url: validateSyncUrl(stored.url) || '',
+      lastSyncAt: typeof stored.lastSyncAt === 'number' && isFinite(stored.lastSyncAt) ? stored.lastSyncAt : null
+    };
+  } catch (e) {
+    console.error('[Sync] Error loading sync settings:', e);
+    return { url: '', lastSyncAt: null };
+  }
+}
+
+/**
+ * Save the sync settings to IndexedDB
+ */
+function saveSyncSettings() {
+  setMeta('syncSettings', syncSettings).catch(e => reportSaveError(e, 'sync settings'));
+}
+
+/**
+ * Get this device's current records and synced settings, by kind and then ID
+ * @returns {Object<string, Map<string, *>>}
+ */
+function getSyncValues() {
+  return {
+    transactions: new Map(txns.map(t => [t.id, t])),
+    worksheetMonths: new Map(Object.keys(wsData).map(month => [month, wsData[month]])),
+    accounts: new Map(accounts.map(a => [a.id, a])),
+    recurring: new Map(recurringRules.map(r => [r.id, r])),
+    settings: new Map([
+      ['worksheetStructure', wsStructure],
+      ['categoryMap', categoryMap],
+      ['categoryRules', { rules: categoryRules, keywordFallback }],
+      ['csvMappings', csvMappings]
+    ])
+  };
+}
+
+/**
+ * Build this device's sync document: every synced record and setting with when it last changed, plus
+ * tombstones for deleted records
+ * Records changed before this device kept a change log count as changed at time 0, so any stamped
+ * change on another device wins over them
+ * @returns {Promise<Object>} {format, version, device, createdAt, kinds: {kind: {id: {at, device, data} | {at, device, deleted: true}}}}
+ */
+async function buildSyncDocument() {
+  const stamps = new Map((await getAllRecords('changeLog')).map(stamp => [stamp.key, stamp]));
+  const values = getSyncValues();
+  const kinds = {};
+  Object.keys(values).forEach(kind => {
+    const entries = {};
+    values[kind].forEach((data, id) => {
+      const stamp = stamps.get(`${kind}:${id}`);
+      entries[id] = stamp && !stamp.deleted ? { at: stamp.at, device: stamp.device, data } : { at: 0, device: '', data };
+    });
+    stamps.forEach(stamp => {
+      if (stamp.kind === kind && stamp.deleted && !values[kind].has(stamp.id)) {
+        entries[stamp.id] = { at: stamp.at, device: stamp.device, deleted: true };
+      }
+    });
+    kinds[kind] = entries;
+  });
+  return { format: SYNC_FORMAT, version: SYNC_VERSION, device: syncDeviceId, createdAt: new Date().toISOString(), kinds };
+}
+
+/**
+ * Validate one record or setting from a sync document
+ * @param {string} kind - Record kind, or 'settings'
+ * @param {string} id - Record ID, month or setting key
+ * @param {*} data - Record or setting value
+ * @returns {*} The value to store, or null if it is invalid
+ */
+function validateSyncData(kind, id, data) {
+  switch (kind) {
+    case 'transactions': return validateTransactionSchema(data) && data.id === id ? data : null;
+    case 'worksheetMonths': return validateMonth(id) ? validateMonthValues(data) : null;
+    case 'accounts': return validateAccount(data) && data.id === id ? data : null;
+    case 'recurring': return validateRecurringRule(data) && data.id === id ? data : null;
+    case 'settings':
+      if (id === 'worksheetStructure') return validateWorksheetStructure(data);
+      if (id === 'categoryMap') return validateCategoryMap(data);
+      if (id === 'categoryRules') return validateCategoryRules(data);
+      if (id === 'csvMappings') return validateCsvMappings(data);
+      return null;
+    default: return null;
+  }
+}
+
+/**
+ * Validate a sync document from another device
+ * @param {*} doc - Parsed JSON
+ * @returns {{kinds: Object<string, Map<string, Object>>, skipped: number}} Valid entries by kind and ID
+ * @throws {Error} If it isn't QuickBudget sync data or was made by a newer version
+ */
+function validateSyncDocument(doc) {
+  if (!doc || typeof doc !== 'object' || doc.format !== SYNC_FORMAT || !doc.kinds || typeof doc.kinds !== 'object') {
+    throw new Error('This isn\'t QuickBudget sync data.');
+  }
+  if (!Number.isInteger(doc.version) || doc.version > SYNC_VERSION) {
+    throw new Error('This sync data was made by a newer version of QuickBudget. Update the app on this device first.');
+  }
+  let skipped = 0;
+  const kinds = {};
+  [...SYNC_RECORD_KINDS, 'settings'].forEach(kind => {
+    const entries = new Map();
+    const source = doc.kinds[kind] && typeof doc.kinds[kind] === 'object' ? doc.kinds[kind] : {};
+    Object.keys(source).slice(0, MAX_SYNC_ENTRIES).forEach(id => {
+      const entry = source[id];
+      const stamped = entry && typeof entry === 'object' && typeof entry.at === 'number' && isFinite(entry.at) &&
+        entry.at >= 0 && typeof entry.device === 'string' && entry.device.length <= 100 && id.length <= 100;
+      // Settings always have a value, so only records can be deleted
+      if (stamped && entry.deleted === true && kind !== 'settings') {
+        entries.set(id, { at: entry.at, device: entry.device, deleted: true });
+        return;
+      }
+      const data = stamped ? validateSyncData(kind, id, entry.data) : null;
+      if (data) entries.set(id, { at: entry.at, device: entry.device, data });
+      else skipped++;
+    });
+    kinds[kind] = entries;
+  });
+  return { kinds, skipped };
+}
+
+/**
+ * Check whether one change is newer than another (the device ID breaks ties, so every device picks the same one)
+ * @param {{at: number, device: string}} a
+ * @param {{at: number, device: string}} b
+ * @returns {boolean}
+ */
+function isNewerChange(a, b) {
+  return a.at !== b.at ? a.at > b.at : a.device > b.device;
+}
+
+/**
+ * Merge another device's sync data into this device
+ * For every record and setting the most recent change wins, whether it is an edit or a deletion.
+ * Winning changes from the other device are applied here keeping their original change time;
+ * transactions and worksheet values change as one undoable step.
+ * @param {{kinds: Object<string, Map<string, Object>>, skipped: number}} remote - From validateSyncDocument()
+ * @returns {Promise<{doc: Object, added: number, updated: number, removed: number, skipped: number}>}
+ *   The merged sync document (to hand back to the other devices) and what changed here
+ */
+async function mergeSyncDocument(remote) {
+  const local = (await buildSyncDocument()).kinds;
+  const merged = {};
+  const incoming = {};
+  let added = 0, updated = 0, removed = 0;
+  let skipped = remote.skipped;
+  Object.keys(local).forEach(kind => {
+    merged[kind] = { ...local[kind] };
+    incoming[kind] = new Map();
+    remote.kinds[kind].forEach((theirs, id) => {
+      const ours = local[kind][id];
+      if (ours && !isNewerChange(theirs, ours)) return;
+      merged[kind][id] = theirs;
+      const changed = theirs.deleted ? ours && !ours.deleted
+        : !ours || ours.deleted || JSON.stringify(ours.data) !== JSON.stringify(theirs.data);
+      if (changed) incoming[kind].set(id, theirs);
+    });
+  });
+
+  // An account stays while a transaction still uses it; a transaction needs its accounts
+  const usesAccount = (entry, accountId) => !entry.deleted && (entry.data.accountId === accountId || entry.data.toAccountId === accountId);
+  incoming.accounts.forEach((theirs, id) => {
+    if (theirs.deleted && Object.values(merged.transactions).some(entry => usesAccount(entry, id))) {
+      incoming.accounts.delete(id);
+      merged.accounts[id] = local.accounts[id];
+    }
+  });
+  const hasAccount = id => !id || (merged.accounts[id] && !merged.accounts[id].deleted);
+  incoming.transactions.forEach((theirs, id) => {
+    if (!theirs.deleted && !(hasAccount(theirs.data.accountId) && hasAccount(theirs.data.toAccountId))) {
+      incoming.transactions.delete(id);
+      if (local.transactions[id]) merged.transactions[id] = local.transactions[id]; else delete merged.transactions[id];
+      skipped++;
+    }
+  });
+
+  // One recurring occurrence posted by several devices under different IDs keeps only the most
+  // recently changed copy (every device picks the same one); the others become tombstones
+  const occurrences = new Map();
+  Object.keys(merged.transactions).sort().forEach(id => {
+    const entry = merged.transactions[id];
+    if (entry.deleted || !entry.data.recurringId || !entry.data.date) return;
+    const key = `${entry.data.recurringId}|${entry.data.date}`;
+    const keptId = occurrences.get(key);
+    if (keptId === undefined) {
+      occurrences.set(key, id);
+      return;
+    }
+    const kept = merged.transactions[keptId];
+    const [winnerId, loserId] = isNewerChange(entry, kept) ? [id, keptId] : [keptId, id];
+    const loser = merged.transactions[loserId];
+    occurrences.set(key, winnerId);
+    const tombstone = { at: Math.max(Date.now(), loser.at + 1), device: syncDeviceId, deleted: true };
+    merged.transactions[loserId] = tombstone;
+    const ours = local.transactions[loserId];
+    if (ours && !ours.deleted) incoming.transactions.set(loserId, tombstone); else incoming.transactions.delete(loserId);
+  });
+
+  Object.keys(incoming).forEach(kind => incoming[kind].forEach((theirs, id) => {
+    const ours = local[kind][id];
+    if (theirs.deleted) removed++;
+    else if (ours && !ours.deleted) updated++;
+    else added++;
+  }));
+
+  applySyncChanges(incoming);
+  return {
+    doc: { format: SYNC_FORMAT, version: SYNC_VERSION, device: syncDeviceId, createdAt: new Date().toISOString(), kinds: merged },
+    added, updated, removed, skipped
+  };
+}
+
+/**
+ * Apply winning changes from another device, keeping their original change times in the change log
+ * @param {Object<string, Map<string, Object>>} incoming - Changes by kind, then ID ({at, device, data} or {at, device, deleted: true})
+ */
+function applySyncChanges(incoming) {
+  const total = Object.values(incoming).reduce((sum, changes) => sum + changes.size, 0);
+  if (total === 0) return;
+  // Replace, add and remove records in a list by ID, keeping the order of the ones that stay
+  const applyToList = (list, changes) => {
+    const result = list
+      .filter(record => !(changes.has(record.id) && changes.get(record.id).deleted))
+      .map(record => changes.has(record.id) ? changes.get(record.id).data : record);
+    const ids = new Set(list.map(record => record.id));
+    changes.forEach((change, id) => { if (!change.deleted && !ids.has(id)) result.push(change.data); });
+    return result;
+  };
+  const written = changes => [...changes.values()].filter(change => !change.deleted).map(change => change.data);
+  const deletedIds = changes => [...changes.keys()].filter(id => changes.get(id).deleted);
+
+  syncIncomingStamps = new Map();
+  Object.keys(incoming).forEach(kind => incoming[kind].forEach((change, id) => syncIncomingStamps.set(`${kind}:${id}`, change)));
+  try {
+    if (incoming.accounts.size > 0) {
+      accounts = applyToList(accounts, incoming.accounts);
+      saveAccounts(written(incoming.accounts), deletedIds(incoming.accounts));
+    }
+    if (incoming.recurring.size > 0) {
+      recurringRules = applyToList(recurringRules, incoming.recurring);
+      saveRecurringRules(written(incoming.recurring), deletedIds(incoming.recurring));
+    }
+    incoming.settings.forEach((change, key) => {
+      if (key === 'worksheetStructure') {
+        wsStructure = change.data;
+        saveWorksheetStructure();
+      } else if (key === 'categoryMap') {
+        categoryMap = change.data;
+        saveCategoryMap();
+      } else if (key === 'categoryRules') {
+        ({ rules: categoryRules, keywordFallback } = change.data);
+        saveCategoryRules();
+      } else if (key === 'csvMappings') {
+        csvMappings = change.data;
+        saveCsvMappings();
+      }
+    });
+    if (incoming.transactions.size > 0 || incoming.worksheetMonths.size > 0) {
+      const count = incoming.transactions.size;
+      recordChange(`Synced ${count} transaction change${count === 1 ? '' : 's'}`, () => {
+        txns = applyToList(txns, incoming.transactions);
+        const months = { ...wsData };
+        incoming.worksheetMonths.forEach((change, month) => {
+          if (change.deleted) delete months[month]; else months[month] = change.data;
+        });
+        wsData = months;
+      }, { toast: true });
+      save(txns);
+      saveWorksheet();
+    }
+  } finally {
+    syncIncomingStamps = null;
+  }
+  console.log('[Sync] Applied', total, 'change(s) from another device');
+
+  cancelEdit();
+  fillAccountSelects();
+  render();
+  renderWorksheet();
+  renderMenu();
+  renderRecurring();
+  renderCategoryRules();
+  renderAccounts();
+}
+
+/**
+ * Ask for the passphrase that encrypts sync data between devices
+ * @param {boolean} confirm - Ask twice (this device is about to encrypt sync data that wasn't yet)
+ * @returns {Promise<string>}
+ * @throws {Error} If the user cancels
+ */
+async function askSyncPassphrase(confirm) {
+  const passphrase = await askPassphrase({
+    title: 'Sync Passphrase',
+    message: confirm
+      ? `With the app lock on, sync data is encrypted. Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters and use the same one on your other devices.`
+      : 'This sync data is encrypted. Enter the sync passphrase used on your other devices.',
+    confirm,
+    submitLabel: 'Sync'
+  });
+  if (passphrase === null) throw new Error('No sync passphrase was entered.');
+  return passphrase;
+}
+
+/**
+ * Make sure the sync passphrase is known when sync data has to be decrypted or encrypted
+ * Sync data is encrypted while the app lock is on, and stays encrypted once another device encrypted it
+ * @param {boolean} encrypted - The other devices' copy is encrypted
+ * @param {boolean} quiet - Background sync: fail instead of asking
+ * @returns {Promise<void>}
+ * @throws {Error} With a message for the user
+ */
+async function ensureSyncPassphrase(encrypted, quiet) {
+  if (syncPassphrase || (!encrypted && !appLock)) return;
+  if (quiet) throw new Error('Sync data is encrypted. Choose Sync Now and enter the sync passphrase.');
+  syncPassphrase = await askSyncPassphrase(!encrypted);
+}
+
+/**
+ * Read sync data from the server or a file, decrypting it if it is encrypted
+ * @param {*} parsed - Parsed JSON, or null when the server has no copy yet
+ * @param {boolean} quiet - Background sync: fail instead of asking for the sync passphrase
+ * @returns {Promise<{remote: Object, encrypted: boolean}>} Data from validateSyncDocument(), and whether it was encrypted
+ * @throws {Error} With a message for the user
+ */
+async function openSyncData(parsed, quiet) {
+  const encrypted = Boolean(parsed && parsed.format === ENCRYPTED_BACKUP_FORMAT);
+  await ensureSyncPassphrase(encrypted, quiet);
+  if (parsed === null) {
+    return { remote: { kinds: Object.fromEntries([...SYNC_RECORD_KINDS, 'settings'].map(kind => [kind, new Map()])), skipped: 0 }, encrypted };
+  }
+  if (!encrypted) return { remote: validateSyncDocument(parsed), encrypted };
+  try {
+    return { remote: validateSyncDocument(await decryptBackup(parsed, syncPassphrase)), encrypted };
+  } catch (e) {
+    // Ask again next time, in case it was mistyped or changed on another device
+    syncPassphrase = null;
+    throw e;
+  }
+}
+
+/**
+ * Prepare a sync document for the server or a file: encrypted with the sync passphrase (the same
+ * envelope as encrypted backups) when the app lock is on or the other devices' copy was encrypted
+ * @param {Object} doc - Sync document
+ * @param {boolean} encrypted - The other devices' copy was encrypted
+ * @returns {Promise<Object>}
+ */
+function sealSyncDocument(doc, encrypted) {
+  return appLock || encrypted ? encryptBackup(doc, syncPassphrase) : Promise.resolve(doc);
+}
+
+/**
+ * Describe a finished sync for the user
+ * @param {{added: number, updated: number, removed: number, skipped: number}} result
+ * @returns {string}
+ */
+function describeSyncResult({ added, updated, removed, skipped }) {
+  const parts = [];
+  if (added > 0) parts.push(`${added} added`);
+  if (updated > 0) parts.push(`${updated} updated`);
+  if (removed > 0) parts.push(`${removed} removed`);
+  let text = parts.length > 0 ? `Changes from other devices: ${parts.join(', ')}.` : 'This device was already up to date.';
+  if (skipped > 0) text += ` ${skipped} damaged or invalid record(s) were skipped.`;
+  return text;
+}
+
+/**
+ * Record a finished sync
+ */
+function markSynced() {
+  syncSettings = { ...syncSettings, lastSyncAt: Date.now() };
+  saveSyncSettings();
+  renderSyncCard();
+}
+
+/**
+ * Sync with the server: read its copy, merge it in, and write the merged copy back
+ * The write is conditional on the copy read (If-Match with its ETag) when the server supports it,
+ * so two devices syncing at once merge again instead of overwriting each other
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=false] - Report only in the Sync card and console (for the sync on launch)
+ */
+async function syncWithServer({ quiet = false } = {}) {
+  if (!syncSettings.url || !db || syncInProgress) return;
+  syncInProgress = true;
+  syncNowBtn.disabled = true;
+  syncStatusEl.textContent = 'Syncing…';
+  const total = { added: 0, updated: 0, removed: 0, skipped: 0 };
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const response = await fetch(syncSettings.url, { cache: 'no-store' });
+      if (!response.ok && response.status !== 404) {
+        throw new Error(`The sync server answered ${response.status} ${response.statusText}`.trim());
+      }
+      const { remote, encrypted } = await openSyncData(response.status === 404 ? null : await response.json(), quiet);
+      const etag = response.headers.get('ETag');
+      const result = await mergeSyncDocument(remote);
+      ['added', 'updated', 'removed', 'skipped'].forEach(key => { total[key] += result[key]; });
+      const body = JSON.stringify(await sealSyncDocument(result.doc, encrypted));
+      const headers = { 'Content-Type': 'application/json' };
+      if (etag) headers['If-Match'] = etag;
+      else if (response.status === 404) headers['If-None-Match'] = '*';
+      const put = await fetch(syncSettings.url, { method: 'PUT', headers, body });
+      if (put.status === 412 && attempt < SYNC_MAX_ATTEMPTS) {
+        console.log('[Sync] Server copy changed while syncing, merging again');
+        continue;
+      }
+      if (!put.ok) throw new Error(`The sync server answered ${put.status} ${put.statusText}`.trim());
+      break;
+    }
+    console.log('[Sync] Synced with server:', total);
+    markSynced();
+    if (!quiet) alert(`Sync complete. ${describeSyncResult(total)}`);
+  } catch (e) {
+    console.error('[Sync] Error syncing with server:', e);
+    renderSyncCard();
+    syncStatusEl.textContent = `Last sync failed: ${e.message}`;
+    if (!quiet) {
+      alert(`Sync failed: ${e.message}\n\nCheck the server address and that the server is running.` +
+        (isCrossOriginSyncUrl(syncSettings.url)
+          ? ` The server is not on QuickBudget's own site, so its origin (${new URL(syncSettings.url).origin}) must be added to connect-src in the Content Security Policy in index.html.`
+          : ''));
+    }
+  } finally {
+    syncInProgress = false;
+    syncNowBtn.disabled = false;
+  }
+}
+
+/**
+ * Download a sync document as a file
+ * @param {Object} doc - Sync document
+ */
+function downloadSyncFile(doc) {
+  const blob = new Blob([JSON.stringify(doc)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'quickbudget-sync.json';
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+/**
+ * Merge a sync file from another device, then download the merged file to take to the next device
+ * @param {File} file - Sync file chosen by the user
+ */
+async function syncWithFile(file) {
+  if (!file || !db || syncInProgress) return;
+  if (file.size > MAX_SYNC_SIZE) {
+    alert(`This file is too large (maximum ${MAX_SYNC_SIZE / (1024 * 1024)}MB).`);
+    return;
   }
-  if (pdfFileInput) {
-    pdfFileInput.click();
+  syncInProgress = true;
+  try {
+    let parsed;
+    try {
+      parsed = JSON.parse(await readFileAsText(file));
+    } catch (e) {
+      throw new Error('This file isn\'t QuickBudget sync data.');
+    }
+    const { remote, encrypted } = await openSyncData(parsed, false);
+    const result = await mergeSyncDocument(remote);
+    downloadSyncFile(await sealSyncDocument(result.doc, encrypted));
+    markSynced();
+    console.log('[Sync] Synced with file:', file.name);
+    alert(`Sync complete. ${describeSyncResult(result)}\n\nAn updated quickbudget-sync.json was downloaded. Open it with Sync with File on your other devices.`);
+  } catch (e) {
+    console.error('[Sync] Error syncing with file:', e);
+    alert(`Sync failed: ${e.message}`);
+  } finally {
+    syncInProgress = false;
   }
-});
+}
 
-menuExport.addEventListener('click', () => {
-  closeMenu();
-  exportBtn.click(); // Trigger export
-});
+/**
+ * Show the Sync card for the current settings
+ */
+function renderSyncCard() {
+  syncUrlEl.value = syncSettings.url;
+  syncStatusEl.textContent = syncSettings.lastSyncAt
+    ? `Last synced ${new Date(syncSettings.lastSyncAt).toLocaleString(getLocale())}.`
+    : 'This device hasn\'t synced yet.';
+}
 
 /**
- * Clear all data (transactions and worksheet)
- * Shows confirmation dialog before clearing
+ * Save the server address typed in the Sync card
+ * @returns {boolean} True if it was saved (or cleared)
  */
-menuClearData.addEventListener('click', () => {
+function saveSyncUrl() {
+  const text = syncUrlEl.value.trim();
+  const url = text ? validateSyncUrl(text) : '';
+  if (url === null) {
+    alert('Enter the address of the sync file: a path on this site (e.g. /quickbudget-sync.json), or a full address starting with https:// (http:// works only for a server on this computer).');
+    return false;
+  }
+  if (url !== syncSettings.url) {
+    syncSettings = { ...syncSettings, url };
+    saveSyncSettings();
+  }
+  syncUrlEl.value = url;
+  return true;
+}
+
+menuSync.addEventListener('click', () => {
   closeMenu();
-  
-  console.log('[Data] Clear data initiated');
-  // Show confirmation dialog with warning
-  const confirmed = confirm(
-    '⚠️ WARNING: This will permanently delete ALL your data!\n\n' +
-    'This includes:\n' +
-    '• All transactions\n' +
-    '• All budget worksheet data\n\n' +
-    'This action cannot be undone.\n\n' +
-    'Make sure you have exported your data to CSV if you want to keep a backup.\n\n' +
-    'Are you absolutely sure you want to clear all data?'
-  );
-  
-  if (!confirmed) {
-    console.log('[Data] Clear data cancelled by user');
+  renderSyncCard();
+  syncCardEl.style.display = '';
+  syncCardEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+});
+syncUrlEl.addEventListener('change', saveSyncUrl);
+syncNowBtn.addEventListener('click', () => {
+  if (!saveSyncUrl()) return;
+  if (!syncSettings.url) {
+    alert('Enter the address of your sync server first, or use Save Sync File and Sync with File.');
     return;
   }
-  
-  // Double confirmation for safety
-  const doubleConfirmed = confirm(
-    'Last chance! This will delete everything.\n\n' +
-    'Click OK to permanently delete all data, or Cancel to keep it.'
-  );
-  
-  if (!doubleConfirmed) {
-    console.log('[Data] Clear data cancelled by user (second confirmation)');
+  syncWithServer();
+});
+syncExportBtn.addEventListener('click', async () => {
+  try {
+    await ensureSyncPassphrase(false, false);
+  } catch (e) {
     return;
   }
-  
   try {
-    // Clear transactions
-    localStorage.removeItem(KEY);
-    txns = [];
-    
-    // Clear worksheet data
-    localStorage.removeItem(WS_KEY);
-    wsData = {};
-    console.log('[Data] localStorage cleared');
-    
-    // Reset form
-    descEl.value = '';
-    amtEl.value = '';
-    typeEl.value = 'expense';
-    catEl.value = '';
-    dateEl.value = '';
-    
-    // Re-render everything
-    render();
-    renderWorksheet();
-    
-    console.log('[Data] All data cleared successfully');
-    alert('All data has been cleared successfully.');
+    downloadSyncFile(await sealSyncDocument(await buildSyncDocument(), false));
+    console.log('[Sync] Sync file downloaded');
   } catch (e) {
-    console.error('[Data] Error clearing data:', e);
-    alert('Error clearing data. Please try again.');
+    console.error('[Sync] Error building sync file:', e);
+    alert('The sync file could not be created. Please try again.');
   }
 });
+syncImportBtn.addEventListener('click', () => syncFileInput.click());
+syncFileInput.addEventListener('change', () => {
+  const file = syncFileInput.files[0];
+  syncFileInput.value = '';
+  syncWithFile(file);
+});
+syncCloseBtn.addEventListener('click', () => { syncCardEl.style.display = 'none'; });
 
 // ============================================================================
 // PDF UPLOAD AND PARSING
@@ -1328,7 +8962,8 @@ function readFileAsText(file) {
 }
 
 /**
- * Handle CSV file upload and merge/replace transactions
+ * Handle CSV file upload: map the columns (asking the first time a layout is seen) and show the rows for review
+ * (add or replace happens from there)
  * @param {File} file - CSV file to process
  */
 async function handleCsvFile(file) {
@@ -1366,12 +9001,12 @@ async function handleCsvFile(file) {
 
   try {
     const csvText = await readFileAsText(file);
-    const importedTxns = parseCSV(csvText);
+    const { headers, rows } = parseCSV(csvText);
 
-    if (importedTxns.length === 0) {
-      console.warn('[Import] No valid transactions found in CSV');
+    if (rows.length === 0) {
+      console.warn('[Import] No transactions found in CSV');
       if (pdfStatus) {
-        pdfStatus.textContent = 'No valid transactions found in CSV file.';
+        pdfStatus.textContent = 'No transactions found in CSV file.';
         pdfStatus.style.color = '#b91c1c';
       }
       if (importFileInput) importFileInput.value = '';
@@ -1379,9 +9014,9 @@ async function handleCsvFile(file) {
     }
 
     const MAX_IMPORT_LIMIT = 10000;
-    if (importedTxns.length > MAX_IMPORT_LIMIT) {
-      console.warn('[Import] Too many transactions:', importedTxns.length);
-      alert(`Too many transactions in CSV file (${importedTxns.length}). Maximum allowed is ${MAX_IMPORT_LIMIT}. Please split your CSV file into smaller files.`);
+    if (rows.length > MAX_IMPORT_LIMIT) {
+      console.warn('[Import] Too many transactions:', rows.length);
+      alert(`Too many transactions in CSV file (${rows.length}). Maximum allowed is ${MAX_IMPORT_LIMIT}. Please split your CSV file into smaller files.`);
       if (pdfStatus) {
         pdfStatus.textContent = 'Import canceled - file has too many rows.';
         pdfStatus.style.color = '#b91c1c';
@@ -1390,27 +9025,17 @@ async function handleCsvFile(file) {
       return;
     }
 
-    const action = confirm(
-      `Found ${importedTxns.length} transaction(s) in CSV.\n\n` +
-      `Click OK to ADD these transactions to your existing data.\n` +
-      `Click Cancel to REPLACE all transactions with CSV data.`
-    );
-
-    if (action) {
-      txns = [...txns, ...importedTxns];
-      save(txns);
-      render();
-      if (pdfStatus) {
-        pdfStatus.textContent = `Added ${importedTxns.length} transaction(s) from CSV.`;
-        pdfStatus.style.color = '#0369a1';
-      }
+    // QuickBudget's own exports and layouts mapped before import directly; other files ask which column is which
+    const csv = { headers, rows, signature: getCsvSignature(headers) };
+    const mapping = QUICKBUDGET_CSV_MAPPINGS[csv.signature] || csvMappings[csv.signature];
+    if (mapping && validateCsvMapping(mapping, headers.length)) {
+      pendingCsv = csv;
+      reviewMappedCsv(mapping);
     } else {
-      txns = importedTxns;
-      save(txns);
-      render();
+      showCsvMapping(csv, guessCsvMapping(csv));
       if (pdfStatus) {
-        pdfStatus.textContent = `Replaced all transactions with ${importedTxns.length} from CSV.`;
-        pdfStatus.style.color = '#0369a1';
+        pdfStatus.textContent = 'Match the columns of this file to transaction fields.';
+        pdfStatus.style.color = '#64748b';
       }
     }
   } catch (error) {
@@ -1438,6 +9063,7 @@ function handleImportFile(file) {
     return;
   }
 
+  lastPdf = null;
   if (isPdfFile(file)) {
     handlePdfFile(file);
     return;
@@ -1448,9 +9074,25 @@ function handleImportFile(file) {
     return;
   }
 
+  if (isOfxFile(file)) {
+    handleStatementFile(file, 'ofx');
+    return;
+  }
+
+  if (isQifFile(file)) {
+    handleStatementFile(file, 'qif');
+    return;
+  }
+
+  // QuickBudget backups, including encrypted ones, go to the restore flow
+  if (isBackupFile(file)) {
+    handleBackupFile(file);
+    return;
+  }
+
   console.warn('Unsupported file type selected:', file.name, file.type);
   if (pdfStatus) {
-    pdfStatus.textContent = 'Unsupported file type. Please choose a PDF or CSV.';
+    pdfStatus.textContent = 'Unsupported file type. Please choose a PDF, CSV, OFX, QFX, QIF or QuickBudget backup file.';
     pdfStatus.style.color = '#b91c1c';
   }
   if (importFileInput) importFileInput.value = '';
@@ -1599,6 +9241,7 @@ async function handlePdfFile(file) {
     }
     
     let fullText = '';
+    const pdfLines = []; // Text items of each line with their X positions, for reading table columns
 
     // Extract text from pages, preserving line structure
     for (let i = 1; i <= pagesToProcess; i++) {
@@ -1622,36 +9265,19 @@ async function handlePdfFile(file) {
         .sort((a, b) => parseFloat(b) - parseFloat(a)) // Top to bottom
         .map(y => {
           return itemsByLine[y]
+            .filter(item => item.str.trim())
             .sort((a, b) => a.transform[4] - b.transform[4]) // Left to right
-            .map(item => item.str)
-            .join(' ')
-            .trim();
+            .map(item => ({ x: item.transform[4], width: item.width || 0, text: item.str }));
         })
         .filter(line => line.length > 0);
       
-      fullText += sortedLines.join('\n') + '\n';
+      pdfLines.push(...sortedLines);
+      fullText += sortedLines.map(line => line.map(item => item.text).join(' ').trim()).join('\n') + '\n';
     }
 
     console.log(`Extracted ${fullText.length} characters of text from PDF`);
-    
-    // Parse transactions from extracted text
-    console.log('Parsing transactions from extracted text...');
-    extractedTxns = parseTransactionsFromText(fullText);
-    console.log(`Found ${extractedTxns.length} potential transaction(s)`);
-    
-    if (extractedTxns.length > 0) {
-      displayExtractedTransactions();
-      if (pdfStatus) {
-        pdfStatus.textContent = `Found ${extractedTxns.length} potential transaction(s)`;
-        pdfStatus.style.color = '#0369a1';
-      }
-    } else {
-      console.warn('No transactions found in PDF. The PDF format might not be recognized.');
-      if (pdfStatus) {
-        pdfStatus.textContent = 'No transactions found. Try a different PDF format.';
-        pdfStatus.style.color = '#b91c1c';
-      }
-    }
+    lastPdf = { text: fullText, lines: pdfLines };
+    reviewPdfText(lastPdf);
   } catch (error) {
     console.error('PDF parsing error:', error);
     if (error.message === 'PDF processing timeout') {
@@ -1670,289 +9296,312 @@ async function handlePdfFile(file) {
   }
 }
 
+// Let the user pick the layout when detection gets it wrong, and re-read the open PDF with it
+STATEMENT_PROFILES.forEach(profile => {
+  const option = document.createElement('option');
+  option.value = profile.id;
+  option.textContent = profile.name;
+  pdfProfileSelect.appendChild(option);
+});
+pdfProfileSelect.addEventListener('change', () => {
+  if (lastPdf) reviewPdfText(lastPdf);
+});
+
 /**
- * Parse transactions from extracted PDF text
- * Attempts to identify transaction rows in bank statement format
- * @param {string} text - Full text extracted from PDF
- * @returns {Array} Array of transaction objects
+ * Parse an extracted PDF with the profile picked in the import card and show the rows for review
+ * @param {{text: string, lines: Array<Array>}} pdf - Full text and the positioned text items of each line
  */
-function parseTransactionsFromText(text) {
-  const transactions = [];
-  const lines = text.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-  
-  // Extract statement period dates (e.g., "October 17, 2025 through November 18, 2025")
-  // This helps determine the year for MM/DD dates
-  const periodMatch = text.match(/(\w+)\s+(\d{1,2}),\s+(\d{4})\s+through\s+(\w+)\s+(\d{1,2}),\s+(\d{4})/i);
-  let statementYear = new Date().getFullYear();
-  let statementStartMonth = 0, statementStartDay = 0;
-  let statementEndMonth = 11, statementEndDay = 31;
-  
-  if (periodMatch) {
-    const monthNames = ['january', 'february', 'march', 'april', 'may', 'june', 
-                       'july', 'august', 'september', 'october', 'november', 'december'];
-    const startMonthName = periodMatch[1].toLowerCase();
-    const startDay = parseInt(periodMatch[2]);
-    const year = parseInt(periodMatch[3]);
-    const endMonthName = periodMatch[4].toLowerCase();
-    const endDay = parseInt(periodMatch[5]);
-    
-    statementYear = year;
-    statementStartMonth = monthNames.indexOf(startMonthName);
-    statementStartDay = startDay;
-    statementEndMonth = monthNames.indexOf(endMonthName);
-    statementEndDay = endDay;
-  }
+function reviewPdfText({ text, lines }) {
+  const profileId = pdfProfileSelect ? pdfProfileSelect.value : 'auto';
+  console.log('Parsing transactions from extracted text...');
+  const { rows, profile, balances } = parseTransactionsFromText(text, profileId, lines);
+  extractedTxns = rows;
+  statementBalances = balances;
+  console.log(`[Import] Read statement with the "${profile.id}" profile, found ${rows.length} potential transaction(s)`);
+  const layout = profileId === 'auto' ? `detected layout: ${profile.name}` : `layout: ${profile.name}`;
 
-  /**
-   * Convert MM/DD date format to full ISO date string
-   * @param {string} monthDay - Date in MM/DD format
-   * @returns {string|null} ISO date string (YYYY-MM-DD) or null if invalid
-   */
-  function parseStatementDate(monthDay) {
-    if (!monthDay || typeof monthDay !== 'string') return null;
-    
-    const parts = monthDay.split('/');
-    if (parts.length !== 2) return null;
-    
-    const month = parseInt(parts[0], 10);
-    const day = parseInt(parts[1], 10);
-    
-    // Validate month and day ranges before creating Date object
-    if (!month || !day || isNaN(month) || isNaN(day)) return null;
-    if (month < 1 || month > 12) return null;
-    if (day < 1 || day > 31) return null;
-    
-    // Determine which year based on statement period
-    let year = statementYear;
-    
-    // Create date and verify it's valid (prevents dates like 02/30)
-    try {
-      const date = new Date(year, month - 1, day);
-      // Verify the date components match (catches invalid dates like Feb 30)
-      if (date.getMonth() !== month - 1 || date.getDate() !== day) {
-        return null;
-      }
-      return date.toISOString().slice(0, 10);
-    } catch (e) {
-      return null;
+  if (rows.length > 0) {
+    // Overlapping statements: leave transactions that are already saved unchecked
+    const duplicates = markDuplicates(rows);
+    showImportReview(rows, 'pdf');
+    if (pdfStatus) {
+      pdfStatus.textContent = `Found ${rows.length} potential transaction(s)` +
+        (duplicates > 0 ? `, ${duplicates} already in your transactions (unchecked)` : '') +
+        ` (${layout})`;
+      pdfStatus.style.color = '#0369a1';
+    }
+  } else {
+    console.warn('No transactions found in PDF. The PDF format might not be recognized.');
+    extractedTransactions.style.display = 'none';
+    pdfActions.style.display = 'none';
+    if (pdfStatus) {
+      pdfStatus.textContent = `No transactions found (${layout}). Try choosing a different statement layout.`;
+      pdfStatus.style.color = '#b91c1c';
     }
   }
+}
 
-  // Regex patterns for identifying transaction rows
-  const datePattern = /^(\d{1,2}\/\d{1,2})/; // MM/DD format at start of line
-  const amountPattern = /\$?([\d,]+\.\d{2})\s*$/; // Amount at end of line
-  
-  // State tracking for parsing
-  let currentSection = null; // 'income' or 'expense'
-  let inTable = false;       // Whether we're in a transaction table
-  let skipNext = false;       // Skip next line (usually header row)
+/**
+ * Parse transactions from extracted PDF text
+ * Reads the statement with the chosen profile (or the one that recognizes it), then categorizes the rows
+ * @param {string} text - Full text extracted from PDF
+ * @param {string} [profileId='auto'] - ID from STATEMENT_PROFILES, or 'auto' to detect it
+ * @param {Array<Array>} [pdfLines=[]] - Text items of each line with their positions, for table columns
+ * @returns {{rows: Array, profile: Object, balances: Object|null}} Rows for review, the profile that read them
+ *   and the statement's opening and closing balances
+ */
+function parseTransactionsFromText(text, profileId = 'auto', pdfLines = []) {
+  const history = buildCategoryHistory(txns);
+  const { parsed, profile } = readStatement(text, profileId, pdfLines);
 
-  // Parse each line of the PDF text
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
+  // Remove duplicates and categorize with the user's rules, past transactions or built-in keywords
+  const rows = [];
+  const seen = new Set();
+  parsed.forEach(({ date, desc, amount, type }) => {
+    const key = `${date}-${amount}-${desc.substring(0, 30)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    const categorized = categorizeImported({ desc: desc.substring(0, 200), amount, type, cat: '' }, history);
+    rows.push({
+      id: crypto.randomUUID(),
+      desc: categorized.desc,
+      amount,
+      type,
+      cat: categorized.cat,
+      date,
+      suggestion: categorized, // Where the category came from, shown during review
+      selected: true // Selected by default for user review
+    });
+  });
+  return { rows, profile, balances: getStatementBalances(text) };
+}
 
-    // Detect section headers to determine transaction type
-    if (line.match(/DEPOSITS\s+AND\s+ADDITIONS/i)) {
-      currentSection = 'income';
-      inTable = false;
-      skipNext = true; // Skip header row
-      continue;
-    }
-    if (line.match(/ATM\s*&\s*DEBIT\s+CARD\s*WITHDRAWALS/i) || 
-        line.match(/ELECTRONIC\s+WITHDRAWALS/i)) {
-      currentSection = 'expense';
-      inTable = false;
-      skipNext = true;
-      continue;
-    }
-    if (line.match(/FEES/i)) {
-      currentSection = 'expense';
-      inTable = false;
-      skipNext = true;
-      continue;
-    }
+/**
+ * Create the badge describing where an imported row's category came from
+ * @param {Object} suggestion - Result of categorizeImported()
+ * @returns {HTMLElement|null} Badge, or null when there is nothing to show
+ */
+function createSuggestionBadge(suggestion) {
+  if (!suggestion || !suggestion.cat) return null;
+  const badge = document.createElement('span');
+  badge.className = 'suggestion-badge';
+  if (suggestion.source === 'rule') {
+    badge.textContent = 'Rule';
+    badge.title = 'Set by one of your categorization rules';
+  } else if (suggestion.source === 'history') {
+    badge.classList.add(`confidence-${suggestion.confidence}`);
+    badge.textContent = `${suggestion.confidence.charAt(0).toUpperCase() + suggestion.confidence.slice(1)} confidence`;
+    badge.title = `Used for ${suggestion.count} of ${suggestion.total} past transaction(s) from this merchant`;
+  } else if (suggestion.source === 'keyword') {
+    badge.classList.add('confidence-low');
+    badge.textContent = 'Low confidence';
+    badge.title = 'Guessed from a keyword in the description';
+  } else {
+    return null;
+  }
+  return badge;
+}
 
-    // Skip table headers (DATE, DESCRIPTION, AMOUNT)
-    if (line.match(/^\s*DATE\s*\|\s*DESCRIPTION/i) || 
-        line.match(/^\s*DATE\s+DESCRIPTION/i) ||
-        line.match(/^---/)) {
-      inTable = true;
-      skipNext = true;
-      continue;
-    }
+/**
+ * Show imported rows in the review list
+ * @param {Array} rows - Rows from parseTransactionsFromText(), mapCsvRows(), parseOfx() or parseQif()
+ * @param {string} source - 'pdf', 'csv', 'ofx' or 'qif'
+ */
+function showImportReview(rows, source) {
+  rows.forEach(row => {
+    row.error = getImportRowError(row);
+    if (row.error) row.selected = false;
+  });
+  extractedTxns = rows;
+  importSource = source;
+  csvMappingEl.style.display = 'none';
+  if (source !== 'csv') pendingCsv = null;
+  if (source !== 'pdf') statementBalances = null;
+  // Replacing every transaction only makes sense for a full export, not a single statement
+  replaceAllBtn.style.display = source === 'csv' ? '' : 'none';
+  csvRemapBtn.style.display = source === 'csv' && pendingCsv ? '' : 'none';
+  displayExtractedTransactions();
+}
 
-    // Skip totals and balance lines
-    if (line.match(/Total\s+/i) || 
-        line.match(/^\s*Total\s+/i) ||
-        line.match(/Beginning Balance/i) ||
-        line.match(/Ending Balance/i)) {
-      continue;
-    }
+/**
+ * Close the review list without importing anything
+ * @param {boolean} [keepCsv=false] - Keep the CSV file for changing its column mapping
+ */
+function closeImportReview(keepCsv = false) {
+  extractedTransactions.style.display = 'none';
+  pdfActions.style.display = 'none';
+  reconciliationEl.style.display = 'none';
+  extractedTxns = [];
+  pdfFileInput.value = '';
+  lastPdf = null;
+  statementBalances = null;
+  if (!keepCsv) pendingCsv = null;
+}
 
-    // Parse transaction rows (must be in a table, have a section, and not be a header)
-    if (currentSection && inTable && !skipNext) {
-      const dateMatch = line.match(datePattern);
-      if (dateMatch) {
-        const monthDay = dateMatch[1];
-        const fullDate = parseStatementDate(monthDay);
-        
-        // Extract amount (usually at the end)
-        const amountMatch = line.match(amountPattern);
-        if (amountMatch) {
-          const amount = parseFloat(amountMatch[1].replace(/,/g, ''));
-          
-          // Validate amount and date
-          if (amount > 0 && amount < 1000000 && fullDate) {
-            // Extract description (everything between date and amount)
-            let desc = line
-              .replace(datePattern, '')
-              .replace(amountPattern, '')
-              .replace(/\s+/g, ' ')
-              .trim();
-            
-            // Clean up description (remove table separators, normalize whitespace)
-            desc = desc
-              .replace(/^\|\s*/, '')
-              .replace(/\s*\|\s*$/, '')
-              .replace(/\s+/g, ' ')
-              .trim();
-            
-            // If description is empty or too short, try next line
-            // (sometimes descriptions span multiple lines)
-            if (desc.length < 3 && i < lines.length - 1) {
-              const nextLine = lines[i + 1].trim();
-              if (!nextLine.match(datePattern) && !nextLine.match(amountPattern)) {
-                desc = (desc + ' ' + nextLine).trim().substring(0, 100);
-                i++; // Skip next line
-              }
-            }
-            
-            if (desc.length > 0) {
-              // Infer category from description
-              const category = inferCategory(desc);
-              
-              transactions.push({
-                id: crypto.randomUUID(),
-                desc: desc.substring(0, 100),
-                amount: amount,
-                type: currentSection,
-                cat: category,
-                date: fullDate,
-                selected: true // Selected by default for user review
-              });
-            }
-          }
-        }
-      }
+/**
+ * Create the inline editor for the description, amount, type, date and split lines of an imported row
+ * @param {Object} txn - Imported row (updated as fields change)
+ * @param {Function} onChange - Called after a field changes
+ * @returns {HTMLElement}
+ */
+function createImportRowEditor(txn, onChange) {
+  const editor = document.createElement('div');
+  editor.className = 'extracted-transaction-editor';
+  const addField = (el, field, label) => {
+    el.value = field === 'amount' && typeof txn.amount === 'number' ? formatAmountInput(txn.amount) : txn[field] ?? '';
+    el.setAttribute('aria-label', label);
+    el.addEventListener('change', () => {
+      const amount = field === 'amount' ? parseAmountInput(el.value) : NaN;
+      txn[field] = isFinite(amount) ? amount : el.value.trim();
+      // Fixing a field replaces whatever the file had in that row
+      delete txn.parseError;
+      onChange(el);
+    });
+    editor.appendChild(el);
+  };
+  const desc = document.createElement('input');
+  desc.maxLength = 200;
+  addField(desc, 'desc', 'Description');
+  const amount = document.createElement('input');
+  amount.inputMode = 'decimal';
+  addField(amount, 'amount', 'Amount');
+  const type = document.createElement('select');
+  const types = [['expense', 'Expense'], ['income', 'Income']];
+  // Transfers can only come from a file that names both accounts
+  if (txn.type === 'transfer') types.push(['transfer', 'Transfer']);
+  types.forEach(([value, text]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    type.appendChild(option);
+  });
+  addField(type, 'type', 'Type');
+  const date = document.createElement('input');
+  date.type = 'date';
+  addField(date, 'date', 'Date');
+  // Split the row across categories before adding it
+  const splitRowBtn = document.createElement('button');
+  splitRowBtn.className = 'ghost';
+  splitRowBtn.textContent = txn.splitLines ? 'Remove Split' : 'Split Across Categories';
+  splitRowBtn.setAttribute('aria-label', 'Split across categories');
+  splitRowBtn.addEventListener('click', () => {
+    if (txn.splitLines) {
+      txn.cat = String(txn.splitLines[0]?.cat || '').trim();
+      txn.splitLines = null;
+    } else {
+      txn.splitLines = [{ cat: txn.cat || '', amount: txn.amount ?? '', note: '' }, { cat: '', amount: '', note: '' }];
     }
-    
-    skipNext = false;
+    onChange(splitRowBtn);
+  });
+  editor.appendChild(splitRowBtn);
+  if (txn.splitLines) {
+    editor.appendChild(createSplitEditor(txn.splitLines, () => Math.abs(Number(txn.amount)) || 0, onChange));
   }
+  return editor;
+}
 
-  // Fallback: if we didn't find many transactions, try a more lenient approach
-  if (transactions.length < 5) {
-    // Look for any line with MM/DD date and amount
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const dateMatch = line.match(/^(\d{1,2}\/\d{1,2})/);
-      const amountMatch = line.match(/\$?([\d,]+\.\d{2})/);
-      
-      if (dateMatch && amountMatch) {
-        const monthDay = dateMatch[1];
-        const fullDate = parseStatementDate(monthDay);
-        const amount = parseFloat(amountMatch[1].replace(/,/g, ''));
-        
-        if (fullDate && amount > 0 && amount < 1000000) {
-          // Check if we already have this transaction
-          const exists = transactions.some(t => 
-            t.date === fullDate && 
-            Math.abs(t.amount - amount) < 0.01
-          );
-          
-          if (!exists) {
-            let desc = line
-              .replace(/^\d{1,2}\/\d{1,2}\s*/, '')
-              .replace(/\$?[\d,]+\.\d{2}.*$/, '')
-              .trim();
-            
-            // Try to get description from context
-            if (desc.length < 5 && i < lines.length - 1) {
-              const nextLine = lines[i + 1];
-              if (!nextLine.match(/^\d{1,2}\/\d{1,2}/) && !nextLine.match(/\$?[\d,]+\.\d{2}/)) {
-                desc = (desc + ' ' + nextLine).trim();
-              }
-            }
-            
-            if (desc.length > 0) {
-              // Determine type based on context
-              let type = 'expense';
-              const lineLower = line.toLowerCase();
-              if (lineLower.includes('deposit') || 
-                  lineLower.includes('zelle payment from') ||
-                  lineLower.includes('payroll') ||
-                  lineLower.includes('transfer') && lineLower.includes('from')) {
-                type = 'income';
-              }
-              
-              const category = inferCategory(desc);
-              
-              transactions.push({
-                id: crypto.randomUUID(),
-                desc: desc.substring(0, 100),
-                amount: amount,
-                type: type,
-                cat: category,
-                date: fullDate,
-                selected: true
-              });
-            }
-          }
-        }
-      }
-    }
-  }
+/**
+ * Create one row of the import review list
+ * @param {Object} txn - Imported row
+ * @param {boolean} [editing=false] - Whether the inline editor is open
+ * @returns {HTMLElement}
+ */
+function createImportReviewRow(txn, editing = false) {
+  const div = document.createElement('div');
+  div.className = 'extracted-transaction';
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = txn.selected;
+  checkbox.disabled = !!txn.error;
+  checkbox.setAttribute('aria-label', `Import ${txn.desc || 'row'}`);
+  checkbox.addEventListener('change', (e) => {
+    txn.selected = e.target.checked;
+    txn.reviewed = true;
+  });
 
-  // Remove duplicates
-  const unique = [];
-  const seen = new Set();
-  transactions.forEach(t => {
-    const key = `${t.date}-${t.amount}-${t.desc.substring(0, 30)}`;
-    if (!seen.has(key)) {
-      seen.add(key);
-      unique.push(t);
-    }
+  const details = document.createElement('div');
+  details.className = 'extracted-transaction-details';
+  // Use safe DOM methods to prevent XSS
+  const descDiv = document.createElement('div');
+  const descStrong = document.createElement('strong');
+  descStrong.textContent = txn.desc || '(no description)';
+  descDiv.appendChild(descStrong);
+  // Category can be corrected here; saved categories are learned for the next import
+  const catRow = document.createElement('div');
+  catRow.className = 'extracted-transaction-category';
+  const catInput = document.createElement('input');
+  catInput.value = txn.splitLines ? getSplitLabel(txn.splitLines) : txn.cat || '';
+  catInput.placeholder = 'Category';
+  catInput.maxLength = 100;
+  // Split rows take their categories from the split lines (shown under Edit)
+  catInput.disabled = !!txn.splitLines;
+  catInput.setAttribute('aria-label', `Category for ${txn.desc}`);
+  catRow.appendChild(catInput);
+  const badge = txn.splitLines ? null : createSuggestionBadge(txn.suggestion);
+  if (badge) catRow.appendChild(badge);
+  catInput.addEventListener('change', () => {
+    txn.cat = catInput.value.trim();
+    // The category is now the user's choice rather than a suggestion
+    txn.suggestion = null;
+    if (badge) badge.remove();
   });
+  const metaDiv = document.createElement('div');
+  metaDiv.style.fontSize = '11px';
+  metaDiv.style.color = '#94a3b8';
+  metaDiv.textContent = `${txn.date ? formatDate(txn.date) : 'No date'} • ${txn.type || 'No type'}`;
+  details.appendChild(descDiv);
+  details.appendChild(catRow);
+  details.appendChild(metaDiv);
+  if (txn.error) {
+    div.classList.add('extracted-transaction-invalid');
+    const errorNote = document.createElement('div');
+    errorNote.className = 'extracted-transaction-error';
+    errorNote.textContent = txn.line ? `Row ${txn.line}: ${txn.error}` : txn.error;
+    details.appendChild(errorNote);
+  } else if (txn.duplicateOf) {
+    div.classList.add('extracted-transaction-duplicate');
+    const dupNote = document.createElement('div');
+    dupNote.className = 'extracted-transaction-note';
+    dupNote.textContent = `Possible duplicate of "${txn.duplicateOf.desc}" on ${formatDate(txn.duplicateOf.date)}`;
+    details.appendChild(dupNote);
+  }
+  if (editing) {
+    details.appendChild(createImportRowEditor(txn, field => {
+      // Re-check the row and redraw it, keeping the editor open
+      const wasInvalid = !!txn.error;
+      txn.error = getImportRowError(txn);
+      if (txn.error) txn.selected = false;
+      else if (wasInvalid) txn.selected = true;
+      const updated = createImportReviewRow(txn, true);
+      div.replaceWith(updated);
+      renderReconciliation();
+      const sameField = updated.querySelector(`[aria-label="${field.getAttribute('aria-label')}"]`);
+      if (sameField) sameField.focus();
+    }));
+  }
 
-  return unique;
-}
+  const amount = document.createElement('div');
+  const amountValue = typeof txn.amount === 'number' ? txn.amount : null;
+  amount.className = `extracted-transaction-amount ${txn.type === 'expense' ? 'neg' : 'pos'}`;
+  amount.textContent = amountValue === null ? String(txn.amount || '—') : fmt(txn.type === 'expense' ? -amountValue : amountValue);
 
-function inferCategory(description) {
-  const desc = description.toLowerCase();
-  const categories = {
-    'groceries': ['grocery', 'supermarket', 'walmart', 'target', 'kroger', 'safeway', 'wm supercenter'],
-    'gas': ['gas', 'fuel', 'shell', 'chevron', 'bp', 'exxon', 'mobil'],
-    'restaurant': ['restaurant', 'cafe', 'starbucks', 'mcdonald', 'subway', 'pizza', 'dining'],
-    'utilities': ['electric', 'water', 'gas bill', 'utility', 'power', 'internet', 'phone', 'cell phone'],
-    'rent': ['rent', 'housing', 'apartment', 'bilt', 'biltrent'],
-    'shopping': ['amazon', 'store', 'shop', 'retail', 'purchase'],
-    'entertainment': ['movie', 'netflix', 'spotify', 'entertainment', 'game'],
-    'transportation': ['uber', 'lyft', 'taxi', 'bus', 'train', 'metro', 'atm withdrawal', 'atm'],
-    'healthcare': ['pharmacy', 'medical', 'doctor', 'hospital', 'health', 'insurance', 'lemonade'],
-    'income': ['salary', 'paycheck', 'deposit', 'payment received', 'payroll', 'zelle payment from', 'apple cash'],
-    'transfers': ['transfer', 'schwab', 'goldman sachs', 'zelle payment to'],
-    'credit cards': ['chase card', 'american express', 'applecard', 'payment to', 'ach pmt'],
-    'debt': ['student loan', 'studntloan', 'advs ed serv', 'credit repayment', 'paypal'],
-    'fees': ['fee', 'atm fee']
-  };
+  const actions = document.createElement('div');
+  actions.className = 'extracted-transaction-actions';
+  const editBtn = document.createElement('button');
+  editBtn.className = 'ghost';
+  editBtn.textContent = editing ? 'Done' : 'Edit';
+  editBtn.addEventListener('click', () => {
+    const updated = createImportReviewRow(txn, !editing);
+    div.replaceWith(updated);
+    updated.querySelector('.extracted-transaction-actions button').focus();
+  });
 
-  // Check in order of specificity
-  for (const [cat, keywords] of Object.entries(categories)) {
-    if (keywords.some(kw => desc.includes(kw))) {
-      return cat.charAt(0).toUpperCase() + cat.slice(1);
-    }
-  }
-  return '';
+  div.appendChild(checkbox);
+  div.appendChild(details);
+  div.appendChild(amount);
+  actions.appendChild(editBtn);
+  div.appendChild(actions);
+  return div;
 }
 
 function displayExtractedTransactions() {
@@ -1960,151 +9609,146 @@ function displayExtractedTransactions() {
   extractedTransactions.style.display = 'flex';
   pdfActions.style.display = 'block';
 
-  extractedTxns.forEach((txn, idx) => {
-    const div = document.createElement('div');
-    div.className = 'extracted-transaction';
-    const checkbox = document.createElement('input');
-    checkbox.type = 'checkbox';
-    checkbox.checked = txn.selected;
-    checkbox.addEventListener('change', (e) => {
-      txn.selected = e.target.checked;
-    });
+  extractedTxns.forEach(txn => {
+    extractedTransactions.appendChild(createImportReviewRow(txn));
+  });
+  renderReconciliation();
+}
 
-    const details = document.createElement('div');
-    details.className = 'extracted-transaction-details';
-    // Use safe DOM methods to prevent XSS
-    const descDiv = document.createElement('div');
-    const descStrong = document.createElement('strong');
-    descStrong.textContent = txn.desc;
-    descDiv.appendChild(descStrong);
-    const metaDiv = document.createElement('div');
-    metaDiv.style.fontSize = '11px';
-    metaDiv.style.color = '#94a3b8';
-    metaDiv.textContent = `${txn.cat || '—'} • ${txn.date} • ${txn.type}`;
-    details.appendChild(descDiv);
-    details.appendChild(metaDiv);
-
-    const amount = document.createElement('div');
-    amount.className = `extracted-transaction-amount ${txn.type === 'expense' ? 'neg' : 'pos'}`;
-    amount.textContent = fmt(txn.type === 'expense' ? -txn.amount : txn.amount);
-
-    const actions = document.createElement('div');
-    actions.className = 'extracted-transaction-actions';
-    const editBtn = document.createElement('button');
-    editBtn.className = 'ghost';
-    editBtn.textContent = 'Edit';
-    editBtn.addEventListener('click', () => {
-      descEl.value = txn.desc;
-      amtEl.value = txn.amount;
-      typeEl.value = txn.type;
-      catEl.value = txn.cat || '';
-      dateEl.value = txn.date;
-      closeMenu();
-      window.scrollTo({ top: 0, behavior: 'smooth' });
-      setTimeout(() => descEl.focus(), 300);
-    });
+/**
+ * Show whether the rows under review add up to the statement's closing balance
+ * Hidden when the file has no opening and closing balances (CSV, OFX/QIF, or a PDF without them).
+ */
+function renderReconciliation() {
+  if (!statementBalances || extractedTxns.length === 0) {
+    reconciliationEl.style.display = 'none';
+    return;
+  }
+  const { opening, closing, creditCard } = statementBalances;
+  const { moneyIn, moneyOut, expected, difference } = reconcileStatement(extractedTxns, statementBalances);
+  const sum = creditCard
+    ? `Previous balance ${fmt(opening)} + charges ${fmt(moneyOut)} − payments and credits ${fmt(moneyIn)} = ${fmt(expected)}`
+    : `Opening balance ${fmt(opening)} + money in ${fmt(moneyIn)} − money out ${fmt(moneyOut)} = ${fmt(expected)}`;
+  reconciliationEl.innerHTML = '';
+  reconciliationEl.style.display = 'block';
+  reconciliationEl.classList.toggle('statement-unreconciled', difference !== 0);
 
-    div.appendChild(checkbox);
-    div.appendChild(details);
-    div.appendChild(amount);
-    actions.appendChild(editBtn);
-    div.appendChild(actions);
-    extractedTransactions.appendChild(div);
-  });
+  const title = document.createElement('strong');
+  const detail = document.createElement('div');
+  if (difference === 0) {
+    title.textContent = 'Matches the statement balance';
+    detail.textContent = `${sum}, the closing balance on the statement.`;
+  } else {
+    title.textContent = `Off by ${fmt(Math.abs(difference))} from the statement balance`;
+    detail.textContent = `${sum}, but the statement's closing balance is ${fmt(closing)}. ` +
+      'A row may be missing, listed twice, or have the wrong amount or type - fix it with Edit or try a different statement layout.';
+  }
+  reconciliationEl.appendChild(title);
+  reconciliationEl.appendChild(detail);
 }
 
-addSelectedBtn.addEventListener('click', () => {
-  const selected = extractedTxns.filter(t => t.selected);
-  let addedCount = 0;
+/**
+ * Turn reviewed rows into transactions ready to save
+ * @param {Array} rows - Rows to import
+ * @returns {{transactions: Array, skippedCount: number}} Sanitized transactions and how many rows were invalid
+ */
+function buildImportedTransactions(rows) {
+  const transactions = [];
   let skippedCount = 0;
-  
-  selected.forEach(t => {
+
+  rows.forEach(t => {
     // Validate extracted transaction data structure
-    if (!t || typeof t !== 'object') {
+    if (!t || typeof t !== 'object' || getImportRowError(t)) {
       skippedCount++;
       return;
     }
     
     // Validate and sanitize description
     let desc = (t.desc || '').trim();
-    if (!desc || desc.length === 0) {
-      skippedCount++;
-      return;
-    }
     if (desc.length > 200) {
       desc = desc.substring(0, 200);
     }
     
-    // Validate amount
-    const amount = parseFloat(t.amount);
-    if (isNaN(amount) || amount === 0 || Math.abs(amount) > 999999999.99) {
-      skippedCount++;
-      return;
-    }
-    
     // Validate type
-    const type = t.type === 'income' || t.type === 'expense' ? t.type : 'expense';
+    const type = t.type === 'income' || t.type === 'expense' || t.type === 'transfer' ? t.type : 'expense';
     
-    // Validate and sanitize category
-    let cat = (t.cat || '').trim();
+    // Validate and sanitize category (split rows keep theirs on the split lines)
+    let cat = t.splitLines ? '' : (t.cat || '').trim();
     if (cat.length > 100) {
       cat = cat.substring(0, 100);
     }
     
-    // Validate date using strict validation
-    let date = t.date || '';
-    if (!date) {
-      date = new Date().toISOString().slice(0, 10);
-    } else {
-      const validated = validateDate(date);
-      if (!validated) {
-        // If date is invalid, use current date instead of trying to "fix" it
-        date = new Date().toISOString().slice(0, 10);
-      } else {
-        date = validated;
-      }
-    }
-    
-    // Add validated transaction
-    delete t.selected;
-    delete t.id; // Generate new ID
-    txns.push({
+    // Add validated transaction with a new ID
+    const txn = {
       id: crypto.randomUUID(),
       desc: desc,
-      amount: Math.abs(amount),
+      amount: Math.abs(Number(t.amount)),
       type: type,
       cat: cat,
-      date: date
-    });
-    addedCount++;
+      date: validateDate(t.date)
+    };
+    // The bank's own transaction ID (OFX FITID), used to recognize it in later downloads
+    if (typeof t.importId === 'string' && t.importId.length > 0 && t.importId.length <= 200) txn.importId = t.importId;
+    // Rows without an account from the file go to the account chosen on the import card
+    const account = getAccount(t.accountId) || getAccount(importAccountEl.value);
+    if (account) txn.accountId = account.id;
+    if (type === 'transfer') txn.toAccountId = t.toAccountId;
+    if (t.splitLines) txn.splits = readSplitLines(t.splitLines, txn.amount).splits;
+    transactions.push(txn);
   });
+  return { transactions, skippedCount };
+}
+
+addSelectedBtn.addEventListener('click', () => {
+  const source = importSource.toUpperCase();
+  const duplicateCount = extractedTxns.filter(t => t.duplicateOf && !t.selected).length;
+  const invalidCount = extractedTxns.filter(t => t.error).length;
+  const { transactions: toAdd, skippedCount } = buildImportedTransactions(extractedTxns.filter(t => t.selected));
+  const addedCount = toAdd.length;
   
   if (addedCount > 0) {
+    recordChange(`Added ${addedCount} transaction(s) from ${source}`, () => {
+      txns = [...txns, ...toAdd];
+    }, { toast: true });
     save(txns);
     render();
   }
-  extractedTransactions.style.display = 'none';
-  pdfActions.style.display = 'none';
+  closeImportReview();
   
-  if (skippedCount > 0) {
-    pdfStatus.textContent = `Added ${addedCount} transaction(s), skipped ${skippedCount} invalid transaction(s)`;
+  const duplicateNote = duplicateCount > 0 ? `, skipped ${duplicateCount} duplicate(s)` : '';
+  const invalidTotal = skippedCount + invalidCount;
+  if (invalidTotal > 0) {
+    pdfStatus.textContent = `Added ${addedCount} transaction(s)${duplicateNote}, skipped ${invalidTotal} invalid transaction(s)`;
     pdfStatus.style.color = '#f59e0b';
   } else {
-    pdfStatus.textContent = `Added ${addedCount} transaction(s)`;
+    pdfStatus.textContent = `Added ${addedCount} transaction(s)${duplicateNote}`;
     pdfStatus.style.color = '#0369a1';
   }
-  
-  extractedTxns = [];
-  pdfFileInput.value = '';
+});
+
+replaceAllBtn.addEventListener('click', () => {
+  // Rows unchecked only because they match a saved transaction are kept: that transaction is about to go
+  const rows = extractedTxns.filter(t => !t.error && (t.selected || (t.duplicateOf && !t.reviewed)));
+  const { transactions: replacement } = buildImportedTransactions(rows);
+  if (replacement.length === 0) {
+    alert('Select at least one valid transaction to replace your data with.');
+    return;
+  }
+  if (!confirm(`Replace all ${txns.length} existing transaction(s) with the ${replacement.length} from this CSV?`)) return;
+  recordChange(`Replaced all transactions with ${replacement.length} from CSV`, () => {
+    txns = replacement;
+  }, { toast: true });
+  save(txns);
+  render();
+  closeImportReview();
+  pdfStatus.textContent = `Replaced all transactions with ${replacement.length} from CSV.`;
+  pdfStatus.style.color = '#0369a1';
 });
 
 clearPdfBtn.addEventListener('click', () => {
-  console.log('[PDF] Clearing extracted transactions');
-  extractedTransactions.style.display = 'none';
-  pdfActions.style.display = 'none';
+  console.log('[Import] Canceling import review');
+  closeImportReview();
   pdfStatus.textContent = '';
-  extractedTxns = [];
-  pdfFileInput.value = '';
 });
 
 // PWA: register service worker
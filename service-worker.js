@@ -7,7 +7,7 @@
    ============================================================================ */
 
 // Cache version identifier (increment when updating cached assets)
-const CACHE = 'qb-cache-v3';
+const CACHE = 'qb-cache-v26';
 
 // List of core application files to cache during installation
 const ASSETS = [
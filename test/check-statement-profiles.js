@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// ============================================================================
+// STATEMENT PROFILE CHECK
+// ============================================================================
+// Reads every sample statement in test/statements/ the way a PDF import does (detecting the layout,
+// falling through to the next profile when one finds no rows) and compares the rows with the expected ones.
+// Run with `node test/check-statement-profiles.js` after changing a statement parser.
+//
+// The parsers don't touch the DOM, so the STATEMENT PARSER PROFILES section of script.js is loaded on its
+// own, together with the helpers from elsewhere in the file that it calls.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'statements');
+// Functions from other sections of script.js that the parsers call
+const HELPERS = ['validateDate', 'parseAmount'];
+// Positioned samples are laid out as if every character were 5 units wide, unless an item gives its width
+const CHAR_WIDTH = 5;
+
+/**
+ * Load the statement parsers from script.js
+ * @returns {{STATEMENT_PROFILES: Array<Object>, readStatement: Function}}
+ */
+function loadParsers() {
+  const source = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+  const start = source.indexOf('\n// STATEMENT PARSER PROFILES\n');
+  if (start === -1) throw new Error('STATEMENT PARSER PROFILES section not found in script.js');
+  // The section ends where the next section's banner starts
+  const next = source.slice(start + 1).search(/\n\/\/ =+\n\/\/ [A-Z][A-Z0-9 /&.,-]*\n\/\/ =+\n/);
+  const section = source.slice(start, next === -1 ? source.length : start + 1 + next);
+  // Top-level functions start and end in the first column
+  const helpers = HELPERS.map(name => {
+    const from = source.indexOf(`\nfunction ${name}(`);
+    if (from === -1) throw new Error(`${name}() not found in script.js`);
+    return source.slice(from, source.indexOf('\n}\n', from) + 3);
+  });
+  const context = vm.createContext({ console });
+  return vm.runInContext(`${helpers.join('\n')}\n${section}\n;({ STATEMENT_PROFILES, readStatement });`, context, { filename: 'script.js' });
+}
+
+/**
+ * Turn a sample statement into what handlePdfFile() extracts from a PDF
+ * @param {{text?: Array<string>, lines?: Array<Array<Array>>}} statement - Plain text lines, or lines of
+ *   [x, text] (or [x, text, width]) items
+ * @returns {{text: string, pdfLines: Array<Array<{x: number, width: number, text: string}>>}}
+ */
+function toPdf(statement) {
+  if (statement.text) return { text: statement.text.join('\n') + '\n', pdfLines: [] };
+  const pdfLines = statement.lines.map(line => line.map(([x, text, width]) => ({ x, width: width ?? text.length * CHAR_WIDTH, text })));
+  const text = pdfLines.map(line => line.map(item => item.text).join(' ').trim()).join('\n') + '\n';
+  return { text, pdfLines };
+}
+
+const { STATEMENT_PROFILES, readStatement } = loadParsers();
+const profileIds = new Set(STATEMENT_PROFILES.map(profile => profile.id));
+const covered = new Set();
+let failures = 0;
+let count = 0;
+
+fs.readdirSync(FIXTURES).filter(file => file.endsWith('.json')).sort().forEach(file => {
+  const statements = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+  statements.forEach(statement => {
+    count++;
+    const label = `${file}: ${statement.name}`;
+    const problems = [];
+    if (!profileIds.has(statement.profile)) problems.push(`unknown profile "${statement.profile}"`);
+    const { text, pdfLines } = toPdf(statement);
+    const { parsed, profile } = readStatement(text, 'auto', pdfLines);
+    const actual = parsed.map(r => [r.date, r.type, r.amount, r.desc]);
+    if (profile.id !== statement.profile) problems.push(`read by "${profile.id}" instead of "${statement.profile}"`);
+    if (JSON.stringify(actual) !== JSON.stringify(statement.expected)) {
+      problems.push(`expected ${JSON.stringify(statement.expected)}\n    got      ${JSON.stringify(actual)}`);
+    }
+    if (problems.length > 0) {
+      failures++;
+      console.log(`FAIL ${label}\n    ${problems.join('\n    ')}`);
+    } else {
+      covered.add(`${statement.profile}:${statement.lines ? 'positioned' : 'text'}`);
+      console.log(`ok   ${label}`);
+    }
+  });
+});
+
+// Every profile needs samples of its own, including ones laid out the way a PDF gives them
+STATEMENT_PROFILES.forEach(profile => {
+  if (!covered.has(`${profile.id}:positioned`)) {
+    failures++;
+    console.log(`FAIL no passing positioned sample read by the "${profile.id}" profile`);
+  }
+});
+
+console.log(`\n${count} statement(s) checked, ${failures} failure(s)`);
+process.exitCode = failures > 0 ? 1 : 0;